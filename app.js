@@ -8,7 +8,6 @@ const logger = require('morgan');
 const chalk = require('chalk');
 const errorHandler = require('errorhandler');
 const dotenv = require('dotenv');
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const passport = require('passport');
 const expressValidator = require('express-validator');
@@ -25,6 +24,38 @@ dotenv.load({ path: '.env' });
 const userController = require('./controllers/user');
 const expenseController = require('./controllers/expense');
 const contactController = require('./controllers/contact');
+const budgetController = require('./controllers/budget');
+const recurringController = require('./controllers/recurring');
+const reportController = require('./controllers/report');
+const rateController = require('./controllers/rate');
+const importController = require('./controllers/import');
+const categoryController = require('./controllers/category');
+const accountController = require('./controllers/account');
+const transferController = require('./controllers/transfer');
+const householdController = require('./controllers/household');
+const sessionController = require('./controllers/session');
+const settlementController = require('./controllers/settlement');
+const docsController = require('./controllers/docs');
+const attachmentController = require('./controllers/attachment');
+const historyController = require('./controllers/history');
+const trashController = require('./controllers/trash');
+const eventController = require('./controllers/event');
+const digestController = require('./controllers/digest');
+
+/**
+* Authentication and authorization.
+*/
+const sessions = require('./helpers/sessions');
+const permissions = require('./helpers/permissions');
+const http = require('./helpers/http');
+const openapi = require('./helpers/openapi');
+
+/**
+* Background jobs.
+*/
+const recurringJob = require('./jobs/recurring');
+const trashJob = require('./jobs/trash');
+const digestJob = require('./jobs/digest');
 
 /**
 * API keys and Passport configuration.
@@ -57,55 +88,154 @@ app.use(bodyParser.urlencoded({ extended: true }));
 app.use(bodyParser.json());
 app.use(expressValidator());
 app.use((req, res, next) => {
-    try {
-        const token = req.body.token || req.query.token || req.headers['x-access-token'];
-
-        if (token) {
-            jwt.verify(token, process.env.SESSION_SECRET, (err, decode) => {
-                if (err) {
-                    req.user = null;
-                } else {
-                    req.user = decode;
-                }
-                next();
-            });
-        } else {
-            req.user = null;
-            next();
-        }
-    } catch (e) {
-        req.user = null;
+    const token = req.body.token || req.query.token || req.headers['x-access-token'];
+
+    sessions.authenticate(token, (err, user) => {
+        if (err) { return next(err); }
+
+        req.user = user;
         next();
-    }
+    });
 });
+app.use(householdController.loadHousehold);
 app.use(passport.initialize());
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, x-access-token');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, x-access-token, If-Match, If-None-Match, Last-Event-ID');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Expose-Headers', 'ETag, Location, Deprecation, Link');
     next();
 });
+app.use(openapi.validateRequest);
 app.disable('x-powered-by');
 
 /**
 * Primary app routes.
 */
+app.get('/api/docs', docsController.getDocs);
 app.post('/api/login', userController.postLogin);
+app.post('/api/token/refresh', sessionController.postRefreshToken);
+app.post('/api/logout', userController.isAuthenticated, sessionController.postLogout);
+app.get('/api/sessions', userController.isAuthenticated, sessionController.getSessions);
+app.delete('/api/sessions', userController.isAuthenticated, sessionController.deleteSessions);
+app.delete('/api/sessions/:id', userController.isAuthenticated, sessionController.deleteSession);
 app.post('/api/forgot', userController.postForgot);
 app.post('/api/reset/:token', userController.postReset);
 app.post('/api/signup', userController.postSignup);
+app.post('/api/account/restore', userController.postRestoreAccount);
+app.post('/api/digest/unsubscribe/:token', digestController.unsubscribe);
 
 app.post('/api/contact', contactController.postContact);
 
+app.get('/api/currencies', userController.isAuthenticated, expenseController.getCurrencies);
 app.get('/api/expenses', userController.isAuthenticated, expenseController.getExpenses);
-app.post('/api/expenses/add', userController.isAuthenticated, expenseController.addExpense);
-app.get('/api/expenses/delete', userController.isAuthenticated, expenseController.deleteExpense);
-app.post('/api/expenses/edit', userController.isAuthenticated, expenseController.editExpense);
+app.get('/api/expenses/export', userController.isAuthenticated, expenseController.exportExpenses);
+app.post('/api/expenses/batch', userController.isAuthenticated, expenseController.batchExpenses);
+app.get('/api/sync', userController.isAuthenticated, expenseController.getSync);
+app.post('/api/sync', userController.isAuthenticated, expenseController.postSync);
+app.get('/api/events', userController.isAuthenticated, eventController.getEvents);
+
+/**
+* Deprecated expense routes, to be removed in the next release.
+*/
+app.post('/api/expenses/add', userController.isAuthenticated, http.deprecated('/api/v1/expenses'), expenseController.addExpense);
+app.get('/api/expenses/delete', userController.isAuthenticated, http.deprecated('/api/v1/expenses/:id'), permissions.authorizeExpense('edit'), expenseController.deleteExpense);
+app.post('/api/expenses/edit', userController.isAuthenticated, http.deprecated('/api/v1/expenses/:id'), permissions.authorizeExpense('edit'), expenseController.editExpense);
+
+/**
+* API v1.
+*/
+const v1 = express.Router();
+
+v1.get('/expenses', expenseController.getExpenses);
+v1.post('/expenses', expenseController.createExpense);
+v1.get('/expenses/export', expenseController.exportExpenses);
+v1.get('/expenses/:id', permissions.authorizeExpense('read'), expenseController.getExpense);
+v1.put('/expenses/:id', permissions.authorizeExpense('edit'), http.requireIfMatch('expense'), expenseController.replaceExpense);
+v1.patch('/expenses/:id', permissions.authorizeExpense('edit'), http.requireIfMatch('expense'), expenseController.patchExpense);
+v1.delete('/expenses/:id', permissions.authorizeExpense('edit'), http.requireIfMatch('expense'), expenseController.removeExpense);
+v1.get('/expenses/:id/history', historyController.getHistory);
+v1.post('/expenses/:id/revert', historyController.revertExpense);
+v1.get('/expenses/:id/attachments', permissions.authorizeExpense('read'), attachmentController.getAttachments);
+v1.post('/expenses/:id/attachments', permissions.authorizeExpense('edit'), attachmentController.uploadAttachments, attachmentController.addAttachments);
+v1.get('/expenses/:id/attachments/:attachmentId', permissions.authorizeExpense('read'), attachmentController.getAttachment);
+v1.get('/expenses/:id/attachments/:attachmentId/thumbnail', permissions.authorizeExpense('read'), attachmentController.getThumbnail);
+v1.delete('/expenses/:id/attachments/:attachmentId', permissions.authorizeExpense('edit'), attachmentController.deleteAttachment);
+v1.get('/trash', trashController.getTrash);
+v1.delete('/trash', trashController.emptyTrash);
+v1.post('/trash/:id/restore', trashController.restoreExpense);
+v1.delete('/trash/:id', trashController.purgeExpense);
+
+app.use('/api/v1', userController.isAuthenticated, v1);
+
+app.get('/api/categories', userController.isAuthenticated, categoryController.getCategories);
+app.post('/api/categories', userController.isAuthenticated, categoryController.addCategory);
+app.post('/api/categories/reorder', userController.isAuthenticated, categoryController.reorderCategories);
+app.put('/api/categories/:name', userController.isAuthenticated, categoryController.editCategory);
+app.delete('/api/categories/:name', userController.isAuthenticated, categoryController.deleteCategory);
+app.post('/api/categories/:name/merge', userController.isAuthenticated, categoryController.mergeCategory);
+
+app.post('/api/import', userController.isAuthenticated, importController.uploadStatement, importController.postImport);
+app.get('/api/import/:id', userController.isAuthenticated, importController.getImport);
+app.put('/api/import/:id', userController.isAuthenticated, importController.editImport);
+app.delete('/api/import/:id', userController.isAuthenticated, importController.deleteImport);
+app.post('/api/import/:id/commit', userController.isAuthenticated, importController.commitImport);
+
+app.get('/api/reports', userController.isAuthenticated, reportController.getReport);
+app.get('/api/reports/cashflow', userController.isAuthenticated, reportController.getCashFlow);
+
+app.get('/api/rates', userController.isAuthenticated, rateController.getRates);
+app.post('/api/rates', userController.isAuthenticated, userController.isAdmin, rateController.postRates);
 
+app.get('/api/budgets', userController.isAuthenticated, budgetController.getBudgets);
+app.post('/api/budgets', userController.isAuthenticated, budgetController.addBudget);
+app.get('/api/budgets/progress', userController.isAuthenticated, budgetController.getBudgetsProgress);
+app.get('/api/budgets/:id', userController.isAuthenticated, budgetController.getBudget);
+app.put('/api/budgets/:id', userController.isAuthenticated, budgetController.editBudget);
+app.delete('/api/budgets/:id', userController.isAuthenticated, budgetController.deleteBudget);
+app.get('/api/accounts', userController.isAuthenticated, accountController.getAccounts);
+app.post('/api/accounts', userController.isAuthenticated, accountController.addAccount);
+app.get('/api/accounts/balances', userController.isAuthenticated, accountController.getBalances);
+app.put('/api/accounts/:id', userController.isAuthenticated, accountController.editAccount);
+app.delete('/api/accounts/:id', userController.isAuthenticated, accountController.deleteAccount);
+app.get('/api/transfers', userController.isAuthenticated, transferController.getTransfers);
+app.post('/api/transfers', userController.isAuthenticated, transferController.addTransfer);
+app.delete('/api/transfers/:id', userController.isAuthenticated, transferController.deleteTransfer);
+
+app.get('/api/household', userController.isAuthenticated, householdController.getHousehold);
+app.post('/api/household', userController.isAuthenticated, householdController.addHousehold);
+app.put('/api/household', userController.isAuthenticated, householdController.editHousehold);
+app.get('/api/household/activity', userController.isAuthenticated, historyController.getActivity);
+app.post('/api/household/leave', userController.isAuthenticated, householdController.leaveHousehold);
+app.put('/api/household/settings', userController.isAuthenticated, householdController.editSettings);
+app.put('/api/household/members/:id', userController.isAuthenticated, householdController.editMember);
+app.delete('/api/household/members/:id', userController.isAuthenticated, householdController.deleteMember);
+app.get('/api/household/invitations', userController.isAuthenticated, householdController.getInvitations);
+app.post('/api/household/invitations', userController.isAuthenticated, householdController.addInvitation);
+app.delete('/api/household/invitations/:token', userController.isAuthenticated, householdController.deleteInvitation);
+app.post('/api/household/invitations/:token/accept', userController.isAuthenticated, householdController.acceptInvitation);
+app.post('/api/household/invitations/:token/decline', userController.isAuthenticated, householdController.declineInvitation);
+app.get('/api/settlements', userController.isAuthenticated, settlementController.getSettlements);
+app.post('/api/settlements', userController.isAuthenticated, settlementController.addSettlement);
+app.get('/api/settlements/balances', userController.isAuthenticated, settlementController.getBalances);
+app.delete('/api/settlements/:id', userController.isAuthenticated, settlementController.deleteSettlement);
+
+app.get('/api/recurring', userController.isAuthenticated, recurringController.getRecurring);
+app.post('/api/recurring', userController.isAuthenticated, recurringController.addRecurring);
+app.put('/api/recurring/:id', userController.isAuthenticated, recurringController.editRecurring);
+app.delete('/api/recurring/:id', userController.isAuthenticated, recurringController.deleteRecurring);
+app.post('/api/recurring/:id/pause', userController.isAuthenticated, recurringController.pauseRecurring);
+app.post('/api/recurring/:id/resume', userController.isAuthenticated, recurringController.resumeRecurring);
+app.post('/api/recurring/:id/skip', userController.isAuthenticated, recurringController.skipRecurring);
+app.post('/api/recurring/:id/end', userController.isAuthenticated, recurringController.endRecurring);
+
+app.get('/api/account', userController.isAuthenticated, userController.getAccount);
 app.post('/api/account/profile', userController.isAuthenticated, userController.postUpdateProfile);
 app.post('/api/account/password', userController.isAuthenticated, userController.postUpdatePassword);
+app.post('/api/account/currency', userController.isAuthenticated, userController.postUpdateBaseCurrency);
+app.get('/api/account/digest', userController.isAuthenticated, digestController.getDigest);
+app.put('/api/account/digest', userController.isAuthenticated, digestController.editDigest);
 app.post('/api/account/delete', userController.isAuthenticated, userController.postDeleteAccount);
-app.post('/api/account/addfamily', userController.isAuthenticated, userController.addFamily);
-app.post('/api/account/approvefamily', userController.isAuthenticated, userController.approveFamily);
 app.get('/api/account/unlink/:provider', userController.isAuthenticated, userController.getOauthUnlink);
 
 /**
@@ -161,6 +291,13 @@ app.get('/auth/pinterest/callback', passport.authorize('pinterest', { failureRed
 */
 app.use(errorHandler());
 
+/**
+* Start background jobs.
+*/
+recurringJob.start(process.env.RECURRING_JOB_INTERVAL);
+trashJob.start(process.env.TRASH_JOB_INTERVAL);
+digestJob.start(process.env.DIGEST_JOB_INTERVAL);
+
 /**
 * Start Express server.
 */
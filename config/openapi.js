@@ -0,0 +1,1225 @@
+/**
+* OpenAPI description of every route in app.js.
+* Requests are validated against it by helpers/openapi.js and it is served at /api/docs.
+*/
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const objectId = ref('ObjectId');
+const day = ref('Day');
+
+const json = schema => ({ 'application/json': { schema } });
+
+const body = (schema, required) => ({
+    required: required !== false,
+    content: Object.assign(json(schema), { 'application/x-www-form-urlencoded': { schema } })
+});
+
+const pathParam = (name, schema) => ({ name, in: 'path', required: true, schema: schema || objectId });
+
+const query = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+const responses = (schema, extra) => Object.assign({
+    200: { description: 'Success', content: json(schema || ref('Message')) },
+    400: { description: 'Invalid request', content: json(ref('Error')) },
+    401: { description: 'Not signed in', content: json(ref('Error')) }
+}, extra);
+
+const notFound = { 404: { description: 'Not found', content: json(ref('Error')) } };
+
+const forbidden = { 403: { description: 'Not allowed', content: json(ref('Error')) } };
+
+const locked = {
+    412: { description: 'Changed since the If-Match ETag', content: json(ref('Error')) },
+    428: { description: 'If-Match header missing', content: json(ref('Error')) }
+};
+
+/**
+* Operation of a signed in user.
+*/
+const op = (tag, summary, options) => Object.assign({
+    tags: [tag],
+    summary,
+    security: [{ token: [] }],
+    responses: responses()
+}, options);
+
+/**
+* Operation open to everyone.
+*/
+const publicOp = (tag, summary, options) => Object.assign(op(tag, summary, options), {
+    security: []
+});
+
+const list = (key, item) => ({
+    type: 'object',
+    properties: { [key]: { type: 'array', items: item } }
+});
+
+const expenseFilters = [
+    query('type', { type: 'string', enum: ['expense', 'income'] }),
+    query('from', day),
+    query('to', day),
+    query('category', { type: 'string' }, 'Comma separated category names, matching line items too'),
+    query('tag', { type: 'string' }, 'Comma separated tags, any of them'),
+    query('member', objectId),
+    query('currency', objectId),
+    query('account', objectId),
+    query('minAmount', { type: 'number' }),
+    query('maxAmount', { type: 'number' }),
+    query('q', { type: 'string' }, 'Text in the comment')
+];
+
+const listParameters = expenseFilters.concat([
+    query('order', { type: 'string', enum: ['asc', 'desc'] }),
+    query('limit', { type: 'integer', minimum: 1 }),
+    query('cursor', { type: 'string' }, 'nextCursor of the previous page')
+]);
+
+const exportParameters = [
+    query('format', { type: 'string', enum: ['csv', 'json', 'ofx'] })
+].concat(expenseFilters);
+
+const expenseFields = {
+    type: { type: 'string', enum: ['expense', 'income'] },
+    amount: { type: 'number', minimum: 0 },
+    date: day,
+    category: { type: 'string', minLength: 1 },
+    currency: objectId,
+    comment: { type: 'string' },
+    account: Object.assign({ nullable: true }, ref('ObjectIdOrEmpty')),
+    split: Object.assign({ nullable: true }, ref('SplitInput')),
+    items: {
+        description: 'Line items summing to the amount, the largest one giving the category',
+        type: 'array',
+        maxItems: 50,
+        items: ref('ItemInput')
+    },
+    tags: {
+        description: 'Tags as an array or comma separated',
+        type: ['array', 'string'],
+        maxItems: 20,
+        items: { type: 'string', maxLength: 50, pattern: '^[^\\s,#]+$' }
+    }
+};
+
+const recurringFields = {
+    type: { type: 'string', enum: ['expense', 'income'] },
+    amount: { type: 'number', minimum: 0 },
+    category: { type: 'string', minLength: 1 },
+    currency: objectId,
+    comment: { type: 'string' },
+    frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly', 'yearly'] },
+    interval: { type: 'integer', minimum: 1 },
+    dayOfMonth: { type: 'integer', minimum: 1, maximum: 31 },
+    startDate: day,
+    endDate: day
+};
+
+const importOptions = {
+    format: { type: 'string', enum: ['csv', 'ofx', 'qif'] },
+    mapping: {
+        description: 'Column index of every field, as an object or its JSON',
+        type: ['object', 'string']
+    },
+    dateFormat: { type: 'string' },
+    delimiter: { type: 'string', maxLength: 1 },
+    sign: { type: 'string', enum: ['negative', 'positive'] },
+    category: { type: 'string' },
+    currency: objectId
+};
+
+const oauthProviders = [
+    'instagram', 'facebook', 'github', 'google', 'twitter', 'linkedin',
+    'foursquare', 'tumblr', 'steam', 'pinterest'
+];
+
+const oauth = (summary) => {
+    const operation = publicOp('Auth', summary, {
+        parameters: [pathParam('provider', { type: 'string', enum: oauthProviders })],
+        responses: { 302: { description: 'Redirect' } }
+    });
+
+    return { get: operation };
+};
+
+module.exports = {
+    openapi: '3.0.0',
+    info: {
+        title: 'Spendlist API',
+        version: '1.0.0',
+        description: 'Dates are in DD-MM-YYYY format. Send the access token in the x-access-token header.'
+    },
+    servers: [{ url: '/' }],
+    components: {
+        securitySchemes: {
+            token: { type: 'apiKey', in: 'header', name: 'x-access-token' }
+        },
+        schemas: {
+            ObjectId: { type: 'string', format: 'objectid' },
+            ObjectIdOrEmpty: { type: 'string', format: 'objectid-or-empty' },
+            Day: { type: 'string', format: 'dd-mm-yyyy', example: '31-01-2017' },
+            Message: {
+                type: 'object',
+                properties: { msg: { type: 'string' } }
+            },
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: {
+                        description: 'Error or list of errors',
+                        type: ['object', 'array'],
+                        properties: { msg: { type: 'string' } },
+                        items: {
+                            type: 'object',
+                            properties: {
+                                location: { type: 'string' },
+                                param: { type: 'string' },
+                                msg: { type: 'string' },
+                                value: {}
+                            }
+                        }
+                    }
+                }
+            },
+            Tokens: {
+                type: 'object',
+                required: ['token', 'refreshToken'],
+                properties: {
+                    token: { type: 'string' },
+                    refreshToken: { type: 'string' },
+                    expiresIn: { type: 'string' }
+                }
+            },
+            Currency: {
+                type: 'object',
+                properties: {
+                    _id: objectId,
+                    name: { type: 'string' },
+                    shortcut: { type: 'string' },
+                    symbol: { type: 'string' }
+                }
+            },
+            SplitInput: {
+                type: 'object',
+                required: ['method', 'shares'],
+                properties: {
+                    method: { type: 'string', enum: ['equal', 'percentage', 'exact'] },
+                    shares: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['user'],
+                            properties: {
+                                user: objectId,
+                                percent: { type: 'number', minimum: 0, maximum: 100 },
+                                amount: { type: 'number', minimum: 0 }
+                            }
+                        }
+                    }
+                }
+            },
+            ItemInput: {
+                type: 'object',
+                required: ['category', 'amount'],
+                properties: {
+                    category: { type: 'string', minLength: 1 },
+                    amount: { type: 'number', exclusiveMinimum: true, minimum: 0 },
+                    comment: { type: 'string' }
+                }
+            },
+            ExpenseInput: {
+                description: 'category is required unless the expense has items',
+                type: 'object',
+                required: ['amount', 'date', 'currency'],
+                properties: expenseFields
+            },
+            ExpensePatch: {
+                type: 'object',
+                properties: expenseFields
+            },
+            DigestSettings: {
+                type: 'object',
+                properties: {
+                    weekly: { type: 'boolean', description: 'Sent on Monday for the past week' },
+                    monthly: { type: 'boolean', description: 'Sent on the 1st for the past month' }
+                }
+            },
+            BatchOperation: {
+                type: 'object',
+                required: ['op'],
+                properties: {
+                    op: { type: 'string', enum: ['create', 'update', 'delete'] },
+                    id: objectId,
+                    data: ref('ExpensePatch')
+                }
+            },
+            SyncChange: {
+                type: 'object',
+                required: ['clientId', 'op'],
+                properties: {
+                    clientId: { type: 'string', minLength: 1, maxLength: 100 },
+                    op: { type: 'string', enum: ['create', 'update', 'delete'] },
+                    id: objectId,
+                    updatedAt: { type: 'string', description: 'Of the version of the expense changed' },
+                    data: ref('ExpensePatch')
+                }
+            },
+            SyncResult: {
+                type: 'object',
+                required: ['clientId', 'status'],
+                properties: {
+                    clientId: { type: 'string' },
+                    status: { type: 'string', enum: ['applied', 'conflict', 'error'] },
+                    id: objectId,
+                    expense: { type: ['object', 'null'] },
+                    code: { type: 'integer' },
+                    error: {}
+                }
+            },
+            BatchResult: {
+                type: 'object',
+                required: ['status'],
+                properties: {
+                    status: { type: 'integer' },
+                    id: objectId,
+                    expense: ref('Expense'),
+                    error: {}
+                }
+            },
+            Expense: {
+                type: 'object',
+                required: ['_id', 'amount', 'date', 'category'],
+                properties: {
+                    _id: objectId,
+                    type: { type: 'string', enum: ['expense', 'income'] },
+                    amount: { type: 'number' },
+                    date: { type: 'string' },
+                    category: { type: 'string' },
+                    currency: { type: ['object', 'string'] },
+                    comment: { type: 'string' },
+                    user_id: { type: ['object', 'string'] },
+                    account_id: { type: ['string', 'null'] },
+                    split: { type: 'object' },
+                    items: { type: 'array', items: { type: 'object' } },
+                    tags: { type: 'array', items: { type: 'string' } },
+                    attachments: { type: 'array' },
+                    deletedAt: { type: ['string', 'null'] },
+                    createdAt: { type: 'string' },
+                    updatedAt: { type: 'string' }
+                }
+            },
+            TrashedExpense: {
+                allOf: [ref('Expense'), {
+                    type: 'object',
+                    properties: { purgeAt: { type: 'string' } }
+                }]
+            },
+            Attachment: {
+                type: 'object',
+                required: ['id', 'filename', 'mimeType', 'url'],
+                properties: {
+                    id: objectId,
+                    filename: { type: 'string' },
+                    mimeType: {
+                        type: 'string',
+                        enum: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf']
+                    },
+                    size: { type: 'integer' },
+                    createdAt: { type: 'string' },
+                    url: { type: 'string' },
+                    thumbnailUrl: { type: ['string', 'null'] }
+                }
+            },
+            Revision: {
+                type: 'object',
+                required: ['id', 'expense', 'version', 'action', 'changes'],
+                properties: {
+                    id: objectId,
+                    expense: objectId,
+                    owner: objectId,
+                    version: { type: 'integer' },
+                    action: { type: 'string', enum: ['create', 'update', 'delete', 'revert', 'restore', 'purge'] },
+                    actor: {
+                        type: ['object', 'null'],
+                        properties: { id: objectId, name: { type: 'string' } }
+                    },
+                    changes: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { field: { type: 'string' }, from: {}, to: {} }
+                        }
+                    },
+                    snapshot: { type: 'object' },
+                    revertedTo: { type: 'integer' },
+                    createdAt: { type: 'string' }
+                }
+            },
+            ExpensePage: {
+                type: 'object',
+                required: ['expenses', 'total', 'nextCursor'],
+                properties: {
+                    expenses: { type: 'array', items: ref('Expense') },
+                    currencies: { type: 'array', items: ref('Currency') },
+                    total: { type: 'integer' },
+                    nextCursor: { type: ['string', 'null'] }
+                }
+            },
+            CategoryInput: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    type: { type: 'string', enum: ['expense', 'income'] },
+                    color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' },
+                    icon: { type: 'string', maxLength: 50 },
+                    parent: { type: 'string' }
+                }
+            },
+            Category: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    type: { type: 'string' },
+                    color: { type: ['string', 'null'] },
+                    icon: { type: ['string', 'null'] },
+                    parent: { type: ['string', 'null'] }
+                }
+            },
+            BudgetInput: {
+                type: 'object',
+                required: ['category', 'amount'],
+                properties: {
+                    category: { type: 'string', minLength: 1 },
+                    amount: { type: 'number', minimum: 0 },
+                    currency: objectId,
+                    period: { type: 'string', enum: ['week', 'month'] },
+                    scope: { type: 'string', enum: ['personal', 'family'] },
+                    alertAt: { type: 'integer', minimum: 1, maximum: 100 }
+                }
+            },
+            RecurringInput: {
+                type: 'object',
+                required: ['amount', 'category', 'currency', 'frequency', 'startDate'],
+                properties: recurringFields
+            },
+            AccountInput: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    type: { type: 'string', enum: ['cash', 'card', 'savings'] },
+                    currency: objectId,
+                    openingBalance: { type: 'number' }
+                }
+            },
+            TransferInput: {
+                type: 'object',
+                required: ['from', 'to', 'amount', 'date'],
+                properties: {
+                    from: objectId,
+                    to: objectId,
+                    amount: { type: 'number', minimum: 0.01 },
+                    toAmount: { type: 'number', minimum: 0.01 },
+                    date: day,
+                    comment: { type: 'string' }
+                }
+            },
+            SettlementInput: {
+                type: 'object',
+                required: ['to', 'amount', 'currency'],
+                properties: {
+                    from: objectId,
+                    to: objectId,
+                    amount: { type: 'number', minimum: 0.01 },
+                    currency: objectId,
+                    date: day,
+                    comment: { type: 'string' }
+                }
+            },
+            Household: {
+                type: 'object',
+                properties: {
+                    household: {
+                        type: ['object', 'null'],
+                        properties: {
+                            _id: objectId,
+                            name: { type: 'string' },
+                            members: { type: 'array' },
+                            invitations: { type: 'array' }
+                        }
+                    }
+                }
+            },
+            Report: {
+                type: 'object',
+                required: ['total', 'count', 'groups'],
+                properties: {
+                    from: { type: 'string' },
+                    to: { type: 'string' },
+                    groupBy: { type: 'string' },
+                    currency: { type: ['string', 'null'] },
+                    total: { type: 'number' },
+                    count: { type: 'integer' },
+                    average: { type: 'number' },
+                    unconverted: { type: 'object' },
+                    groups: { type: 'array' }
+                }
+            }
+        }
+    },
+    paths: {
+        '/api/docs': {
+            get: publicOp('Docs', 'This OpenAPI document', { responses: responses({ type: 'object' }) })
+        },
+        '/api/login': {
+            post: publicOp('Auth', 'Sign in with email and password', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['email', 'password'],
+                    properties: {
+                        email: { type: 'string', format: 'email' },
+                        password: { type: 'string', minLength: 1 }
+                    }
+                }),
+                responses: responses(ref('Tokens'), forbidden)
+            })
+        },
+        '/api/account/restore': {
+            post: publicOp('Auth', 'Restore a deleted account within the retention period and sign in', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['email', 'password'],
+                    properties: {
+                        email: { type: 'string', format: 'email' },
+                        password: { type: 'string', minLength: 1 }
+                    }
+                }),
+                responses: responses(ref('Tokens'))
+            })
+        },
+        '/api/digest/unsubscribe/{token}': {
+            post: publicOp('Account', 'Opt out of all digests with the link of a digest email', {
+                parameters: [pathParam('token', { type: 'string' })],
+                responses: responses(undefined, notFound)
+            })
+        },
+        '/api/token/refresh': {
+            post: publicOp('Auth', 'Exchange a refresh token for new tokens', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['refreshToken'],
+                    properties: { refreshToken: { type: 'string', minLength: 1 } }
+                }),
+                responses: responses(ref('Tokens'))
+            })
+        },
+        '/api/logout': {
+            post: op('Auth', 'Revoke the current session')
+        },
+        '/api/sessions': {
+            get: op('Auth', 'Active sessions', { responses: responses(list('sessions', { type: 'object' })) }),
+            delete: op('Auth', 'Revoke all sessions')
+        },
+        '/api/sessions/{id}': {
+            delete: op('Auth', 'Revoke a session', {
+                parameters: [pathParam('id')],
+                responses: responses(undefined, notFound)
+            })
+        },
+        '/api/forgot': {
+            post: publicOp('Auth', 'Send a password reset email', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['email'],
+                    properties: { email: { type: 'string', format: 'email' } }
+                })
+            })
+        },
+        '/api/reset/{token}': {
+            post: publicOp('Auth', 'Reset the password', {
+                parameters: [pathParam('token', { type: 'string' })],
+                requestBody: body({
+                    type: 'object',
+                    required: ['password', 'confirm'],
+                    properties: {
+                        password: { type: 'string', minLength: 4 },
+                        confirm: { type: 'string' }
+                    }
+                })
+            })
+        },
+        '/api/signup': {
+            post: publicOp('Auth', 'Create an account', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['email', 'password', 'confirmPassword', 'recaptchaResponse'],
+                    properties: {
+                        email: { type: 'string', format: 'email' },
+                        password: { type: 'string', minLength: 4 },
+                        confirmPassword: { type: 'string' },
+                        recaptchaResponse: { type: 'string', minLength: 1 }
+                    }
+                }),
+                responses: responses({ type: 'object' })
+            })
+        },
+        '/api/contact': {
+            post: publicOp('Contact', 'Send a message to the team', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['name', 'email', 'message'],
+                    properties: {
+                        name: { type: 'string', minLength: 1 },
+                        email: { type: 'string', format: 'email' },
+                        message: { type: 'string', minLength: 1 }
+                    }
+                })
+            })
+        },
+        '/api/currencies': {
+            get: op('Expenses', 'Currencies', { responses: responses(list('currencies', ref('Currency'))) })
+        },
+        '/api/expenses': {
+            get: op('Expenses', 'Page of own and family expenses (use /api/v1/expenses)', {
+                parameters: listParameters,
+                responses: responses(ref('ExpensePage'))
+            })
+        },
+        '/api/expenses/export': {
+            get: op('Expenses', 'Export expenses (use /api/v1/expenses/export)', {
+                parameters: exportParameters,
+                responses: { 200: { description: 'File in the requested format' } }
+            })
+        },
+        '/api/expenses/batch': {
+            post: op('Expenses', 'Create, update and delete many expenses at once, undone if one fails', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['operations'],
+                    properties: {
+                        operations: {
+                            type: 'array',
+                            minItems: 1,
+                            maxItems: 100,
+                            items: ref('BatchOperation')
+                        }
+                    }
+                }),
+                responses: responses(list('results', ref('BatchResult')), {
+                    409: { description: 'An expense changed while applying, those applied undone', content: json(ref('Error')) }
+                })
+            })
+        },
+        '/api/sync': {
+            get: op('Sync', 'Changes since the cursor of the last sync, everything without one', {
+                parameters: [query('since', { type: 'string' }, 'cursor of the last sync')],
+                responses: responses({
+                    type: 'object',
+                    properties: {
+                        expenses: { type: 'array', items: ref('Expense') },
+                        deleted: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: { id: objectId, deletedAt: { type: 'string' } }
+                            }
+                        },
+                        categories: { type: ['array', 'null'], items: ref('Category') },
+                        currencies: { type: 'array', items: ref('Currency') },
+                        cursor: { type: 'string' }
+                    }
+                })
+            }),
+            post: op('Sync', 'Apply changes made offline, reporting conflicts', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['changes'],
+                    properties: {
+                        changes: {
+                            type: 'array',
+                            minItems: 1,
+                            maxItems: 100,
+                            items: ref('SyncChange')
+                        }
+                    }
+                }),
+                responses: responses(list('results', ref('SyncResult')))
+            })
+        },
+        '/api/events': {
+            get: op('Events', 'Server-Sent Events stream of changes to own and family expenses', {
+                parameters: [
+                    query('token', { type: 'string' }, 'Access token, for clients that can not set headers'),
+                    query('lastEventId', { type: 'string' }, 'Resume after this event, like Last-Event-ID')
+                ],
+                responses: {
+                    200: {
+                        description: 'expense.created, expense.updated, expense.deleted and reset events',
+                        content: { 'text/event-stream': { schema: { type: 'string' } } }
+                    },
+                    401: { description: 'Not signed in', content: json(ref('Error')) }
+                }
+            })
+        },
+        '/api/expenses/add': {
+            post: op('Expenses', 'Add expense', {
+                deprecated: true,
+                requestBody: body(ref('ExpenseInput')),
+                responses: responses(ref('Expense'))
+            })
+        },
+        '/api/expenses/edit': {
+            post: op('Expenses', 'Edit expense', {
+                deprecated: true,
+                requestBody: body({
+                    allOf: [ref('ExpenseInput'), { type: 'object', required: ['id'], properties: { id: objectId } }]
+                }),
+                responses: responses(undefined, Object.assign({}, notFound, forbidden))
+            })
+        },
+        '/api/expenses/delete': {
+            get: op('Expenses', 'Delete expense', {
+                deprecated: true,
+                parameters: [Object.assign(query('id', objectId), { required: true })],
+                responses: responses(undefined, Object.assign({}, notFound, forbidden))
+            })
+        },
+        '/api/v1/expenses': {
+            get: op('Expenses', 'Page of own and family expenses, newest first', {
+                parameters: listParameters,
+                responses: responses(ref('ExpensePage'))
+            }),
+            post: op('Expenses', 'Add expense or income', {
+                requestBody: body(ref('ExpenseInput')),
+                responses: Object.assign(responses(), {
+                    201: { description: 'Created', content: json(ref('Expense')) }
+                })
+            })
+        },
+        '/api/v1/expenses/export': {
+            get: op('Expenses', 'Download expenses as csv, ofx or json', {
+                parameters: exportParameters,
+                responses: { 200: { description: 'File in the requested format' } }
+            })
+        },
+        '/api/v1/expenses/{id}': {
+            get: op('Expenses', 'Expense with its ETag', {
+                parameters: [pathParam('id')],
+                responses: responses(ref('Expense'), notFound)
+            }),
+            put: op('Expenses', 'Replace expense', {
+                parameters: [pathParam('id')],
+                requestBody: body(ref('ExpenseInput')),
+                responses: responses(ref('Expense'), Object.assign({}, notFound, forbidden, locked))
+            }),
+            patch: op('Expenses', 'Update some fields of the expense', {
+                parameters: [pathParam('id')],
+                requestBody: body(ref('ExpensePatch')),
+                responses: responses(ref('Expense'), Object.assign({}, notFound, forbidden, locked))
+            }),
+            delete: op('Expenses', 'Move expense to the trash', {
+                parameters: [pathParam('id')],
+                responses: Object.assign({ 204: { description: 'Trashed' } }, notFound, forbidden, locked)
+            })
+        },
+        '/api/v1/expenses/{id}/history': {
+            get: op('History', 'Every version of the expense, oldest first', {
+                parameters: [pathParam('id')],
+                responses: responses(list('history', ref('Revision')), notFound)
+            })
+        },
+        '/api/v1/expenses/{id}/revert': {
+            post: op('History', 'Restore a previous version, undeleting the expense if needed', {
+                parameters: [pathParam('id')],
+                requestBody: body({
+                    type: 'object',
+                    required: ['version'],
+                    properties: { version: { type: 'integer', minimum: 1 } }
+                }),
+                responses: responses(ref('Expense'), Object.assign({}, notFound, forbidden, {
+                    412: locked[412]
+                }))
+            })
+        },
+        '/api/v1/expenses/{id}/attachments': {
+            get: op('Attachments', 'Receipts attached to the expense', {
+                parameters: [pathParam('id')],
+                responses: responses(list('attachments', ref('Attachment')), notFound)
+            }),
+            post: op('Attachments', 'Attach JPEG, PNG, GIF or WebP images or PDFs (10 MB each by default)', {
+                parameters: [pathParam('id')],
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: {
+                                type: 'object',
+                                required: ['files'],
+                                properties: {
+                                    files: { type: 'array', maxItems: 10, items: { type: 'string', format: 'binary' } }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: Object.assign(responses(), {
+                    201: { description: 'Attached', content: json(list('attachments', ref('Attachment'))) }
+                }, notFound, forbidden)
+            })
+        },
+        '/api/v1/expenses/{id}/attachments/{attachmentId}': {
+            get: op('Attachments', 'Download the attached file', {
+                parameters: [pathParam('id'), pathParam('attachmentId')],
+                responses: Object.assign({ 200: { description: 'The file' } }, notFound)
+            }),
+            delete: op('Attachments', 'Delete the attachment', {
+                parameters: [pathParam('id'), pathParam('attachmentId')],
+                responses: responses(undefined, Object.assign({}, notFound, forbidden))
+            })
+        },
+        '/api/v1/expenses/{id}/attachments/{attachmentId}/thumbnail': {
+            get: op('Attachments', 'JPEG thumbnail of an attached image', {
+                parameters: [pathParam('id'), pathParam('attachmentId')],
+                responses: Object.assign({ 200: { description: 'The thumbnail' } }, notFound)
+            })
+        },
+        '/api/v1/trash': {
+            get: op('Trash', 'Own and family expenses in the trash, last deleted first', {
+                parameters: [query('limit', { type: 'integer', minimum: 1 })],
+                responses: responses({
+                    type: 'object',
+                    properties: {
+                        expenses: { type: 'array', items: ref('TrashedExpense') },
+                        total: { type: 'integer' },
+                        retentionDays: { type: 'integer' }
+                    }
+                })
+            }),
+            delete: op('Trash', 'Permanently delete own expenses in the trash', {
+                responses: responses({
+                    type: 'object',
+                    properties: { purged: { type: 'integer' }, msg: { type: 'string' } }
+                })
+            })
+        },
+        '/api/v1/trash/{id}/restore': {
+            post: op('Trash', 'Take the expense out of the trash', {
+                parameters: [pathParam('id')],
+                responses: responses(ref('Expense'), Object.assign({}, notFound, forbidden))
+            })
+        },
+        '/api/v1/trash/{id}': {
+            delete: op('Trash', 'Permanently delete the expense in the trash', {
+                parameters: [pathParam('id')],
+                responses: Object.assign({ 204: { description: 'Purged' } }, notFound, forbidden)
+            })
+        },
+        '/api/categories': {
+            get: op('Categories', 'Categories', { responses: responses(list('categories', ref('Category'))) }),
+            post: op('Categories', 'Add category', {
+                requestBody: body({ allOf: [ref('CategoryInput'), { required: ['name'] }] }),
+                responses: responses(list('categories', ref('Category')))
+            })
+        },
+        '/api/categories/reorder': {
+            post: op('Categories', 'Reorder categories', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['names'],
+                    properties: { names: { type: ['array', 'string'], items: { type: 'string' } } }
+                }),
+                responses: responses(list('categories', ref('Category')))
+            })
+        },
+        '/api/categories/{name}': {
+            put: op('Categories', 'Edit or rename category', {
+                parameters: [pathParam('name', { type: 'string' })],
+                requestBody: body(ref('CategoryInput')),
+                responses: responses(list('categories', ref('Category')), notFound)
+            }),
+            delete: op('Categories', 'Delete category', {
+                parameters: [
+                    pathParam('name', { type: 'string' }),
+                    query('replacement', { type: 'string' }, 'Category taking over the expenses')
+                ],
+                responses: responses(list('categories', ref('Category')), notFound)
+            })
+        },
+        '/api/categories/{name}/merge': {
+            post: op('Categories', 'Merge category into another one', {
+                parameters: [pathParam('name', { type: 'string' })],
+                requestBody: body({
+                    type: 'object',
+                    required: ['into'],
+                    properties: { into: { type: 'string', minLength: 1 } }
+                }),
+                responses: responses(list('categories', ref('Category')), notFound)
+            })
+        },
+        '/api/import': {
+            post: op('Import', 'Upload a bank statement and get a preview', {
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: {
+                                type: 'object',
+                                required: ['file'],
+                                properties: Object.assign({ file: { type: 'string', format: 'binary' } }, importOptions)
+                            }
+                        }
+                    }
+                },
+                responses: responses({ type: 'object' })
+            })
+        },
+        '/api/import/{id}': {
+            get: op('Import', 'Import preview', {
+                parameters: [pathParam('id')],
+                responses: responses({ type: 'object' }, notFound)
+            }),
+            put: op('Import', 'Change import options', {
+                parameters: [pathParam('id')],
+                requestBody: body({ type: 'object', properties: importOptions }),
+                responses: responses({ type: 'object' }, notFound)
+            }),
+            delete: op('Import', 'Delete import', {
+                parameters: [pathParam('id')],
+                responses: responses(undefined, notFound)
+            })
+        },
+        '/api/import/{id}/commit': {
+            post: op('Import', 'Create expenses from the preview', {
+                parameters: [pathParam('id')],
+                requestBody: body({
+                    type: 'object',
+                    properties: { exclude: { type: ['array', 'integer'], items: { type: 'integer' } } }
+                }, false),
+                responses: responses({ type: 'object' }, notFound)
+            })
+        },
+        '/api/reports': {
+            get: op('Reports', 'Totals of expenses or income in the base currency', {
+                parameters: [
+                    query('from', day),
+                    query('to', day),
+                    query('groupBy', {
+                        type: 'string',
+                        enum: ['category', 'tag', 'member', 'currency', 'day', 'week', 'month']
+                    }),
+                    query('categories', { type: 'string' }, 'Comma separated category names'),
+                    query('tags', { type: 'string' }, 'Comma separated tags, any of them'),
+                    query('member', objectId),
+                    query('currency', objectId),
+                    query('type', { type: 'string', enum: ['expense', 'income'] })
+                ],
+                responses: responses(ref('Report'))
+            })
+        },
+        '/api/reports/cashflow': {
+            get: op('Reports', 'Income, expenses and net per period and member', {
+                parameters: [
+                    query('from', day),
+                    query('to', day),
+                    query('period', { type: 'string', enum: ['day', 'week', 'month'] }),
+                    query('member', objectId)
+                ],
+                responses: responses({ type: 'object' })
+            })
+        },
+        '/api/rates': {
+            get: op('Rates', 'Exchange rates effective on a date', {
+                parameters: [query('date', day)],
+                responses: responses({ type: 'object' })
+            }),
+            post: op('Rates', 'Load exchange rates (admin only)', {
+                requestBody: body({
+                    type: 'object',
+                    properties: {
+                        rates: { type: 'array', items: { type: 'object' } },
+                        format: { type: 'string', enum: ['csv', 'json'] },
+                        data: { type: 'string' }
+                    }
+                }),
+                responses: responses({ type: 'object' }, forbidden)
+            })
+        },
+        '/api/budgets': {
+            get: op('Budgets', 'Own and family budgets', { responses: responses(list('budgets', { type: 'object' })) }),
+            post: op('Budgets', 'Add budget', { requestBody: body(ref('BudgetInput')), responses: responses({ type: 'object' }) })
+        },
+        '/api/budgets/progress': {
+            get: op('Budgets', 'Progress of every budget', {
+                parameters: [query('date', day)],
+                responses: responses(list('budgets', { type: 'object' }))
+            })
+        },
+        '/api/budgets/{id}': {
+            get: op('Budgets', 'Budget with its progress', {
+                parameters: [pathParam('id')],
+                responses: responses({ type: 'object' }, notFound)
+            }),
+            put: op('Budgets', 'Edit budget', {
+                parameters: [pathParam('id')],
+                requestBody: body(ref('BudgetInput')),
+                responses: responses({ type: 'object' }, notFound)
+            }),
+            delete: op('Budgets', 'Delete budget', {
+                parameters: [pathParam('id')],
+                responses: responses(undefined, notFound)
+            })
+        },
+        '/api/accounts': {
+            get: op('Accounts', 'Own accounts', { responses: responses(list('accounts', { type: 'object' })) }),
+            post: op('Accounts', 'Add account', {
+                requestBody: body({ allOf: [ref('AccountInput'), { required: ['currency'] }] }),
+                responses: responses({ type: 'object' })
+            })
+        },
+        '/api/accounts/balances': {
+            get: op('Accounts', 'Current balance of every account', {
+                responses: responses(list('balances', { type: 'object' }))
+            })
+        },
+        '/api/accounts/{id}': {
+            put: op('Accounts', 'Edit account', {
+                parameters: [pathParam('id')],
+                requestBody: body(ref('AccountInput')),
+                responses: responses({ type: 'object' }, notFound)
+            }),
+            delete: op('Accounts', 'Delete unused account', {
+                parameters: [pathParam('id')],
+                responses: responses(undefined, notFound)
+            })
+        },
+        '/api/transfers': {
+            get: op('Accounts', 'Own transfers', {
+                parameters: [query('account', objectId)],
+                responses: responses(list('transfers', { type: 'object' }))
+            }),
+            post: op('Accounts', 'Move money between accounts', {
+                requestBody: body(ref('TransferInput')),
+                responses: responses({ type: 'object' })
+            })
+        },
+        '/api/transfers/{id}': {
+            delete: op('Accounts', 'Delete transfer', {
+                parameters: [pathParam('id')],
+                responses: responses(undefined, notFound)
+            })
+        },
+        '/api/household': {
+            get: op('Household', 'Household with members and invitations', { responses: responses(ref('Household')) }),
+            post: op('Household', 'Create a household', {
+                requestBody: body({ type: 'object', properties: { name: { type: 'string' } } }, false),
+                responses: responses(ref('Household'))
+            }),
+            put: op('Household', 'Rename the household (owners)', {
+                requestBody: body({ type: 'object', properties: { name: { type: 'string' } } }),
+                responses: responses(ref('Household'), Object.assign({}, notFound, forbidden))
+            })
+        },
+        '/api/household/activity': {
+            get: op('History', 'Latest changes to own and family expenses, newest first', {
+                parameters: [
+                    query('member', objectId),
+                    query('limit', { type: 'integer', minimum: 1 }),
+                    query('cursor', objectId, 'nextCursor of the previous page')
+                ],
+                responses: responses({
+                    type: 'object',
+                    required: ['activity', 'nextCursor'],
+                    properties: {
+                        activity: { type: 'array', items: ref('Revision') },
+                        nextCursor: { type: ['string', 'null'] }
+                    }
+                })
+            })
+        },
+        '/api/household/leave': {
+            post: op('Household', 'Leave the household', { responses: responses(undefined, notFound) })
+        },
+        '/api/household/settings': {
+            put: op('Household', 'Own household settings', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['allowEdits'],
+                    properties: { allowEdits: { type: 'boolean' } }
+                }),
+                responses: responses(ref('Household'), notFound)
+            })
+        },
+        '/api/household/members/{id}': {
+            put: op('Household', 'Change the role of a member (owners)', {
+                parameters: [pathParam('id')],
+                requestBody: body({
+                    type: 'object',
+                    required: ['role'],
+                    properties: { role: { type: 'string', enum: ['owner', 'member', 'viewer'] } }
+                }),
+                responses: responses(ref('Household'), Object.assign({}, notFound, forbidden))
+            }),
+            delete: op('Household', 'Remove a member (owners)', {
+                parameters: [pathParam('id')],
+                responses: responses(undefined, Object.assign({}, notFound, forbidden))
+            })
+        },
+        '/api/household/invitations': {
+            get: op('Household', 'Invitations sent to the user', {
+                responses: responses(list('invitations', { type: 'object' }))
+            }),
+            post: op('Household', 'Invite someone by email (owners)', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['email'],
+                    properties: {
+                        email: { type: 'string', format: 'email' },
+                        role: { type: 'string', enum: ['member', 'viewer'] }
+                    }
+                }),
+                responses: responses(undefined, forbidden)
+            })
+        },
+        '/api/household/invitations/{token}': {
+            delete: op('Household', 'Revoke an invitation (owners)', {
+                parameters: [pathParam('token', { type: 'string' })],
+                responses: responses(ref('Household'), Object.assign({}, notFound, forbidden))
+            })
+        },
+        '/api/household/invitations/{token}/accept': {
+            post: op('Household', 'Join the household of the invitation', {
+                parameters: [pathParam('token', { type: 'string' })],
+                responses: responses(ref('Household'), notFound)
+            })
+        },
+        '/api/household/invitations/{token}/decline': {
+            post: op('Household', 'Decline the invitation', {
+                parameters: [pathParam('token', { type: 'string' })],
+                responses: responses(undefined, notFound)
+            })
+        },
+        '/api/settlements': {
+            get: op('Settlements', 'Settlements between household members', {
+                responses: responses(list('settlements', { type: 'object' }))
+            }),
+            post: op('Settlements', 'Record a settle-up payment', {
+                requestBody: body(ref('SettlementInput')),
+                responses: responses({ type: 'object' })
+            })
+        },
+        '/api/settlements/balances': {
+            get: op('Settlements', 'Who owes whom and the payments settling it', {
+                responses: responses({
+                    type: 'object',
+                    properties: { balances: { type: 'array' }, payments: { type: 'array' } }
+                })
+            })
+        },
+        '/api/settlements/{id}': {
+            delete: op('Settlements', 'Delete settlement', {
+                parameters: [pathParam('id')],
+                responses: responses(undefined, notFound)
+            })
+        },
+        '/api/recurring': {
+            get: op('Recurring', 'Recurring expenses', { responses: responses(list('recurring', { type: 'object' })) }),
+            post: op('Recurring', 'Add recurring expense', {
+                requestBody: body(ref('RecurringInput')),
+                responses: responses({ type: 'object' })
+            })
+        },
+        '/api/recurring/{id}': {
+            put: op('Recurring', 'Edit recurring expense', {
+                parameters: [pathParam('id')],
+                requestBody: body(ref('RecurringInput')),
+                responses: responses({ type: 'object' }, notFound)
+            }),
+            delete: op('Recurring', 'Delete recurring expense', {
+                parameters: [pathParam('id')],
+                responses: responses(undefined, notFound)
+            })
+        },
+        '/api/recurring/{id}/pause': {
+            post: op('Recurring', 'Pause the series', { parameters: [pathParam('id')], responses: responses({ type: 'object' }, notFound) })
+        },
+        '/api/recurring/{id}/resume': {
+            post: op('Recurring', 'Resume the series', { parameters: [pathParam('id')], responses: responses({ type: 'object' }, notFound) })
+        },
+        '/api/recurring/{id}/skip': {
+            post: op('Recurring', 'Skip the next occurrence', { parameters: [pathParam('id')], responses: responses({ type: 'object' }, notFound) })
+        },
+        '/api/recurring/{id}/end': {
+            post: op('Recurring', 'End the series', {
+                parameters: [pathParam('id')],
+                requestBody: body({ type: 'object', properties: { endDate: day } }, false),
+                responses: responses({ type: 'object' }, notFound)
+            })
+        },
+        '/api/account': {
+            get: op('Account', 'Own account', { responses: responses({ type: 'object' }) })
+        },
+        '/api/account/profile': {
+            post: op('Account', 'Update profile', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['email'],
+                    properties: {
+                        email: { type: 'string', format: 'email' },
+                        name: { type: 'string' },
+                        gender: { type: 'string' },
+                        location: { type: 'string' },
+                        website: { type: 'string' }
+                    }
+                }),
+                responses: responses({ type: 'object' })
+            })
+        },
+        '/api/account/password': {
+            post: op('Account', 'Change password and sign out everywhere', {
+                requestBody: body({
+                    type: 'object',
+                    required: ['password', 'confirmPassword'],
+                    properties: {
+                        password: { type: 'string', minLength: 4 },
+                        confirmPassword: { type: 'string' }
+                    }
+                })
+            })
+        },
+        '/api/account/currency': {
+            post: op('Account', 'Change the base currency', {
+                requestBody: body({ type: 'object', required: ['currency'], properties: { currency: objectId } }),
+                responses: responses({ type: 'object' }, notFound)
+            })
+        },
+        '/api/account/digest': {
+            get: op('Account', 'Spending digests the user gets by email', {
+                responses: responses(ref('DigestSettings'))
+            }),
+            put: op('Account', 'Opt in to or out of the weekly and monthly digests', {
+                requestBody: body(ref('DigestSettings')),
+                responses: responses(ref('DigestSettings'))
+            })
+        },
+        '/api/account/delete': {
+            post: op('Account', 'Delete the account, restorable until the retention period is over', {
+                responses: responses({
+                    type: 'object',
+                    properties: { purgeAt: { type: 'string' }, msg: { type: 'string' } }
+                })
+            })
+        },
+        '/api/account/unlink/{provider}': {
+            get: op('Account', 'Unlink an OAuth provider', {
+                parameters: [pathParam('provider', {
+                    type: 'string',
+                    enum: ['facebook', 'twitter', 'google', 'github', 'instagram', 'linkedin', 'steam']
+                })]
+            })
+        },
+        '/auth/{provider}': oauth('Sign in with an OAuth provider'),
+        '/auth/{provider}/callback': oauth('OAuth provider callback')
+    }
+};
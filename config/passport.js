@@ -3,7 +3,7 @@ const LocalStrategy = require('passport-local').Strategy;
 const FacebookStrategy = require('passport-facebook').Strategy;
 const GitHubStrategy = require('passport-github').Strategy;
 const GoogleStrategy = require('passport-google-oauth').OAuth2Strategy;
-const defaultCategories = require('../constants').categories;
+const defaultCategories = require('../constants').defaultCategories;
 const User = require('../models/User');
 
 passport.serializeUser((user, done) => {
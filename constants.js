@@ -9,3 +9,16 @@ exports.categories = [
     'Rent',
     'Transport'
 ];
+
+exports.incomeCategories = [
+    'Gifts',
+    'Refunds',
+    'Salary'
+];
+
+/**
+* Categories new accounts start with.
+*/
+exports.defaultCategories = exports.categories
+    .map(name => ({ name, type: 'expense' }))
+    .concat(exports.incomeCategories.map(name => ({ name, type: 'income' })));
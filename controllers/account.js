@@ -0,0 +1,168 @@
+const Account = require('../models/Account');
+const Expense = require('../models/Expense');
+const Transfer = require('../models/Transfer');
+const accounts = require('../helpers/accounts');
+
+const async = require('async');
+const mongoose = require('mongoose');
+
+const validateAccount = (req) => {
+    req.assert('name', 'Name can not be blank').notEmpty();
+    req.assert('type', `Type must be one of ${accounts.types.join(', ')}`)
+        .optional().isIn(accounts.types);
+    req.assert('openingBalance', 'Opening balance must be a number').optional().isFloat();
+};
+
+/**
+* GET /api/accounts
+* Show own accounts.
+*/
+exports.getAccounts = (req, res, next) => {
+    Account.find({ user_id: mongoose.Types.ObjectId(req.user.id) })
+        .populate('currency')
+        .sort({ name: 1 })
+        .exec((err, result) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get accounts' } });
+
+                return next(err);
+            }
+
+            res.status(200).json({ accounts: result });
+        });
+};
+
+/**
+* GET /api/accounts/balances
+* Show the current balance of every own account, computed from its history.
+*/
+exports.getBalances = (req, res, next) => {
+    Account.find({ user_id: mongoose.Types.ObjectId(req.user.id) })
+        .populate('currency')
+        .sort({ name: 1 })
+        .exec((err, result) => {
+            if (err) { return next(err); }
+
+            accounts.getBalances(result, (err, balances) => {
+                if (err) {
+                    res.status(400).json({ error: { msg: 'Can not get balances' } });
+
+                    return next(err);
+                }
+
+                res.status(200).json({ balances });
+            });
+        });
+};
+
+/**
+* POST /api/accounts
+* Add account. Body: name, type (cash, card or savings), currency, openingBalance.
+*/
+exports.addAccount = (req, res) => {
+    validateAccount(req);
+    req.assert('currency', 'Currency is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const account = new Account({
+        name: req.body.name,
+        type: req.body.type || 'cash',
+        currency: mongoose.Types.ObjectId(req.body.currency),
+        openingBalance: req.body.openingBalance || 0,
+        user_id: mongoose.Types.ObjectId(req.user.id)
+    });
+
+    account.save((err) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        res.status(200).json(account);
+    });
+};
+
+/**
+* PUT /api/accounts/:id
+* Edit account. The currency of an account can not be changed.
+*/
+exports.editAccount = (req, res) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+    validateAccount(req);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    Account.findOneAndUpdate(
+        { _id: req.params.id, user_id: mongoose.Types.ObjectId(req.user.id) },
+        {
+            name: req.body.name,
+            type: req.body.type || 'cash',
+            openingBalance: req.body.openingBalance || 0
+        },
+        { new: true },
+        (err, account) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+            if (!account) {
+                return res.status(404).json({ error: { msg: 'Account not found' } });
+            }
+
+            res.status(200).json(account);
+        }
+    );
+};
+
+/**
+* DELETE /api/accounts/:id
+* Delete account. Accounts used by expenses or transfers can not be deleted.
+*/
+exports.deleteAccount = (req, res, next) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const id = mongoose.Types.ObjectId(req.params.id);
+
+    Account.findOne({ _id: id, user_id: mongoose.Types.ObjectId(req.user.id) }, (err, account) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+        if (!account) {
+            return res.status(404).json({ error: { msg: 'Account not found' } });
+        }
+
+        async.parallel({
+            expenses: done => Expense.count({ account_id: id }, done),
+            transfers: done => Transfer.count({ $or: [{ from: id }, { to: id }] }, done)
+        }, (err, used) => {
+            if (err) { return next(err); }
+
+            if (used.expenses || used.transfers) {
+                return res.status(400).json({
+                    error: { msg: 'Account is used by expenses or transfers', count: used }
+                });
+            }
+
+            account.remove((err) => {
+                if (err) {
+                    return res.status(500).json({ error: err });
+                }
+
+                res.status(200).json({ id: req.params.id, msg: 'Account deleted' });
+            });
+        });
+    });
+};
@@ -0,0 +1,197 @@
+const Expense = require('../models/Expense');
+const attachments = require('../helpers/attachments');
+const storage = require('../helpers/storage');
+
+const async = require('async');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: attachments.getMaxSize(), files: attachments.MAX_FILES }
+}).array('files', attachments.MAX_FILES);
+
+const uploadErrors = {
+    LIMIT_FILE_SIZE: 'File is too large',
+    LIMIT_FILE_COUNT: `At most ${attachments.MAX_FILES} files can be uploaded`,
+    LIMIT_UNEXPECTED_FILE: `Upload files in the files field, at most ${attachments.MAX_FILES}`
+};
+
+const findAttachment = (req, res, cb) => {
+    const attachment = req.expense.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+        return res.status(404).json({ error: { msg: 'Attachment not found' } });
+    }
+
+    cb(attachment);
+};
+
+const sendFile = (res, key) => {
+    storage.get().createReadStream(key)
+        .on('error', () => {
+            if (!res.headersSent) {
+                res.removeHeader('Content-Type');
+                res.removeHeader('Content-Disposition');
+                res.status(404).json({ error: { msg: 'File not found' } });
+            }
+        })
+        .pipe(res);
+};
+
+/**
+* Saves the file and its thumbnail, calling back with the attachment to store.
+*/
+const saveFile = (expense, file, cb) => {
+    const type = attachments.detectType(file.buffer);
+    const key = `${expense.id}/${crypto.randomBytes(12).toString('hex')}${type.extension}`;
+
+    async.waterfall([
+        done => storage.get().save(key, file.buffer, done),
+        done => attachments.createThumbnail(file.buffer, type.mimeType, done),
+        (thumbnail, done) => {
+            if (!thumbnail) {
+                return done(null, null);
+            }
+
+            storage.get().save(`${key}.thumb.jpg`, thumbnail, err => done(err, `${key}.thumb.jpg`));
+        }
+    ], (err, thumbnailKey) => cb(err, {
+        filename: file.originalname,
+        mimeType: type.mimeType,
+        size: file.size,
+        key,
+        thumbnailKey: thumbnailKey || undefined
+    }));
+};
+
+/**
+* Middleware parsing the multipart upload of the files field.
+*/
+exports.uploadAttachments = (req, res, next) => {
+    upload(req, res, (err) => {
+        if (err) {
+            const msg = uploadErrors[err.code] || 'Files can not be uploaded';
+
+            return res.status(400).json({ error: { msg } });
+        }
+
+        next();
+    });
+};
+
+/**
+* GET /api/v1/expenses/:id/attachments
+* Show receipts attached to the expense.
+*/
+exports.getAttachments = (req, res) => {
+    res.status(200).json({
+        attachments: req.expense.attachments.map(el => attachments.format(req.expense.id, el))
+    });
+};
+
+/**
+* POST /api/v1/expenses/:id/attachments
+* Attach receipt images or PDFs uploaded in the files field.
+*/
+exports.addAttachments = (req, res) => {
+    const files = req.files || [];
+    const expense = req.expense;
+
+    if (!files.length) {
+        return res.status(400).json({ error: { msg: 'No files uploaded' } });
+    }
+    if (expense.attachments.length + files.length > attachments.MAX_FILES) {
+        return res.status(400).json({
+            error: { msg: `An expense can have at most ${attachments.MAX_FILES} attachments` }
+        });
+    }
+
+    const invalid = files.find(el => !attachments.detectType(el.buffer));
+
+    if (invalid) {
+        return res.status(400).json({
+            error: { msg: `${invalid.originalname} is not a JPEG, PNG, GIF or WebP image or a PDF` }
+        });
+    }
+
+    async.mapSeries(files, (file, done) => saveFile(expense, file, done), (err, added) => {
+        if (err) {
+            return attachments.removeFiles((added || []).filter(Boolean), () => {
+                res.status(500).json({ error: err });
+            });
+        }
+
+        Expense.findByIdAndUpdate(
+            expense._id,
+            { $push: { attachments: { $each: added } } },
+            { new: true },
+            (err, updated) => {
+                if (err || !updated) {
+                    return attachments.removeFiles(added, () => res.status(err ? 500 : 404).json({
+                        error: err || { msg: 'Expense not found' }
+                    }));
+                }
+
+                const ids = updated.attachments.slice(-added.length);
+
+                res.status(201).json({
+                    attachments: ids.map(el => attachments.format(updated.id, el))
+                });
+            }
+        );
+    });
+};
+
+/**
+* GET /api/v1/expenses/:id/attachments/:attachmentId
+* Download the attached file.
+*/
+exports.getAttachment = (req, res) => {
+    findAttachment(req, res, (attachment) => {
+        res.attachment(attachment.filename);
+        res.type(attachment.mimeType);
+        sendFile(res, attachment.key);
+    });
+};
+
+/**
+* GET /api/v1/expenses/:id/attachments/:attachmentId/thumbnail
+* Download the JPEG thumbnail of an attached image.
+*/
+exports.getThumbnail = (req, res) => {
+    findAttachment(req, res, (attachment) => {
+        if (!attachment.thumbnailKey) {
+            return res.status(404).json({ error: { msg: 'Attachment has no thumbnail' } });
+        }
+
+        res.type('jpeg');
+        sendFile(res, attachment.thumbnailKey);
+    });
+};
+
+/**
+* DELETE /api/v1/expenses/:id/attachments/:attachmentId
+* Delete the attachment and its files.
+*/
+exports.deleteAttachment = (req, res) => {
+    findAttachment(req, res, (attachment) => {
+        Expense.findByIdAndUpdate(
+            req.expense._id,
+            { $pull: { attachments: { _id: attachment._id } } },
+            (err) => {
+                if (err) {
+                    return res.status(500).json({ error: err });
+                }
+
+                attachments.removeFiles([attachment], (err) => {
+                    if (err) {
+                        return res.status(500).json({ error: err });
+                    }
+
+                    res.status(200).json({ id: attachment.id, msg: 'Attachment deleted' });
+                });
+            }
+        );
+    });
+};
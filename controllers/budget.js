@@ -0,0 +1,206 @@
+const Budget = require('../models/Budget');
+const User = require('../models/User');
+const budgets = require('../helpers/budgets');
+
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+const validateBudget = (req) => {
+    req.assert('category', 'Category can not be blank').notEmpty();
+    req.assert('amount', 'Amount must be a positive number').isFloat({ min: 0 });
+    req.assert('currency', 'Currency is not valid').optional().isMongoId();
+    req.assert('period', 'Period must be week or month').optional().isIn(['week', 'month']);
+    req.assert('scope', 'Scope must be personal or family').optional().isIn(['personal', 'family']);
+    req.assert('alertAt', 'Alert threshold must be between 1 and 100').optional().isInt({ min: 1, max: 100 });
+};
+
+const getBudgetFields = (body) => {
+    const fields = {
+        category: body.category,
+        amount: body.amount,
+        period: body.period || 'month',
+        scope: body.scope || 'personal',
+        alertAt: body.alertAt || 80
+    };
+
+    if (body.currency) {
+        fields.currency = body.currency;
+    }
+
+    return fields;
+};
+
+/**
+* GET /api/budgets
+* Show own and family budgets.
+*/
+exports.getBudgets = (req, res, next) => {
+    budgets.findUserBudgets(req.user, {}, (err, result) => {
+        if (err) {
+            res.status(400).json({ error: { msg: 'Can not get budgets' } });
+
+            return next(err);
+        }
+
+        res.status(200).json({ budgets: result });
+    });
+};
+
+/**
+* GET /api/budgets/progress
+* Show spent, remaining and percent used of every budget for the current period
+* or for the period containing ?date=DD-MM-YYYY.
+*/
+exports.getBudgetsProgress = (req, res, next) => {
+    const date = req.query.date ? moment(req.query.date, 'DD-MM-YYYY') : moment();
+
+    if (!date.isValid()) {
+        return res.status(400).json({ error: { msg: 'Date is not valid' } });
+    }
+
+    budgets.findUserBudgets(req.user, {}, (err, result) => {
+        if (err) {
+            res.status(400).json({ error: { msg: 'Can not get budgets' } });
+
+            return next(err);
+        }
+
+        budgets.getProgress(result, req.user, date.toDate(), (err, progress) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get budgets progress' } });
+
+                return next(err);
+            }
+
+            res.status(200).json({ budgets: progress });
+        });
+    });
+};
+
+/**
+* GET /api/budgets/:id
+* Show a budget with its progress for the current period.
+*/
+exports.getBudget = (req, res, next) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    budgets.findUserBudgets(req.user, { _id: req.params.id }, (err, result) => {
+        if (err) {
+            res.status(400).json({ error: { msg: 'Can not get budget' } });
+
+            return next(err);
+        }
+        if (!result.length) {
+            return res.status(404).json({ error: { msg: 'Budget not found' } });
+        }
+
+        budgets.getProgress(result, req.user, new Date(), (err, progress) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get budget progress' } });
+
+                return next(err);
+            }
+
+            res.status(200).json(progress[0]);
+        });
+    });
+};
+
+/**
+* POST /api/budgets
+* Add budget. The amount is in the given currency or in the user's base currency.
+*/
+exports.addBudget = (req, res) => {
+    validateBudget(req);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    User.findById(req.user.id, 'baseCurrency', (err, user) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        const budget = new Budget(Object.assign({
+            currency: user && user.baseCurrency
+        }, getBudgetFields(req.body), {
+            user_id: mongoose.Types.ObjectId(req.user.id)
+        }));
+
+        budget.save((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            res.status(200).json(budget);
+        });
+    });
+};
+
+/**
+* PUT /api/budgets/:id
+* Edit budget
+*/
+exports.editBudget = (req, res) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+    validateBudget(req);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    Budget.findOneAndUpdate(
+        { _id: req.params.id, user_id: mongoose.Types.ObjectId(req.user.id) },
+        getBudgetFields(req.body),
+        { new: true },
+        (err, budget) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+            if (!budget) {
+                return res.status(404).json({ error: { msg: 'Budget not found' } });
+            }
+
+            res.status(200).json(budget);
+        }
+    );
+};
+
+/**
+* DELETE /api/budgets/:id
+* Delete budget
+*/
+exports.deleteBudget = (req, res) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    Budget.findOneAndRemove(
+        { _id: req.params.id, user_id: mongoose.Types.ObjectId(req.user.id) },
+        (err, budget) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+            if (!budget) {
+                return res.status(404).json({ error: { msg: 'Budget not found' } });
+            }
+
+            res.status(200).json({ id: req.params.id, msg: 'Budget deleted' });
+        }
+    );
+};
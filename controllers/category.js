@@ -0,0 +1,270 @@
+const User = require('../models/User');
+const Expense = require('../models/Expense');
+const categories = require('../helpers/categories');
+
+const mongoose = require('mongoose');
+
+const colorPattern = /^#[0-9a-f]{6}$/i;
+
+const validateCategory = (req) => {
+    req.assert('color', 'Color must be a hex color like #ff0000').optional().matches(colorPattern);
+    req.assert('icon', 'Icon must be at most 50 characters long').optional().len(0, 50);
+};
+
+/**
+* Whether the category can take over the expenses of the given one.
+*/
+const isReplacement = (list, name, category) => {
+    const replacement = categories.find(list, name);
+
+    return Boolean(replacement) && replacement.name !== category.name &&
+        replacement.type === category.type;
+};
+
+const findUser = (req, res, cb) => {
+    User.findById(req.user.id, (err, user) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+        if (!user) {
+            return res.status(404).json({ error: { msg: 'User not found' } });
+        }
+
+        cb(user, categories.normalize(user.categories));
+    });
+};
+
+const findCategory = (req, res, cb) => {
+    findUser(req, res, (user, list) => {
+        const category = list.find(el => el.name === req.params.name);
+
+        if (!category) {
+            return res.status(404).json({ error: { msg: 'Category not found' } });
+        }
+
+        cb(user, list, category);
+    });
+};
+
+/**
+* Categories without the given one. Its subcategories are moved to the top level.
+*/
+const removeCategory = (list, name) => list
+    .filter(el => el.name !== name)
+    .map(el => (el.parent === name ? Object.assign({}, el, { parent: null }) : el));
+
+const saveCategories = (user, list, res, body) => {
+    user.categories = list;
+    user.markModified('categories');
+
+    user.save((err) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        res.status(200).json(Object.assign({ categories: list }, body));
+    });
+};
+
+/**
+* GET /api/categories
+* Show the categories.
+*/
+exports.getCategories = (req, res) => {
+    findUser(req, res, (user, list) => {
+        res.status(200).json({ categories: list });
+    });
+};
+
+/**
+* POST /api/categories
+* Add category. Body: name, type (expense or income), color, icon, parent.
+*/
+exports.addCategory = (req, res) => {
+    req.assert('name', 'Name can not be blank').notEmpty();
+    req.assert('type', 'Type must be expense or income').optional().isIn(categories.types);
+    validateCategory(req);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    findUser(req, res, (user, list) => {
+        const name = req.body.name.trim();
+        const type = req.body.type || 'expense';
+
+        if (categories.find(list, name)) {
+            return res.status(400).json({ error: { msg: 'Category already exists' } });
+        }
+
+        const parentError = categories.checkParent(list, name, req.body.parent, type);
+
+        if (parentError) {
+            return res.status(400).json({ error: { msg: parentError } });
+        }
+
+        saveCategories(user, list.concat({
+            name,
+            type,
+            color: req.body.color || null,
+            icon: req.body.icon || null,
+            parent: req.body.parent || null
+        }), res, { msg: 'Category added' });
+    });
+};
+
+/**
+* PUT /api/categories/:name
+* Edit category. Renaming it also renames it in own expenses, budgets and recurring expenses.
+* The type of a category can not be changed.
+*/
+exports.editCategory = (req, res, next) => {
+    validateCategory(req);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    findCategory(req, res, (user, list, category) => {
+        const name = (req.body.name || category.name).trim();
+        const parent = req.body.parent === undefined ? category.parent : req.body.parent || null;
+
+        if (name !== category.name && categories.find(list, name)) {
+            return res.status(400).json({
+                error: { msg: 'Category already exists, merge the categories instead' }
+            });
+        }
+
+        const parentError = categories.checkParent(
+            list.filter(el => el.name !== category.name),
+            name,
+            parent,
+            category.type
+        );
+
+        if (parentError) {
+            return res.status(400).json({ error: { msg: parentError } });
+        }
+
+        const updated = list.map((el) => {
+            if (el.name === category.name) {
+                return {
+                    name,
+                    type: el.type,
+                    color: req.body.color === undefined ? el.color : req.body.color || null,
+                    icon: req.body.icon === undefined ? el.icon : req.body.icon || null,
+                    parent
+                };
+            }
+
+            return el.parent === category.name ? Object.assign({}, el, { parent: name }) : el;
+        });
+
+        if (name === category.name) {
+            return saveCategories(user, updated, res, { msg: 'Category updated' });
+        }
+
+        categories.moveCategory(user._id, category.name, name, (err, updatedExpenses) => {
+            if (err) { return next(err); }
+
+            saveCategories(user, updated, res, { updatedExpenses, msg: 'Category renamed' });
+        });
+    });
+};
+
+/**
+* POST /api/categories/reorder
+* Reorder categories. Body: names in the new order.
+*/
+exports.reorderCategories = (req, res) => {
+    const names = [].concat(req.body.names || []);
+
+    findUser(req, res, (user, list) => {
+        if (names.length !== list.length || list.some(el => names.indexOf(el.name) === -1)) {
+            return res.status(400).json({ error: { msg: 'Names must list every category once' } });
+        }
+
+        saveCategories(
+            user,
+            names.map(name => list.find(el => el.name === name)),
+            res,
+            { msg: 'Categories reordered' }
+        );
+    });
+};
+
+/**
+* POST /api/categories/:name/merge
+* Merge category into another one. Body: into.
+* Own expenses, budgets and recurring expenses are moved to it.
+*/
+exports.mergeCategory = (req, res, next) => {
+    req.assert('into', 'Target category can not be blank').notEmpty();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    findCategory(req, res, (user, list, category) => {
+        if (!isReplacement(list, req.body.into, category)) {
+            return res.status(400).json({ error: { msg: 'Target category is not valid' } });
+        }
+
+        categories.moveCategory(user._id, category.name, req.body.into, (err, updatedExpenses) => {
+            if (err) { return next(err); }
+
+            saveCategories(user, removeCategory(list, category.name), res, {
+                updatedExpenses,
+                msg: 'Categories merged'
+            });
+        });
+    });
+};
+
+/**
+* DELETE /api/categories/:name
+* Delete category. If own expenses still use it,
+* ?replacement= must name the category to move them to.
+*/
+exports.deleteCategory = (req, res, next) => {
+    findCategory(req, res, (user, list, category) => {
+        const replacement = req.query.replacement;
+
+        Expense.count({
+            user_id: mongoose.Types.ObjectId(req.user.id),
+            $or: [{ category: category.name }, { 'items.category': category.name }]
+        }, (err, count) => {
+            if (err) { return next(err); }
+
+            if (count && !replacement) {
+                const msg = `Category is used by ${count} expenses, choose a replacement`;
+
+                return res.status(400).json({ error: { msg, count } });
+            }
+            if (replacement && !isReplacement(list, replacement, category)) {
+                return res.status(400).json({ error: { msg: 'Replacement category is not valid' } });
+            }
+
+            const updated = removeCategory(list, category.name);
+
+            if (!replacement) {
+                return saveCategories(user, updated, res, { msg: 'Category deleted' });
+            }
+
+            categories.moveCategory(user._id, category.name, replacement, (err, moved) => {
+                if (err) { return next(err); }
+
+                saveCategories(user, updated, res, {
+                    updatedExpenses: moved,
+                    msg: 'Category deleted'
+                });
+            });
+        });
+    });
+};
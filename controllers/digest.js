@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const digest = require('../helpers/digest');
+
+const format = user => ({
+    weekly: Boolean(user.digest && user.digest.weekly),
+    monthly: Boolean(user.digest && user.digest.monthly)
+});
+
+/**
+* GET /api/account/digest
+* Show which spending digests the user gets by email.
+*/
+exports.getDigest = (req, res, next) => {
+    User.findById(req.user.id, 'digest', (err, user) => {
+        if (err) { return next(err); }
+
+        res.status(200).json(format(user));
+    });
+};
+
+/**
+* PUT /api/account/digest
+* Opt in to or out of the weekly digest, sent on Monday, and the monthly one, sent on the 1st.
+* Body: weekly, monthly (booleans, unchanged if left out).
+* A digest opted in to starts with the next week or month over.
+*/
+exports.editDigest = (req, res, next) => {
+    req.assert('weekly', 'Weekly must be a boolean').optional().isBoolean();
+    req.assert('monthly', 'Monthly must be a boolean').optional().isBoolean();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    User.findById(req.user.id, 'digest', (err, user) => {
+        if (err) { return next(err); }
+
+        const now = new Date();
+
+        digest.periods.forEach((period) => {
+            const setting = digest.getSetting(period);
+            const value = req.body[setting];
+
+            if (value === undefined) {
+                return;
+            }
+            if (String(value) === 'true' && !user.digest[setting]) {
+                user.digest[digest.getSentField(period)] = now;
+            }
+
+            user.digest[setting] = String(value) === 'true';
+        });
+
+        if (!user.digest.unsubscribeToken) {
+            user.digest.unsubscribeToken = crypto.randomBytes(16).toString('hex');
+        }
+
+        user.save((err) => {
+            if (err) { return next(err); }
+
+            res.status(200).json(Object.assign(format(user), {
+                msg: 'Digest settings have been updated.'
+            }));
+        });
+    });
+};
+
+/**
+* POST /api/digest/unsubscribe/:token
+* Opt out of all digests with the link at the bottom of a digest email, without signing in.
+*/
+exports.unsubscribe = (req, res, next) => {
+    req.checkParams('token', 'Token is not valid').isHexadecimal();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    User.findOneAndUpdate(
+        { 'digest.unsubscribeToken': req.params.token },
+        { $set: { 'digest.weekly': false, 'digest.monthly': false } },
+        (err, user) => {
+            if (err) { return next(err); }
+            if (!user) {
+                return res.status(404).json({ error: { msg: 'Unsubscribe link is not valid' } });
+            }
+
+            res.status(200).json({ msg: 'You will not receive digests anymore.' });
+        }
+    );
+};
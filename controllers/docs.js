@@ -0,0 +1,9 @@
+const openapi = require('../helpers/openapi');
+
+/**
+* GET /api/docs
+* OpenAPI document of the API, for generating clients.
+*/
+exports.getDocs = (req, res) => {
+    res.json(openapi.spec);
+};
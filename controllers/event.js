@@ -0,0 +1,66 @@
+const events = require('../helpers/events');
+const filters = require('../helpers/filters');
+
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const RETRY_DELAY = 5 * 1000;
+const MAX_TIMEOUT = 2147483647;
+
+/**
+* GET /api/events
+* Stream of changes to own and family expenses as Server-Sent Events: expense.created,
+* expense.updated and expense.deleted. EventSource clients pass the access token as `token`.
+* A client reconnecting with the Last-Event-ID header (or lastEventId) gets the events it missed,
+* or a reset event telling it to reload when they are not kept anymore.
+* The stream ends when the access token expires, to reconnect with a fresh one.
+*/
+exports.getEvents = (req, res) => {
+    const family = filters.getFamilyIds(req.user);
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    // Compression buffers the response, flush it for every event
+    const write = (chunk) => {
+        res.write(chunk);
+        if (res.flush) {
+            res.flush();
+        }
+    };
+    const send = event => write(events.format(event));
+    const listener = (event) => {
+        if (family.indexOf(event.owner) !== -1) {
+            send(event);
+        }
+    };
+
+    req.socket.setTimeout(0);
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    write(`retry: ${RETRY_DELAY}\n\n`);
+
+    if (lastEventId) {
+        const missed = events.getEventsSince(lastEventId);
+
+        if (missed) {
+            missed.forEach(listener);
+        } else {
+            send({ type: 'reset', data: { msg: 'Some events were missed, reload the expenses' } });
+        }
+    }
+
+    const unsubscribe = events.subscribe(listener);
+    const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    const expiry = req.user.expiresAt
+        ? setTimeout(() => res.end(), Math.min(req.user.expiresAt - Date.now(), MAX_TIMEOUT))
+        : null;
+
+    const close = () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+    };
+
+    req.on('close', close);
+    res.on('finish', close);
+};
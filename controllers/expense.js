@@ -1,10 +1,28 @@
+const Account = require('../models/Account');
 const Expense = require('../models/Expense');
+const ExpenseRevision = require('../models/ExpenseRevision');
 const Currency = require('../models/Currency');
+const SyncChange = require('../models/SyncChange');
+const User = require('../models/User');
+const budgets = require('../helpers/budgets');
+const categories = require('../helpers/categories');
+const events = require('../helpers/events');
+const exporters = require('../helpers/exporters');
+const filters = require('../helpers/filters');
+const history = require('../helpers/history');
+const http = require('../helpers/http');
+const items = require('../helpers/items');
+const pagination = require('../helpers/pagination');
+const permissions = require('../helpers/permissions');
+const splits = require('../helpers/splits');
+const sync = require('../helpers/sync');
 
+const async = require('async');
+const expressValidator = require('express-validator');
 const mongoose = require('mongoose');
 const moment = require('moment');
 
-const formatExpenses = (expenses, userId) => expenses.map((el) => {
+const formatExpense = (el, userId) => {
     const date = moment(el.date).format('DD-MM-YYYY ddd');
     let user = (el.user_id.profile && el.user_id.profile.name) || el.user_id.email;
 
@@ -13,133 +31,932 @@ const formatExpenses = (expenses, userId) => expenses.map((el) => {
     }
 
     return Object.assign({}, el, { user, date });
-});
+};
+
+const formatExpenses = (expenses, userId) => expenses.map(el => formatExpense(el, userId));
+
+/**
+* Split of the expense in the request between household members, if any.
+* Returns { split } with the amount of every share, or { error }.
+*/
+const getSplit = (req) => {
+    const split = req.body.split;
+
+    if (!split) {
+        return { split: undefined };
+    }
+    if (req.body.type === 'income') {
+        return { error: { msg: 'Income can not be split' } };
+    }
+
+    const family = filters.getFamilyIds(req.user);
+    const shares = [].concat(split.shares || []);
+
+    if (shares.some(el => !el || family.indexOf(String(el.user)) === -1)) {
+        return { error: { msg: 'Split members must be in your family' } };
+    }
+
+    const result = splits.computeShares(req.body.amount, split.method, shares);
+
+    if (result.error) {
+        return result;
+    }
+
+    return {
+        split: {
+            method: split.method,
+            shares: result.shares.map(el => Object.assign({}, el, {
+                user: mongoose.Types.ObjectId(el.user)
+            }))
+        }
+    };
+};
+
+/**
+* Error handler of the validation below responding with the status and error.
+*/
+const respond = res => (status, error) => res.status(status).json({ error });
+
+/**
+* Calls back if the account of the request, if any, belongs to the owner of the expense
+* and has the currency of the expense, fails with 400 otherwise.
+*/
+const checkAccount = (req, fail, ownerId, cb) => {
+    if (!req.body.account) {
+        return cb();
+    }
+
+    Account.findOne({
+        _id: req.body.account,
+        user_id: mongoose.Types.ObjectId(ownerId.toString())
+    }, (err, account) => {
+        if (err) {
+            return fail(500, err);
+        }
+        if (!account) {
+            return fail(400, { msg: 'Account does not exist' });
+        }
+        if (account.currency.toString() !== req.body.currency) {
+            return fail(400, { msg: 'Currency must match the account currency' });
+        }
+
+        cb();
+    });
+};
+
+/**
+* Line items and tags of the expense in the request.
+* Returns { items, tags } or { error }.
+*/
+const getDetails = (req) => {
+    const parsedItems = items.parseItems(req.body.items, req.body.amount);
+    const parsedTags = items.parseTags(req.body.tags);
+    const error = parsedItems.error || parsedTags.error;
+
+    return error ? { error } : { items: parsedItems.items, tags: parsedTags.tags };
+};
+
+/**
+* Calls back if the owner of the expense has the categories of the request and its items
+* for its type and the account is valid, fails with 400 otherwise.
+*/
+const checkReferences = (req, fail, ownerId, cb) => {
+    User.findById(ownerId, 'categories', (err, user) => {
+        if (err) {
+            return fail(500, err);
+        }
+
+        const names = [req.body.category]
+            .concat([].concat(req.body.items || []).map(el => el.category));
+        const missing = names
+            .find(name => !user || !categories.hasCategory(user.categories, name, req.body.type));
+
+        if (missing !== undefined) {
+            return fail(400, { msg: `Category ${missing} does not exist` });
+        }
+
+        checkAccount(req, fail, ownerId, cb);
+    });
+};
 
 /**
-* GET /expenses
-* Show the expenses.
+* GET /api/v1/expenses
+* Show a page of own and family expenses, newest first.
+* Query: filters of GET /api/v1/expenses/export, order (desc or asc), limit and cursor
+* (nextCursor of the previous page). Currencies are only sent with the first page.
 */
 exports.getExpenses = (req, res, next) => {
-    Expense.find({
-        user_id: {
-            $in: [mongoose.Types.ObjectId(req.user.id), ...req.user.familyMembers]
-        }
-    })
-        .populate('user_id')
-        .populate('currency')
-        .sort({ date: -1, updatedAt: -1 })
-        .lean()
-        .exec((err, expenses) => {
-            if (err) {
-                res.status(400).send({ error: { msg: 'Can not get expenses' } });
+    req.checkQuery('order', 'Order must be asc or desc').optional().isIn(['asc', 'desc']);
+    req.checkQuery('limit', 'Limit must be a positive integer').optional().isInt({ min: 1 });
 
-                return next(err);
-            }
+    const errors = req.validationErrors();
 
-            Currency.find((err, currencies) => {
-                if (err) {
-                    res.status(400).send({ error: { msg: 'Can not get currencies' } });
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const { filter, error } = filters.getExpenseFilter(req.user, req.query);
+    const cursor = req.query.cursor && pagination.decodeCursor(req.query.cursor);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    if (req.query.cursor && !cursor) {
+        return res.status(400).json({ error: { msg: 'Cursor is not valid' } });
+    }
+
+    const limit = pagination.getLimit(req.query.limit);
+    const pageFilter = cursor
+        ? { $and: [filter, pagination.getCursorFilter(cursor, req.query.order)] }
+        : filter;
+
+    async.parallel({
+        expenses: done => Expense.find(pageFilter)
+            .populate('user_id', 'email profile')
+            .populate('currency')
+            .sort(pagination.getSort(req.query.order))
+            .limit(limit + 1)
+            .lean()
+            .exec(done),
+        total: done => Expense.count(filter, done),
+        currencies: done => (cursor ? done(null, undefined) : Currency.find(done))
+    }, (err, result) => {
+        if (err) {
+            res.status(400).send({ error: { msg: 'Can not get expenses' } });
+
+            return next(err);
+        }
+
+        const expenses = result.expenses.slice(0, limit);
+        const hasMore = result.expenses.length > limit;
+
+        return res.status(200).json({
+            expenses: formatExpenses(expenses, req.user.id),
+            currencies: result.currencies,
+            total: result.total,
+            nextCursor: hasMore ? pagination.encodeCursor(expenses[expenses.length - 1]) : null
+        });
+    });
+};
+
+/**
+* GET /api/v1/expenses/:id
+* Show an own or family expense with its ETag. Goes through permissions.authorizeExpense('read').
+*/
+exports.getExpense = (req, res, next) => {
+    Expense.populate(req.expense, [
+        { path: 'user_id', select: 'email profile' },
+        { path: 'currency' }
+    ], (err, expense) => {
+        if (err) { return next(err); }
+
+        res.set('ETag', http.getETag(req.expense));
+        res.status(200).json(Object.assign(formatExpense(expense.toObject(), req.user.id), {
+            editable: permissions.canEdit(req.user, req.expense)
+        }));
+    });
+};
+
+/**
+* GET /api/currencies
+* Show the currencies.
+*/
+exports.getCurrencies = (req, res, next) => {
+    Currency.find().sort({ shortcut: 1 }).exec((err, currencies) => {
+        if (err) {
+            res.status(400).send({ error: { msg: 'Can not get currencies' } });
+
+            return next(err);
+        }
+
+        res.status(200).json({ currencies });
+    });
+};
+
+/**
+* GET /api/v1/expenses/export
+* Download own and family expenses as csv, ofx or json.
+* Query: format, type (expense or income), from, to (DD-MM-YYYY), category and tag
+* (comma separated), member, currency, account, minAmount, maxAmount and q (comment text).
+*/
+exports.exportExpenses = (req, res, next) => {
+    req.checkQuery('format', `Format must be one of ${exporters.formats.join(', ')}`)
+        .isIn(exporters.formats);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const { filter, error } = filters.getExpenseFilter(req.user, req.query);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
+    User.findById(req.user.id, 'baseCurrency')
+        .populate('baseCurrency')
+        .exec((err, user) => {
+            if (err) { return next(err); }
+
+            const format = req.query.format;
+            const cursor = Expense.find(filter)
+                .populate('user_id', 'email profile')
+                .populate('currency')
+                .sort({ date: -1, updatedAt: -1 })
+                .lean()
+                .cursor();
+            const currency = (user && user.baseCurrency && user.baseCurrency.shortcut) ||
+                process.env.EXCHANGE_RATES_BASE || 'EUR';
+            const stream = exporters.createExportStream(
+                format,
+                el => formatExpense(el, req.user.id),
+                { currency }
+            );
+
+            // Once streaming started the status can not change anymore, so the connection
+            // is dropped for the client not to take a truncated export for a complete one
+            cursor.on('error', (err) => {
+                cursor.unpipe(stream);
+                stream.unpipe(res);
+
+                if (!res.headersSent) {
                     return next(err);
                 }
 
-                return res.status(200).json({
-                    expenses: formatExpenses(expenses, req.user.id),
-                    currencies
-                });
+                res.destroy(err);
             });
+
+            res.attachment(`expenses-${moment().format('YYYY-MM-DD')}.${format}`);
+            res.type(exporters.getContentType(format));
+            cursor.pipe(stream).pipe(res);
         });
 };
 
-/**
-* POST /api/expenses/add
-* Add expense
-*/
-exports.addExpense = (req, res) => {
+const validateExpense = (req) => {
+    req.assert('type', 'Type must be expense or income').optional().isIn(categories.types);
     req.assert('amount', 'Amount can not be blank').notEmpty();
     req.assert('date', 'Date can not be blank').notEmpty();
     req.assert('category', 'Category can not be blank').notEmpty();
     req.assert('currency', 'Currency can not be blank').notEmpty();
+    req.assert('account', 'Account is not valid').optional({ checkFalsy: true }).isMongoId();
+};
+
+/**
+* Calls back with the fields of the expense in the request once they are valid
+* for the owner of the expense, fails with 400 otherwise.
+* An expense with line items takes the category of its largest item.
+*/
+const getExpenseFields = (req, fail, ownerId, cb) => {
+    const details = getDetails(req);
+
+    if (details.error) {
+        return fail(400, details.error);
+    }
+    if (details.items.length) {
+        req.body.category = items.getMainCategory(details.items);
+    }
+
+    validateExpense(req);
 
     const errors = req.validationErrors();
 
     if (errors) {
-        return res.status(400).json({ error: errors });
+        return fail(400, errors);
     }
 
-    const expense = new Expense({
+    const { split, error } = getSplit(req);
+
+    if (error) {
+        return fail(400, error);
+    }
+
+    checkReferences(req, fail, ownerId, () => cb({
+        type: req.body.type || 'expense',
         amount: req.body.amount,
         date: moment(req.body.date, 'DD-MM-YYYY'),
         category: req.body.category,
         currency: mongoose.Types.ObjectId(req.body.currency),
         comment: req.body.comment,
-        user_id: mongoose.Types.ObjectId(req.user.id)
+        account_id: req.body.account ? mongoose.Types.ObjectId(req.body.account) : null,
+        split: split || { shares: [] },
+        items: details.items,
+        tags: details.tags
+    }));
+};
+
+/**
+* Request body describing the expense, which a partial update is applied to.
+*/
+const toRequestBody = expense => ({
+    type: expense.type || 'expense',
+    amount: expense.amount,
+    date: moment(expense.date).format('DD-MM-YYYY'),
+    category: expense.category,
+    currency: expense.currency.toString(),
+    comment: expense.comment,
+    account: expense.account_id ? expense.account_id.toString() : null,
+    split: expense.split && expense.split.shares.length ? {
+        method: expense.split.method,
+        shares: expense.split.shares.map(el => ({
+            user: el.user.toString(),
+            percent: el.percent,
+            amount: el.amount
+        }))
+    } : null,
+    items: (expense.items || []).map(el => ({
+        category: el.category,
+        amount: el.amount,
+        comment: el.comment
+    })),
+    tags: (expense.tags || []).slice()
+});
+
+/**
+* Records the change in the expense history and publishes it to the family.
+*/
+const recordChange = (req, action, expense, cb) => {
+    const before = req.expense && history.getSnapshot(req.expense);
+
+    events.publishExpense(action, expense);
+
+    history.record(action, req.user.id, expense, before, undefined, err => cb(err));
+};
+
+/**
+* Saves the fields if the expense has not changed since req.expense was loaded,
+* responds with 412 otherwise.
+*/
+const updateExpense = (req, res, fields, cb) => {
+    Expense.findOneAndUpdate(
+        { _id: req.expense._id, updatedAt: req.expense.updatedAt },
+        fields,
+        { new: true },
+        (err, expense) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+            if (!expense) {
+                return res.status(412).json({
+                    error: { msg: 'The resource has been changed since, reload it and try again' }
+                });
+            }
+
+            recordChange(req, 'update', expense, (err) => {
+                if (err) {
+                    return res.status(500).json({ error: err });
+                }
+
+                cb(expense);
+            });
+        }
+    );
+};
+
+/**
+* Saves the expense of the request for the user. Calls back with it and the response body,
+* which lists the budgets whose thresholds the expense crosses in `budgetAlerts`.
+*/
+const saveExpense = (req, res, cb) => {
+    getExpenseFields(req, respond(res), req.user.id, (fields) => {
+        const expense = new Expense(Object.assign(fields, {
+            user_id: mongoose.Types.ObjectId(req.user.id)
+        }));
+
+        expense.save((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            // The expense is saved: failures past this point are logged, not sent, so that
+            // clients retrying the request do not create it twice
+            recordChange(req, 'create', expense, (err) => {
+                if (err) {
+                    console.log('History error:', err);
+                }
+
+                budgets.checkExpense(req.user, expense, (err, budgetAlerts) => {
+                    if (err) {
+                        console.log('Budget check error:', err);
+                    }
+
+                    cb(expense, Object.assign(expense.toObject(), {
+                        budgetAlerts: budgetAlerts || []
+                    }));
+                });
+            });
+        });
+    });
+};
+
+/**
+* POST /api/v1/expenses
+* Add expense, or income if type is income. The expense can be split between household
+* members with split: { method (equal, percentage or exact), shares: [{ user, percent, amount }] }.
+* A receipt can be itemized with items: [{ category, amount, comment }] summing to the amount,
+* and tagged with tags (an array or comma separated).
+* Budgets whose thresholds the expense crosses are listed in `budgetAlerts`.
+*/
+exports.createExpense = (req, res) => {
+    saveExpense(req, res, (expense, body) => {
+        res.location(`${req.baseUrl}/expenses/${expense.id}`);
+        res.set('ETag', http.getETag(expense));
+        res.status(201).json(body);
+    });
+};
+
+/**
+* PUT /api/v1/expenses/:id
+* Replace expense. The expense keeps its owner, whose categories and accounts it must use.
+* Goes through permissions.authorizeExpense('edit') and http.requireIfMatch('expense').
+*/
+exports.replaceExpense = (req, res) => {
+    getExpenseFields(req, respond(res), req.expense.user_id, (fields) => {
+        updateExpense(req, res, fields, (expense) => {
+            res.set('ETag', http.getETag(expense));
+            res.status(200).json(expense);
+        });
+    });
+};
+
+/**
+* PATCH /api/v1/expenses/:id
+* Update the given fields of the expense, keeping the others.
+* Goes through permissions.authorizeExpense('edit') and http.requireIfMatch('expense').
+*/
+exports.patchExpense = (req, res) => {
+    req.body = Object.assign(toRequestBody(req.expense), req.body);
+    exports.replaceExpense(req, res);
+};
+
+/**
+* Moves the loaded expense to the trash, provided it is unchanged when `updatedAt` is given.
+* Calls back with the trashed expense, or null when it has been changed since.
+*/
+const trashExpense = (req, updatedAt, cb) => {
+    const filter = { _id: req.expense._id, deletedAt: null };
+
+    if (updatedAt) {
+        filter.updatedAt = updatedAt;
+    }
+
+    Expense.findOneAndUpdate(filter, { deletedAt: new Date() }, { new: true }, (err, expense) => {
+        if (err || !expense) { return cb(err, expense); }
+
+        recordChange(req, 'delete', expense, err => cb(err, expense));
     });
+};
 
-    expense.save((err) => {
+/**
+* DELETE /api/v1/expenses/:id
+* Move expense to the trash, from where it can be restored until it is purged.
+* Goes through permissions.authorizeExpense('edit') and http.requireIfMatch('expense').
+*/
+exports.removeExpense = (req, res) => {
+    trashExpense(req, req.expense.updatedAt, (err, expense) => {
         if (err) {
-            res.status(500).json({ error: err });
+            return res.status(500).json({ error: err });
+        }
+        if (!expense) {
+            return res.status(412).json({
+                error: { msg: 'The resource has been changed since, reload it and try again' }
+            });
         }
 
-        res.status(200).json(expense);
+        res.status(204).end();
     });
 };
 
+/**
+* POST /api/expenses/add
+* Deprecated alias of POST /api/v1/expenses.
+*/
+exports.addExpense = (req, res) => {
+    saveExpense(req, res, (expense, body) => res.status(200).json(body));
+};
+
 /**
 * POST /api/expenses/edit
-* Edit expense
+* Deprecated alias of PUT /api/v1/expenses/:id with the id in the body and without If-Match.
+* Goes through permissions.authorizeExpense('edit'), which loads req.expense.
 */
 exports.editExpense = (req, res) => {
-    req.assert('id', 'Id can not be blank').notEmpty();
-    req.assert('amount', 'Amount can not be blank').notEmpty();
-    req.assert('date', 'Date can not be blank').notEmpty();
-    req.assert('category', 'Category can not be blank').notEmpty();
-    req.assert('currency', 'Currency can not be blank').notEmpty();
+    getExpenseFields(req, respond(res), req.expense.user_id, (fields) => {
+        updateExpense(req, res, fields, (expense) => {
+            res.status(200).json({ id: expense.id, msg: 'Expense updated' });
+        });
+    });
+};
 
-    const errors = req.validationErrors();
+/**
+* GET /api/expenses/delete
+* Deprecated alias of DELETE /api/v1/expenses/:id with the id in the query and without If-Match.
+* Goes through permissions.authorizeExpense('edit'), which loads req.expense.
+*/
+exports.deleteExpense = (req, res) => {
+    trashExpense(req, null, (err, expense) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+        if (!expense) {
+            return res.status(404).json({ error: { msg: 'Expense not found' } });
+        }
 
-    if (errors) {
-        return res.status(400).json({ error: errors });
+        res.status(200).json({ id: expense.id, msg: 'Expense deleted' });
+    });
+};
+
+const BATCH_LIMIT = 100;
+
+const batchOperations = ['create', 'update', 'delete'];
+
+const batchStatuses = { create: 201, update: 200, delete: 204 };
+
+const validator = expressValidator();
+
+/**
+* Checks an operation of a batch with the rules of the single endpoints, the fields
+* of an update being applied to the expense like PATCH. Calls back with { status, error }
+* if it is not valid, or with the change to apply: { op, expense, fields }.
+*/
+const checkOperation = (req, operation, loaded, cb) => {
+    const fail = (status, error) => cb({ status, error });
+    const expense = loaded[operation.id];
+
+    if (batchOperations.indexOf(operation.op) === -1) {
+        return fail(400, { msg: 'Operation must be create, update or delete' });
     }
+    if (operation.op !== 'create') {
+        if (!expense || !permissions.canRead(req.user, expense)) {
+            return fail(404, { msg: 'Expense not found' });
+        }
+        if (!permissions.canEdit(req.user, expense)) {
+            return fail(403, { msg: 'You can not change this expense' });
+        }
+    }
+    if (operation.op === 'delete') {
+        return cb(null, { op: operation.op, expense });
+    }
+
+    const opReq = Object.create(req);
 
-    Expense.findByIdAndUpdate(
-        req.body.id,
-        {
-            amount: req.body.amount,
-            date: moment(req.body.date, 'DD-MM-YYYY'),
-            category: req.body.category,
-            currency: mongoose.Types.ObjectId(req.body.currency),
-            comment: req.body.comment,
+    opReq.body = operation.op === 'update'
+        ? Object.assign(toRequestBody(expense), operation.data)
+        : Object.assign({}, operation.data);
+
+    validator(opReq, {}, () => {
+        getExpenseFields(opReq, fail, expense ? expense.user_id : req.user.id, (fields) => {
+            cb(null, { op: operation.op, expense, fields });
+        });
+    });
+};
+
+/**
+* Applies a checked change, provided its expense has not changed since it was loaded.
+* Calls back with the saved expense, or with nothing when it has been changed since.
+*/
+const applyChange = (req, change, cb) => {
+    if (change.op === 'create') {
+        const expense = new Expense(Object.assign({}, change.fields, {
             user_id: mongoose.Types.ObjectId(req.user.id)
-        },
-        (err) => {
-            if (err) {
-                res.status(500).json({ error: err });
-            }
+        }));
+
+        return expense.save(err => cb(err, expense));
+    }
 
-            res.status(200).json({ id: req.body.id, msg: 'Expense updated' });
+    Expense.findOneAndUpdate(
+        { _id: change.expense._id, updatedAt: change.expense.updatedAt, deletedAt: null },
+        change.op === 'update' ? change.fields : { deletedAt: new Date() },
+        { new: true },
+        cb
+    );
+};
+
+/**
+* Undoes an applied change, provided its expense has not changed since: created expenses
+* are removed, updated ones get their fields back and deleted ones leave the trash.
+* The undo is recorded and published like any other change.
+* Calls back with the expense, or with nothing when it has been changed since.
+*/
+const undoChange = (req, applied, cb) => {
+    const filter = { _id: applied.expense._id, updatedAt: applied.expense.updatedAt };
+
+    if (applied.op === 'create') {
+        return Expense.findOneAndRemove(filter, (err, expense) => {
+            if (err || !expense) { return cb(err, expense); }
+
+            events.publishExpense('delete', expense);
+            history.record(
+                'purge', req.user.id, expense, history.getSnapshot(expense), undefined,
+                err => cb(err, expense)
+            );
+        });
+    }
+
+    const action = applied.op === 'update' ? 'update' : 'restore';
+
+    Expense.findOneAndUpdate(
+        filter,
+        action === 'update' ? history.getSnapshot(applied.before) : { deletedAt: null },
+        { new: true },
+        (err, expense) => {
+            if (err || !expense) { return cb(err, expense); }
+
+            recordChange({
+                user: req.user,
+                expense: action === 'update' ? applied.expense : null
+            }, action, expense, err => cb(err, expense));
         }
     );
 };
 
 /**
-* GET /api/expenses/delete
-* Delete expense
+* Applies and records the changes one after the other. If one fails, those applied are undone
+* in reverse order. Calls back with the applied changes, or with the index of the failed one
+* and the ids of the expenses that could not be restored.
 */
-exports.deleteExpense = (req, res) => {
-    req.checkQuery('id', 'Id can not be blank').notEmpty();
+const applyChanges = (req, changes, cb) => {
+    const applied = [];
 
-    const errors = req.validationErrors();
+    async.eachOfSeries(changes, (change, index, done) => {
+        applyChange(req, change, (err, expense) => {
+            if (err || !expense) {
+                return done({ index, err });
+            }
 
-    if (errors) {
-        return res.status(400).json({ error: errors });
+            applied.push({ op: change.op, before: change.expense, expense });
+            recordChange({ user: req.user, expense: change.expense }, change.op, expense, (err) => {
+                done(err && { index, err });
+            });
+        });
+    }, (failure) => {
+        if (!failure) {
+            return cb(null, applied);
+        }
+
+        async.mapSeries(applied.reverse(), (el, done) => {
+            undoChange(req, el, (err, expense) => {
+                done(null, err || !expense ? el.expense.id : null);
+            });
+        }, (err, ids) => {
+            cb(Object.assign(failure, { ids: ids.filter(id => id) }));
+        });
+    });
+};
+
+/**
+* POST /api/expenses/batch
+* Create, update and delete many expenses at once, undoing them all if one fails.
+* Body: operations: [{ op (create, update or delete), id (for update and delete), data }],
+* data being the fields of POST /api/v1/expenses, or those to change for an update.
+* Every operation is checked and every expense loaded first, then they are applied in order.
+* If one can not be applied, those applied are undone, members seeing the changes and their
+* undoing. The response lists the result of every operation at the same index: its status,
+* expense or error. Expenses that could not be restored are listed in `ids` of the error.
+*/
+exports.batchExpenses = (req, res, next) => {
+    const operations = [].concat(req.body.operations || []).map(el => el || {});
+
+    if (!operations.length || operations.length > BATCH_LIMIT) {
+        return res.status(400).json({
+            error: { msg: `Operations must be a list of 1 to ${BATCH_LIMIT} items` }
+        });
+    }
+
+    const ids = operations
+        .filter(el => el.op !== 'create' && mongoose.Types.ObjectId.isValid(el.id))
+        .map(el => el.id);
+
+    Expense.find({ _id: { $in: ids }, deletedAt: null }, (err, expenses) => {
+        if (err) { return next(err); }
+
+        const loaded = expenses.reduce((result, el) => Object.assign(result, { [el.id]: el }), {});
+        const seen = {};
+
+        async.mapSeries(operations, (operation, done) => {
+            if (operation.op !== 'create' && seen[operation.id]) {
+                return done(null, {
+                    failure: { status: 400, error: { msg: 'Expense is in another operation' } }
+                });
+            }
+
+            seen[operation.id] = true;
+            checkOperation(req, operation, loaded, (failure, change) => {
+                done(null, { failure, change });
+            });
+        }, (err, checked) => {
+            const failures = checked.filter(el => el.failure);
+
+            if (failures.length) {
+                return res.status(failures.some(el => el.failure.status === 500) ? 500 : 400).json({
+                    error: { msg: 'No operation was applied as some are not valid' },
+                    results: checked.map(el => el.failure || {
+                        status: 424,
+                        error: { msg: 'Not applied as another operation is not valid' }
+                    })
+                });
+            }
+
+            applyChanges(req, checked.map(el => el.change), (failure, applied) => {
+                if (failure && failure.ids.length) {
+                    return res.status(500).json({
+                        error: {
+                            msg: 'Can not undo the operations applied, some expenses are left changed',
+                            ids: failure.ids
+                        }
+                    });
+                }
+                if (failure) {
+                    const msg = failure.err
+                        ? 'Can not apply the operations'
+                        : `Expense of operation ${failure.index} has been changed since`;
+
+                    return res.status(failure.err ? 500 : 409).json({
+                        error: { msg: `${msg}, those applied have been undone` }
+                    });
+                }
+
+                res.status(200).json({
+                    results: applied.map(el => ({
+                        status: batchStatuses[el.op],
+                        id: el.expense.id,
+                        expense: el.op === 'delete' ? undefined : el.expense
+                    }))
+                });
+            });
+        });
+    });
+};
+
+/**
+* GET /api/sync
+* Changes to own and family expenses, categories and currencies since the cursor of the last
+* sync, or everything without one. Expenses in the trash or purged since are listed in `deleted`,
+* categories are null if they have not changed. Query: since (cursor of the last sync).
+*/
+exports.getSync = (req, res, next) => {
+    const since = req.query.since && sync.decodeCursor(req.query.since);
+
+    if (req.query.since && !since) {
+        return res.status(400).json({ error: { msg: 'Cursor is not valid' } });
+    }
+
+    const now = new Date();
+    const members = filters.getFamilyIds(req.user).map(id => mongoose.Types.ObjectId(id));
+    const changed = since ? { updatedAt: { $gte: since } } : {};
+
+    async.parallel({
+        expenses: done => Expense.find(Object.assign(
+            { user_id: { $in: members } },
+            since ? changed : { deletedAt: null }
+        )).lean().exec(done),
+        purged: done => (since ? ExpenseRevision.find({
+            user_id: { $in: members },
+            action: 'purge',
+            createdAt: { $gte: since }
+        }, 'expense_id createdAt', done) : done(null, [])),
+        user: done => User.findById(req.user.id, 'categories updatedAt', done),
+        currencies: done => Currency.find(changed, done)
+    }, (err, result) => {
+        if (err) {
+            res.status(400).json({ error: { msg: 'Can not get changes' } });
+
+            return next(err);
+        }
+
+        const categoriesChanged = !since || (result.user && result.user.updatedAt >= since);
+
+        res.status(200).json({
+            expenses: result.expenses.filter(el => !el.deletedAt),
+            deleted: result.expenses
+                .filter(el => el.deletedAt)
+                .map(el => ({ id: el._id, deletedAt: el.deletedAt }))
+                .concat(result.purged.map(el => ({ id: el.expense_id, deletedAt: el.createdAt }))),
+            categories: categoriesChanged && result.user ? result.user.categories : null,
+            currencies: result.currencies,
+            cursor: sync.encodeCursor(now)
+        });
+    });
+};
+
+/**
+* Applies a change made offline unless the expense has been changed or deleted since the version
+* the client changed. Calls back with its result: { clientId, status, id, expense, error },
+* status being applied, conflict (with the current expense) or error (with the HTTP code).
+*/
+const applySyncChange = (req, change, cb) => {
+    const reply = (status, fields) => cb(Object.assign({
+        clientId: change.clientId,
+        status
+    }, fields));
+    const fail = (code, error) => reply('error', { id: change.id, code, error });
+    const id = mongoose.Types.ObjectId.isValid(change.id) ? change.id : null;
+    const load = change.op === 'create' ? done => done(null, null) : done => Expense.findById(id, done);
+
+    load((err, expense) => {
+        if (err) {
+            return fail(500, err);
+        }
+        if (expense && permissions.canRead(req.user, expense) && sync.isConflict(change, expense)) {
+            return reply('conflict', { id: expense.id, expense });
+        }
+
+        const operation = { op: change.op, id: change.id, data: change.data };
+        const loaded = expense ? { [expense.id]: expense } : {};
+
+        checkOperation(req, operation, loaded, (failure, checked) => {
+            if (failure) {
+                return fail(failure.status, failure.error);
+            }
+
+            applyChange(req, checked, (err, applied) => {
+                if (err) {
+                    return fail(500, err);
+                }
+                if (!applied) {
+                    return Expense.findById(expense._id, (err, current) => {
+                        reply('conflict', { id: expense.id, expense: current });
+                    });
+                }
+
+                recordChange({ user: req.user, expense }, change.op, applied, (err) => {
+                    if (err) {
+                        return fail(500, err);
+                    }
+
+                    reply('applied', {
+                        id: applied.id,
+                        expense: change.op === 'delete' ? undefined : applied
+                    });
+                });
+            });
+        });
+    });
+};
+
+/**
+* POST /api/sync
+* Apply changes made offline, in order. Body: changes: [{ clientId, op (create, update
+* or delete), id, updatedAt (of the version of the expense changed), data }], data being
+* as for the batch operations. A change already applied is not applied again, its result
+* being sent back instead. Changes to expenses changed since are reported as conflicts.
+*/
+exports.postSync = (req, res, next) => {
+    const changes = [].concat(req.body.changes || []);
+
+    if (!changes.length || changes.length > sync.MAX_CHANGES) {
+        return res.status(400).json({
+            error: { msg: `Changes must be a list of 1 to ${sync.MAX_CHANGES} items` }
+        });
     }
 
-    Expense.findByIdAndRemove(req.query.id, (err) => {
+    const userId = mongoose.Types.ObjectId(req.user.id);
+
+    async.mapSeries(changes, (change, done) => {
+        const error = sync.checkChange(change);
+
+        if (error) {
+            return done(null, {
+                clientId: change && change.clientId,
+                status: 'error',
+                code: 400,
+                error
+            });
+        }
+
+        const query = { user_id: userId, clientId: change.clientId };
+
+        // Claims the client id first, so that a change sent twice at once is applied once
+        SyncChange.create(query, (err) => {
+            if (err && err.code === 11000) {
+                return SyncChange.findOne(query, (err, sent) => {
+                    done(err, sent && sent.result ? sent.result : {
+                        clientId: change.clientId,
+                        status: 'error',
+                        code: 409,
+                        error: { msg: 'Change is being applied' }
+                    });
+                });
+            }
+            if (err) { return done(err); }
+
+            applySyncChange(req, change, (result) => {
+                const sent = JSON.parse(JSON.stringify(result));
+                const save = result.status === 'applied'
+                    ? cb => SyncChange.update(query, { result: sent }, cb)
+                    : cb => SyncChange.remove(query, cb);
+
+                save(err => done(err, result));
+            });
+        });
+    }, (err, results) => {
         if (err) {
-            res.status(500).json({ error: err });
+            res.status(400).json({ error: { msg: 'Can not apply changes' } });
+
+            return next(err);
         }
 
-        res.status(200).json({ id: req.query.id, msg: 'Expense deleted' });
+        res.status(200).json({ results });
     });
 };
@@ -0,0 +1,197 @@
+const Expense = require('../models/Expense');
+const ExpenseRevision = require('../models/ExpenseRevision');
+const events = require('../helpers/events');
+const filters = require('../helpers/filters');
+const history = require('../helpers/history');
+const http = require('../helpers/http');
+const pagination = require('../helpers/pagination');
+const permissions = require('../helpers/permissions');
+
+const mongoose = require('mongoose');
+
+/**
+* Calls back with the revisions of the expense in the route, oldest first,
+* if the user can perform the action on its owner's expenses. Responds with 404 or 403 otherwise.
+* Works for deleted expenses too, their revisions being kept.
+* Expenses created before histories were kept start theirs with their current fields.
+*/
+const findRevisions = (req, res, action, cb) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const id = mongoose.Types.ObjectId(req.params.id);
+    const find = done => ExpenseRevision.find({ expense_id: id })
+        .populate('actor_id', 'email profile')
+        .sort({ version: 1 })
+        .exec(done);
+    const check = (err, revisions) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+        if (!revisions.length || !permissions.canRead(req.user, revisions[0])) {
+            return res.status(404).json({ error: { msg: 'Expense history not found' } });
+        }
+        if (!permissions.can(req.user, action, revisions[0])) {
+            return res.status(403).json({ error: { msg: 'You can not change this expense' } });
+        }
+
+        cb(revisions);
+    };
+
+    find((err, revisions) => {
+        if (err || revisions.length) {
+            return check(err, revisions);
+        }
+
+        Expense.findById(id, (err, expense) => {
+            if (err || !expense || !permissions.canRead(req.user, expense)) {
+                return check(err, []);
+            }
+
+            history.recordBaseline(expense, (err) => {
+                if (err) {
+                    return check(err);
+                }
+
+                find(check);
+            });
+        });
+    });
+};
+
+/**
+* GET /api/v1/expenses/:id/history
+* Show every version of an own or family expense, oldest first, with its actor and changes.
+*/
+exports.getHistory = (req, res) => {
+    findRevisions(req, res, 'read', (revisions) => {
+        res.status(200).json({
+            history: revisions.map(el => history.format(el, req.user.id))
+        });
+    });
+};
+
+/**
+* GET /api/household/activity
+* Show the latest changes to own and family expenses, newest first.
+* Query: member, limit and cursor (nextCursor of the previous page).
+*/
+exports.getActivity = (req, res, next) => {
+    req.checkQuery('member', 'Member is not valid').optional().isMongoId();
+    req.checkQuery('limit', 'Limit must be a positive integer').optional().isInt({ min: 1 });
+    req.checkQuery('cursor', 'Cursor is not valid').optional().isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const family = filters.getFamilyIds(req.user);
+
+    if (req.query.member && family.indexOf(req.query.member) === -1) {
+        return res.status(400).json({ error: { msg: 'Member is not in your family' } });
+    }
+
+    const limit = pagination.getLimit(req.query.limit);
+    const members = req.query.member ? [req.query.member] : family;
+    const filter = { user_id: { $in: members.map(id => mongoose.Types.ObjectId(id)) } };
+
+    if (req.query.cursor) {
+        filter._id = { $lt: mongoose.Types.ObjectId(req.query.cursor) };
+    }
+
+    ExpenseRevision.find(filter)
+        .populate('actor_id', 'email profile')
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .exec((err, revisions) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get activity' } });
+
+                return next(err);
+            }
+
+            const page = revisions.slice(0, limit);
+
+            res.status(200).json({
+                activity: page.map(el => history.format(el, req.user.id)),
+                nextCursor: revisions.length > limit ? page[page.length - 1].id : null
+            });
+        });
+};
+
+/**
+* POST /api/v1/expenses/:id/revert
+* Restore the expense as it was in the given version, taking it out of the trash
+* or recreating it after a purge if needed.
+* Body: version. If-Match is checked when sent for an existing expense.
+* Attachments of a purged expense can not be restored.
+*/
+exports.revertExpense = (req, res, next) => {
+    req.assert('version', 'Version must be a positive integer').isInt({ min: 1 });
+
+    findRevisions(req, res, 'edit', (revisions) => {
+        const version = parseInt(req.body.version, 10);
+        const target = revisions.find(el => el.version === version);
+
+        if (!target) {
+            return res.status(404).json({ error: { msg: `Version ${req.body.version} not found` } });
+        }
+
+        const fields = target.snapshot;
+
+        Expense.findById(req.params.id, (err, current) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            const header = req.get('If-Match');
+
+            if (current && header && !http.matches(header, http.getETag(current))) {
+                return res.status(412).json({
+                    error: { msg: 'The resource has been changed since, reload it and try again' }
+                });
+            }
+
+            const save = current
+                ? done => Expense.findOneAndUpdate(
+                    { _id: current._id, updatedAt: current.updatedAt },
+                    Object.assign({}, fields, { deletedAt: null }),
+                    { new: true },
+                    done
+                )
+                : done => Expense.create(Object.assign({}, fields, {
+                    _id: target.expense_id,
+                    user_id: target.user_id
+                }), done);
+
+            save((err, expense) => {
+                if (err) {
+                    return res.status(500).json({ error: err });
+                }
+                if (!expense) {
+                    return res.status(412).json({
+                        error: { msg: 'The resource has been changed since, reload it and try again' }
+                    });
+                }
+
+                const before = current && history.getSnapshot(current);
+
+                events.publishExpense('revert', expense);
+
+                history.record('revert', req.user.id, expense, before, version, (err) => {
+                    if (err) { return next(err); }
+
+                    res.set('ETag', http.getETag(expense));
+                    res.status(200).json(expense);
+                });
+            });
+        });
+    });
+};
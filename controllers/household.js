@@ -0,0 +1,461 @@
+const Household = require('../models/Household');
+const User = require('../models/User');
+const households = require('../helpers/households');
+const mailer = require('../helpers/mailer');
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const invitationRoles = ['member', 'viewer'];
+
+/**
+* Loads the household of the signed in user, so that req.user.familyMembers
+* lists every other member, and the legacy family links kept by the migration,
+* and req.user.household holds its id, the user's role
+* and the members whose expenses the household can edit.
+*/
+exports.loadHousehold = (req, res, next) => {
+    if (!req.user) {
+        return next();
+    }
+
+    households.findUserHousehold(req.user.id, (err, household) => {
+        if (err) { return next(err); }
+
+        req.user.household = household ? {
+            id: household._id,
+            role: households.getMember(household, req.user.id).role,
+            editableMembers: households.getEditableMemberIds(household, req.user.id)
+        } : null;
+        req.user.familyMembers = households.getFamilyMemberIds(household, req.user);
+        next();
+    });
+};
+
+/**
+* Calls back with the user's household if the user has one of the roles.
+*/
+const findHousehold = (req, res, roles, cb) => {
+    households.findUserHousehold(req.user.id, (err, household) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+        if (!household) {
+            return res.status(404).json({ error: { msg: 'You are not in a household' } });
+        }
+        if (roles.indexOf(households.getMember(household, req.user.id).role) === -1) {
+            return res.status(403).json({ error: { msg: 'Forbidden' } });
+        }
+
+        cb(household);
+    });
+};
+
+const formatHousehold = household => ({
+    _id: household._id,
+    name: household.name,
+    members: household.members,
+    invitations: household.invitations
+        .filter(el => !households.isExpired(el))
+        .map(el => ({ email: el.email, role: el.role, expires: el.expires }))
+});
+
+const sendHousehold = (household, res) => {
+    Household.populate(household, { path: 'members.user', select: 'email profile' }, (err) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        res.status(200).json({ household: formatHousehold(household) });
+    });
+};
+
+/**
+* GET /api/household
+* Show the household with its members and pending invitations.
+*/
+exports.getHousehold = (req, res) => {
+    households.findUserHousehold(req.user.id, (err, household) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+        if (!household) {
+            return res.status(200).json({ household: null });
+        }
+
+        sendHousehold(household, res);
+    });
+};
+
+/**
+* POST /api/household
+* Create a household owned by the user. Body: name.
+*/
+exports.addHousehold = (req, res) => {
+    households.findUserHousehold(req.user.id, (err, existing) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+        if (existing) {
+            return res.status(400).json({ error: { msg: 'You are already in a household' } });
+        }
+
+        const household = new Household({
+            name: req.body.name || '',
+            members: [{ user: mongoose.Types.ObjectId(req.user.id), role: 'owner' }]
+        });
+
+        household.save((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            sendHousehold(household, res);
+        });
+    });
+};
+
+/**
+* PUT /api/household
+* Rename the household. Owners only.
+*/
+exports.editHousehold = (req, res) => {
+    findHousehold(req, res, ['owner'], (household) => {
+        household.name = req.body.name || '';
+
+        household.save((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            sendHousehold(household, res);
+        });
+    });
+};
+
+/**
+* POST /api/household/invitations
+* Invite someone by email. Owners only. Body: email, role (member or viewer).
+* A household is created if the user does not have one yet.
+*/
+exports.addInvitation = (req, res, next) => {
+    req.assert('email', 'Please enter a valid email address.').isEmail();
+    req.assert('role', 'Role must be member or viewer').optional().isIn(invitationRoles);
+    req.sanitize('email').normalizeEmail({ remove_dots: false });
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    households.findUserHousehold(req.user.id, (err, existing) => {
+        if (err) { return next(err); }
+
+        const household = existing || new Household({
+            name: '',
+            members: [{ user: mongoose.Types.ObjectId(req.user.id), role: 'owner' }]
+        });
+
+        if (households.getMember(household, req.user.id).role !== 'owner') {
+            return res.status(403).json({ error: { msg: 'Forbidden' } });
+        }
+
+        User.findOne({ email: req.body.email }, '_id', (err, invitee) => {
+            if (err) { return next(err); }
+
+            if (invitee && households.getMember(household, invitee._id)) {
+                return res.status(400).json({ error: { msg: 'User is already in your household' } });
+            }
+
+            crypto.randomBytes(16, (err, buf) => {
+                if (err) { return next(err); }
+
+                const invitation = {
+                    email: req.body.email,
+                    role: req.body.role || 'member',
+                    token: buf.toString('hex'),
+                    expires: new Date(Date.now() + households.INVITATION_TTL),
+                    invitedBy: mongoose.Types.ObjectId(req.user.id)
+                };
+
+                household.invitations = household.invitations
+                    .filter(el => el.email !== invitation.email)
+                    .concat(invitation);
+
+                household.save((err) => {
+                    if (err) { return next(err); }
+
+                    mailer.send(invitation.email, 'householdInvitation', {
+                        inviter: req.user.email,
+                        token: invitation.token,
+                        expires: invitation.expires
+                    }, (err) => {
+                        if (err) {
+                            console.log('Invitation email error:', err);
+
+                            return res.status(500).json({ error: { msg: 'Can not send invitation' } });
+                        }
+
+                        res.status(200).json({ msg: `An invitation has been sent to ${invitation.email}.` });
+                    });
+                });
+            });
+        });
+    });
+};
+
+/**
+* GET /api/household/invitations
+* Show pending invitations sent to the user's email.
+*/
+exports.getInvitations = (req, res, next) => {
+    User.findById(req.user.id, 'email', (err, user) => {
+        if (err) { return next(err); }
+
+        Household.find({ 'invitations.email': user.email }, 'name invitations', (err, result) => {
+            if (err) { return next(err); }
+
+            const invitations = [];
+
+            result.forEach((household) => {
+                household.invitations
+                    .filter(el => el.email === user.email && !households.isExpired(el))
+                    .forEach(el => invitations.push({
+                        household: { _id: household._id, name: household.name },
+                        role: el.role,
+                        token: el.token,
+                        expires: el.expires
+                    }));
+            });
+
+            res.status(200).json({ invitations });
+        });
+    });
+};
+
+/**
+* Calls back with the household and the invitation with the token
+* if it has not expired and was sent to the user's email.
+*/
+const findInvitation = (req, res, cb) => {
+    User.findById(req.user.id, 'email', (err, user) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        Household.findOne({ 'invitations.token': req.params.token }, (err, household) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            const invitation = household &&
+                household.invitations.find(el => el.token === req.params.token);
+
+            if (!invitation || households.isExpired(invitation) ||
+                invitation.email !== user.email) {
+                return res.status(404).json({
+                    error: { msg: 'Invitation is invalid or has expired.' }
+                });
+            }
+
+            cb(household, invitation);
+        });
+    });
+};
+
+const withoutInvitation = (household, token) => household.invitations
+    .filter(el => el.token !== token);
+
+/**
+* POST /api/household/invitations/:token/accept
+* Join the household of the invitation. The user must not be in another household.
+*/
+exports.acceptInvitation = (req, res) => {
+    findInvitation(req, res, (household, invitation) => {
+        households.findUserHousehold(req.user.id, (err, existing) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+            if (existing) {
+                return res.status(400).json({
+                    error: { msg: 'Leave your current household before joining another one' }
+                });
+            }
+
+            household.members.push({
+                user: mongoose.Types.ObjectId(req.user.id),
+                role: invitation.role
+            });
+            household.invitations = withoutInvitation(household, invitation.token);
+
+            household.save((err) => {
+                if (err) {
+                    return res.status(500).json({ error: err });
+                }
+
+                sendHousehold(household, res);
+            });
+        });
+    });
+};
+
+/**
+* POST /api/household/invitations/:token/decline
+* Decline the invitation.
+*/
+exports.declineInvitation = (req, res) => {
+    findInvitation(req, res, (household, invitation) => {
+        household.invitations = withoutInvitation(household, invitation.token);
+
+        household.save((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            res.status(200).json({ msg: 'Invitation declined.' });
+        });
+    });
+};
+
+/**
+* DELETE /api/household/invitations/:token
+* Revoke an invitation. Owners only.
+*/
+exports.deleteInvitation = (req, res) => {
+    findHousehold(req, res, ['owner'], (household) => {
+        if (!household.invitations.some(el => el.token === req.params.token)) {
+            return res.status(404).json({ error: { msg: 'Invitation not found' } });
+        }
+
+        household.invitations = withoutInvitation(household, req.params.token);
+
+        household.save((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            sendHousehold(household, res);
+        });
+    });
+};
+
+/**
+* Removes the member from the household, which is deleted with its last member.
+*/
+const removeMember = (household, userId, res, msg) => {
+    household.members = households.removeMember(household, userId);
+
+    const done = (err) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        res.status(200).json({ msg });
+    };
+
+    if (!household.members.length) {
+        return household.remove(done);
+    }
+
+    household.save(done);
+};
+
+/**
+* POST /api/household/leave
+* Leave the household. If the last owner leaves, the longest standing member becomes the owner.
+*/
+exports.leaveHousehold = (req, res) => {
+    findHousehold(req, res, households.roles, (household) => {
+        removeMember(household, req.user.id, res, 'You have left the household.');
+    });
+};
+
+/**
+* PUT /api/household/settings
+* Change the user's own household settings. Body: allowEdits, whether other members
+* except viewers can edit the user's expenses.
+*/
+exports.editSettings = (req, res) => {
+    req.assert('allowEdits', 'Allow edits must be true or false').isBoolean();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    findHousehold(req, res, households.roles, (household) => {
+        households.getMember(household, req.user.id).allowEdits = String(req.body.allowEdits) === 'true';
+
+        household.save((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            sendHousehold(household, res);
+        });
+    });
+};
+
+/**
+* PUT /api/household/members/:id
+* Change the role of a member. Owners only. Body: role (owner, member or viewer).
+*/
+exports.editMember = (req, res) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+    req.assert('role', 'Role must be owner, member or viewer').isIn(households.roles);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    findHousehold(req, res, ['owner'], (household) => {
+        const member = households.getMember(household, req.params.id);
+
+        if (!member) {
+            return res.status(404).json({ error: { msg: 'Member not found' } });
+        }
+
+        member.role = req.body.role;
+
+        if (!household.members.some(el => el.role === 'owner')) {
+            return res.status(400).json({ error: { msg: 'Household must have an owner' } });
+        }
+
+        household.save((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            sendHousehold(household, res);
+        });
+    });
+};
+
+/**
+* DELETE /api/household/members/:id
+* Remove a member from the household. Owners only.
+*/
+exports.deleteMember = (req, res) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    findHousehold(req, res, ['owner'], (household) => {
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({ error: { msg: 'Leave the household instead' } });
+        }
+        if (!households.getMember(household, req.params.id)) {
+            return res.status(404).json({ error: { msg: 'Member not found' } });
+        }
+
+        removeMember(household, req.params.id, res, 'Member removed.');
+    });
+};
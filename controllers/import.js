@@ -0,0 +1,329 @@
+const Import = require('../models/Import');
+const Expense = require('../models/Expense');
+const Currency = require('../models/Currency');
+const categories = require('../helpers/categories');
+const events = require('../helpers/events');
+const history = require('../helpers/history');
+const statements = require('../helpers/statements');
+
+const mongoose = require('mongoose');
+const multer = require('multer');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE }
+}).single('file');
+
+const parseMapping = (mapping) => {
+    if (!mapping) {
+        return undefined;
+    }
+
+    const parsed = typeof mapping === 'string' ? JSON.parse(mapping) : mapping;
+
+    return Object.keys(parsed).reduce((result, field) => Object.assign(result, {
+        [field]: parseInt(parsed[field], 10)
+    }), {});
+};
+
+const getOptions = (body, current) => Object.assign({}, current, {
+    mapping: body.mapping ? parseMapping(body.mapping) : current && current.mapping,
+    dateFormat: body.dateFormat || (current && current.dateFormat),
+    delimiter: body.delimiter || (current && current.delimiter),
+    sign: body.sign || (current && current.sign) || 'negative',
+    category: body.category || (current && current.category),
+    currency: body.currency || (current && current.currency)
+});
+
+const validateOptions = (req) => {
+    req.assert('format', 'Format must be csv, ofx or qif').optional().isIn(statements.formats);
+    req.assert('sign', 'Sign must be negative or positive').optional().isIn(['negative', 'positive']);
+    req.assert('currency', 'Currency is not valid').optional().isMongoId();
+};
+
+const formatImport = (doc) => {
+    const count = skip => doc.rows.filter(el => el.skip === skip).length;
+
+    return {
+        id: doc._id,
+        filename: doc.filename,
+        format: doc.format,
+        status: doc.status,
+        options: doc.options,
+        headers: doc.headers,
+        rows: doc.rows,
+        summary: {
+            total: doc.rows.length,
+            new: count(undefined),
+            duplicate: count('duplicate'),
+            income: count('income'),
+            invalid: count('invalid'),
+            excluded: count('excluded')
+        }
+    };
+};
+
+/**
+* Parses the stored statement with the import options, resolves currencies
+* and flags rows that have already been imported or entered.
+* Rows in a category the user does not have are invalid, as for expenses.
+*/
+const buildPreview = (doc, userCategories, cb) => {
+    let parsed;
+
+    try {
+        parsed = statements.parse(doc.content, doc.format, doc.toObject().options);
+    } catch (e) {
+        return cb({ msg: 'Statement can not be parsed' });
+    }
+
+    const rows = statements.toRows(parsed.transactions, doc.options);
+    const shortcuts = rows
+        .map(el => el.currency)
+        .filter(el => el && !mongoose.Types.ObjectId.isValid(el));
+
+    Currency.find({ shortcut: { $in: shortcuts } }, (err, currencies) => {
+        if (err) { return cb(err); }
+
+        const ids = currencies.reduce((result, el) => Object.assign(result, {
+            [el.shortcut.toUpperCase()]: el._id
+        }), {});
+
+        rows.forEach((row) => {
+            const currency = row.currency && ids[row.currency.toUpperCase()];
+
+            row.currency = currency || doc.options.currency;
+
+            if (!row.skip && (!row.currency ||
+                !categories.hasCategory(userCategories, row.category))) {
+                row.skip = 'invalid';
+            }
+        });
+
+        const dates = rows.filter(el => el.date).map(el => el.date.getTime());
+        const query = dates.length ? {
+            user_id: doc.user_id,
+            deletedAt: null,
+            date: { $gte: new Date(Math.min(...dates)), $lte: new Date(Math.max(...dates)) }
+        } : { _id: null };
+
+        Expense.find(query, 'date amount comment', (err, expenses) => {
+            if (err) { return cb(err); }
+
+            doc.headers = parsed.headers;
+            doc.options.mapping = parsed.mapping;
+            doc.rows = statements.markDuplicates(rows, expenses);
+            doc.markModified('options.mapping');
+            doc.save(cb);
+        });
+    });
+};
+
+const findOwnImport = (req, res, cb) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    Import.findOne(
+        { _id: req.params.id, user_id: mongoose.Types.ObjectId(req.user.id) },
+        (err, doc) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+            if (!doc) {
+                return res.status(404).json({ error: { msg: 'Import not found' } });
+            }
+
+            cb(doc);
+        }
+    );
+};
+
+/**
+* Statement upload middleware. Accepts a single `file` field up to 5 MB.
+*/
+exports.uploadStatement = (req, res, next) => {
+    upload(req, res, (err) => {
+        if (err) {
+            const msg = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : 'File can not be uploaded';
+
+            return res.status(400).json({ error: { msg } });
+        }
+
+        next();
+    });
+};
+
+/**
+* POST /api/import
+* Upload a CSV, OFX or QIF bank statement and get its preview.
+* Fields: file, format, mapping (CSV: JSON of field to column index), dateFormat, delimiter,
+* sign (whether expenses are negative or positive), category and currency used by default.
+*/
+exports.postImport = (req, res, next) => {
+    validateOptions(req);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+    if (!req.file) {
+        return res.status(400).json({ error: { msg: 'File can not be blank' } });
+    }
+
+    let options;
+
+    try {
+        options = getOptions(req.body);
+    } catch (e) {
+        return res.status(400).json({ error: { msg: 'Mapping is not valid' } });
+    }
+
+    const doc = new Import({
+        user_id: mongoose.Types.ObjectId(req.user.id),
+        filename: req.file.originalname,
+        format: req.body.format || statements.getFormat(req.file.originalname),
+        content: req.file.buffer.toString('utf8'),
+        options
+    });
+
+    buildPreview(doc, req.user.categories, (err) => {
+        if (err && err.msg) {
+            return res.status(400).json({ error: err });
+        }
+        if (err) { return next(err); }
+
+        res.status(200).json(formatImport(doc));
+    });
+};
+
+/**
+* GET /api/import/:id
+* Show import preview.
+*/
+exports.getImport = (req, res) => {
+    findOwnImport(req, res, doc => res.status(200).json(formatImport(doc)));
+};
+
+/**
+* PUT /api/import/:id
+* Change column mapping or other import options and get the updated preview.
+*/
+exports.editImport = (req, res, next) => {
+    validateOptions(req);
+
+    findOwnImport(req, res, (doc) => {
+        if (doc.status !== 'preview') {
+            return res.status(400).json({ error: { msg: 'Import has already been committed' } });
+        }
+
+        try {
+            doc.options = getOptions(req.body, doc.toObject().options);
+        } catch (e) {
+            return res.status(400).json({ error: { msg: 'Mapping is not valid' } });
+        }
+
+        buildPreview(doc, req.user.categories, (err) => {
+            if (err && err.msg) {
+                return res.status(400).json({ error: err });
+            }
+            if (err) { return next(err); }
+
+            res.status(200).json(formatImport(doc));
+        });
+    });
+};
+
+/**
+* POST /api/import/:id/commit
+* Create expenses from the preview rows, except duplicates and lines listed in `exclude`.
+* The import is claimed first, so concurrent commits never import the rows twice.
+*/
+exports.commitImport = (req, res, next) => {
+    findOwnImport(req, res, (found) => {
+        const exclude = [].concat(req.body.exclude || []).map(el => parseInt(el, 10));
+
+        Import.findOneAndUpdate(
+            { _id: found._id, status: 'preview' },
+            { status: 'committing' },
+            { new: true },
+            (err, doc) => {
+                if (err) { return next(err); }
+                if (!doc) {
+                    return res.status(400).json({ error: { msg: 'Import has already been committed' } });
+                }
+
+                const release = (error) => {
+                    Import.update({ _id: doc._id }, { status: 'preview' }, () => error());
+                };
+
+                buildPreview(doc, req.user.categories, (err) => {
+                    if (err && err.msg) {
+                        return release(() => res.status(400).json({ error: err }));
+                    }
+                    if (err) { return release(() => next(err)); }
+
+                    doc.rows.forEach((row) => {
+                        if (!row.skip && exclude.indexOf(row.line) !== -1) {
+                            row.skip = 'excluded';
+                        }
+                    });
+
+                    Expense.create(doc.rows.filter(el => !el.skip).map(el => ({
+                        amount: el.amount,
+                        date: el.date,
+                        category: el.category,
+                        currency: el.currency,
+                        comment: el.comment,
+                        user_id: doc.user_id,
+                        import_id: doc._id
+                    })), (err, expenses) => {
+                        if (err) { return release(() => next(err)); }
+
+                        (expenses || []).forEach(el => events.publishExpense('create', el));
+
+                        doc.status = 'committed';
+                        doc.committedAt = new Date();
+                        doc.content = undefined;
+
+                        doc.save((err) => {
+                            if (err) { return next(err); }
+
+                            history.recordCreated(req.user.id, expenses || [], (err) => {
+                                if (err) { return next(err); }
+
+                                res.status(200).json(Object.assign(formatImport(doc), {
+                                    created: (expenses || []).length,
+                                    msg: 'Import committed'
+                                }));
+                            });
+                        });
+                    });
+                });
+            }
+        );
+    });
+};
+
+/**
+* DELETE /api/import/:id
+* Discard import preview.
+*/
+exports.deleteImport = (req, res) => {
+    findOwnImport(req, res, (doc) => {
+        doc.remove((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            res.status(200).json({ id: req.params.id, msg: 'Import deleted' });
+        });
+    });
+};
@@ -0,0 +1,68 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const rates = require('../helpers/rates');
+
+const moment = require('moment');
+
+/**
+* GET /api/rates
+* Show exchange rates effective on ?date=DD-MM-YYYY (today by default).
+*/
+exports.getRates = (req, res, next) => {
+    const date = req.query.date ? moment(req.query.date, 'DD-MM-YYYY', true) : moment();
+
+    if (!date.isValid()) {
+        return res.status(400).json({ error: { msg: 'Date is not valid' } });
+    }
+
+    ExchangeRate.aggregate([
+        { $match: { date: { $lte: date.endOf('day').toDate() } } },
+        { $sort: { date: -1 } },
+        { $group: { _id: '$currency', date: { $first: '$date' }, rate: { $first: '$rate' } } }
+    ]).exec((err, result) => {
+        if (err) {
+            res.status(400).json({ error: { msg: 'Can not get exchange rates' } });
+
+            return next(err);
+        }
+
+        ExchangeRate.populate(result, { path: '_id', model: 'Currency' }, (err, populated) => {
+            if (err) { return next(err); }
+
+            res.status(200).json({
+                base: process.env.EXCHANGE_RATES_BASE || 'EUR',
+                rates: populated.map(el => ({ currency: el._id, date: el.date, rate: el.rate }))
+            });
+        });
+    });
+};
+
+/**
+* POST /api/rates
+* Load exchange rates. Admin only.
+* Body: { rates: [{ date, currency, rate }] } or { format: 'csv' | 'json', data: '...' }.
+*/
+exports.postRates = (req, res, next) => {
+    let parsed;
+
+    try {
+        parsed = req.body.data
+            ? rates.parseRates(req.body.data, req.body.format)
+            : rates.parseRates(JSON.stringify(req.body.rates || []), 'json');
+    } catch (e) {
+        return res.status(400).json({ error: { msg: 'Rates can not be parsed' } });
+    }
+
+    if (parsed.errors.length) {
+        return res.status(400).json({ error: parsed.errors });
+    }
+
+    rates.saveRates(parsed.rates, (err, result) => {
+        if (err) { return next(err); }
+
+        res.status(200).json({
+            saved: result.saved,
+            errors: result.errors,
+            msg: `${result.saved} exchange rates loaded`
+        });
+    });
+};
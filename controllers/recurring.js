@@ -0,0 +1,265 @@
+const RecurringExpense = require('../models/RecurringExpense');
+const categories = require('../helpers/categories');
+const recurrence = require('../helpers/recurrence');
+const recurringJob = require('../jobs/recurring');
+
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+const frequencies = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const validateRecurring = (req) => {
+    req.assert('type', 'Type must be expense or income').optional().isIn(['expense', 'income']);
+    req.assert('amount', 'Amount can not be blank').notEmpty();
+    req.assert('category', 'Category can not be blank').notEmpty();
+    req.assert('currency', 'Currency is not valid').isMongoId();
+    req.assert('frequency', `Frequency must be one of ${frequencies.join(', ')}`).isIn(frequencies);
+    req.assert('startDate', 'Start date can not be blank').notEmpty();
+    req.assert('interval', 'Interval must be a positive integer').optional().isInt({ min: 1 });
+    req.assert('dayOfMonth', 'Day of month must be between 1 and 31').optional().isInt({ min: 1, max: 31 });
+};
+
+const isDate = value => moment(value, 'DD-MM-YYYY', true).isValid();
+
+/**
+* Error of the dates and the category of the template in the request, if any.
+* The category must be one of the user's for the type, as for expenses.
+*/
+const checkFields = (req) => {
+    if (!isDate(req.body.startDate)) {
+        return { msg: 'Start date must be a DD-MM-YYYY date' };
+    }
+    if (req.body.endDate && !isDate(req.body.endDate)) {
+        return { msg: 'End date must be a DD-MM-YYYY date' };
+    }
+    if (!categories.hasCategory(req.user.categories, req.body.category, req.body.type)) {
+        return { msg: `Category ${req.body.category} does not exist` };
+    }
+
+    return null;
+};
+
+const getRecurringFields = body => ({
+    type: body.type || 'expense',
+    amount: body.amount,
+    category: body.category,
+    currency: mongoose.Types.ObjectId(body.currency),
+    comment: body.comment,
+    frequency: body.frequency,
+    interval: body.interval || 1,
+    dayOfMonth: body.frequency === 'monthly' ? body.dayOfMonth : undefined,
+    startDate: moment(body.startDate, 'DD-MM-YYYY').toDate(),
+    endDate: body.endDate ? moment(body.endDate, 'DD-MM-YYYY').toDate() : undefined
+});
+
+const formatRecurring = template => Object.assign({}, template.toObject(), {
+    ended: recurrence.isEnded(template)
+});
+
+const findOwnTemplate = (req, res, cb) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    RecurringExpense.findOne(
+        { _id: req.params.id, user_id: mongoose.Types.ObjectId(req.user.id) },
+        (err, template) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+            if (!template) {
+                return res.status(404).json({ error: { msg: 'Recurring expense not found' } });
+            }
+
+            cb(template);
+        }
+    );
+};
+
+const saveAndRespond = (template, res, msg) => {
+    template.save((err) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        res.status(200).json(Object.assign(formatRecurring(template), { msg }));
+    });
+};
+
+/**
+* GET /api/recurring
+* Show recurring expense templates.
+*/
+exports.getRecurring = (req, res, next) => {
+    RecurringExpense.find({ user_id: mongoose.Types.ObjectId(req.user.id) })
+        .populate('currency')
+        .sort({ nextDate: 1 })
+        .exec((err, templates) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get recurring expenses' } });
+
+                return next(err);
+            }
+
+            res.status(200).json({ recurring: templates.map(formatRecurring) });
+        });
+};
+
+/**
+* POST /api/recurring
+* Add recurring expense template. Occurrences already due are created right away.
+*/
+exports.addRecurring = (req, res) => {
+    validateRecurring(req);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const error = checkFields(req);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const template = new RecurringExpense(Object.assign(getRecurringFields(req.body), {
+        user_id: mongoose.Types.ObjectId(req.user.id)
+    }));
+
+    template.nextDate = recurrence.getFirstDate(template);
+
+    template.save((err) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        recurringJob.materialize(template, new Date(), (err, expenses) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            RecurringExpense.findById(template._id, (err, saved) => {
+                if (err) {
+                    return res.status(500).json({ error: err });
+                }
+
+                res.status(200).json(Object.assign(formatRecurring(saved), {
+                    created: expenses.length
+                }));
+            });
+        });
+    });
+};
+
+/**
+* PUT /api/recurring/:id
+* Edit recurring expense template. Only future occurrences are affected.
+*/
+exports.editRecurring = (req, res) => {
+    validateRecurring(req);
+
+    findOwnTemplate(req, res, (template) => {
+        const error = checkFields(req);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        template.set(getRecurringFields(req.body));
+
+        const scheduleChanged = ['frequency', 'interval', 'dayOfMonth', 'startDate']
+            .some(field => template.isModified(field));
+
+        if (scheduleChanged) {
+            template.nextDate = recurrence.getNextDateFrom(
+                Object.assign(template.toObject(), { nextDate: undefined }),
+                new Date()
+            );
+        }
+
+        saveAndRespond(template, res, 'Recurring expense updated');
+    });
+};
+
+/**
+* POST /api/recurring/:id/pause
+* Pause the series. Occurrences falling due while paused are not created.
+*/
+exports.pauseRecurring = (req, res) => {
+    findOwnTemplate(req, res, (template) => {
+        template.paused = true;
+
+        saveAndRespond(template, res, 'Recurring expense paused');
+    });
+};
+
+/**
+* POST /api/recurring/:id/resume
+* Resume a paused series from the next upcoming occurrence.
+*/
+exports.resumeRecurring = (req, res) => {
+    findOwnTemplate(req, res, (template) => {
+        template.paused = false;
+        template.nextDate = recurrence.getNextDateFrom(template, new Date());
+
+        saveAndRespond(template, res, 'Recurring expense resumed');
+    });
+};
+
+/**
+* POST /api/recurring/:id/skip
+* Skip the next occurrence.
+*/
+exports.skipRecurring = (req, res) => {
+    findOwnTemplate(req, res, (template) => {
+        if (recurrence.isEnded(template)) {
+            return res.status(400).json({ error: { msg: 'Recurring expense has ended' } });
+        }
+
+        const skipped = template.nextDate;
+
+        template.nextDate = recurrence.getNextDate(template, template.nextDate);
+
+        saveAndRespond(template, res, `Occurrence on ${moment(skipped).format('DD-MM-YYYY')} skipped`);
+    });
+};
+
+/**
+* POST /api/recurring/:id/end
+* End the series today or on the given endDate. Created expenses are kept.
+*/
+exports.endRecurring = (req, res) => {
+    findOwnTemplate(req, res, (template) => {
+        if (req.body.endDate && !isDate(req.body.endDate)) {
+            return res.status(400).json({ error: { msg: 'End date must be a DD-MM-YYYY date' } });
+        }
+
+        template.endDate = req.body.endDate
+            ? moment(req.body.endDate, 'DD-MM-YYYY').toDate()
+            : moment().startOf('day').toDate();
+
+        saveAndRespond(template, res, 'Recurring expense ended');
+    });
+};
+
+/**
+* DELETE /api/recurring/:id
+* Delete recurring expense template. Created expenses are kept.
+*/
+exports.deleteRecurring = (req, res) => {
+    findOwnTemplate(req, res, (template) => {
+        template.remove((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            res.status(200).json({ id: req.params.id, msg: 'Recurring expense deleted' });
+        });
+    });
+};
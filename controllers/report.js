@@ -0,0 +1,131 @@
+const User = require('../models/User');
+const reports = require('../helpers/reports');
+const { getFamilyIds } = require('../helpers/filters');
+const { getPeriodRange } = require('../helpers/dates');
+
+const moment = require('moment');
+
+/**
+* Date range of the query, the current month by default.
+*/
+const getRange = (query) => {
+    const range = getPeriodRange('month');
+    const from = query.from ? moment(query.from, 'DD-MM-YYYY', true).startOf('day') : moment(range.start);
+    const to = query.to ? moment(query.to, 'DD-MM-YYYY', true).endOf('day') : moment(range.end);
+
+    if (!from.isValid() || !to.isValid() || to.isBefore(from)) {
+        return null;
+    }
+
+    return { from: from.toDate(), to: to.toDate() };
+};
+
+/**
+* GET /api/reports
+* Show totals, counts and averages of own and family expenses in the user's base currency.
+* Query: from, to (DD-MM-YYYY, current month by default),
+* groupBy (category, tag, member, currency, day, week or month), categories and tags
+* (comma separated), member, currency, type (expense or income, expense by default).
+* Itemized expenses count by line item in categories and under each of their tags.
+*/
+exports.getReport = (req, res, next) => {
+    req.checkQuery('groupBy', `Group by must be one of ${reports.groupings.join(', ')}`)
+        .optional().isIn(reports.groupings);
+    req.checkQuery('type', 'Type must be expense or income').optional().isIn(['expense', 'income']);
+    req.checkQuery('member', 'Member is not valid').optional().isMongoId();
+    req.checkQuery('currency', 'Currency is not valid').optional().isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const range = getRange(req.query);
+
+    if (!range) {
+        return res.status(400).json({ error: { msg: 'Date range is not valid' } });
+    }
+
+    const family = getFamilyIds(req.user);
+
+    if (req.query.member && family.indexOf(req.query.member) === -1) {
+        return res.status(400).json({ error: { msg: 'Member is not in your family' } });
+    }
+
+    User.findById(req.user.id, 'baseCurrency', (err, user) => {
+        if (err) { return next(err); }
+
+        reports.getReport({
+            userId: req.user.id,
+            userIds: req.query.member ? [req.query.member] : family,
+            from: range.from,
+            to: range.to,
+            groupBy: req.query.groupBy || 'category',
+            categories: req.query.categories ? req.query.categories.split(',') : [],
+            tags: req.query.tags ? req.query.tags.split(',').map(el => el.trim().toLowerCase()) : [],
+            currency: req.query.currency,
+            type: req.query.type || 'expense',
+            baseCurrency: user && user.baseCurrency
+        }, (err, report) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get report' } });
+
+                return next(err);
+            }
+
+            res.status(200).json(report);
+        });
+    });
+};
+
+/**
+* GET /api/reports/cashflow
+* Show income, expenses and net cash flow of own and family money in the user's base currency,
+* per period and per member.
+* Query: from, to (DD-MM-YYYY, current month by default), period (day, week or month), member.
+*/
+exports.getCashFlow = (req, res, next) => {
+    req.checkQuery('period', 'Period must be day, week or month')
+        .optional().isIn(['day', 'week', 'month']);
+    req.checkQuery('member', 'Member is not valid').optional().isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const range = getRange(req.query);
+
+    if (!range) {
+        return res.status(400).json({ error: { msg: 'Date range is not valid' } });
+    }
+
+    const family = getFamilyIds(req.user);
+
+    if (req.query.member && family.indexOf(req.query.member) === -1) {
+        return res.status(400).json({ error: { msg: 'Member is not in your family' } });
+    }
+
+    User.findById(req.user.id, 'baseCurrency', (err, user) => {
+        if (err) { return next(err); }
+
+        reports.getCashFlow({
+            userId: req.user.id,
+            userIds: req.query.member ? [req.query.member] : family,
+            from: range.from,
+            to: range.to,
+            period: req.query.period || 'month',
+            baseCurrency: user && user.baseCurrency
+        }, (err, cashFlow) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get cash flow' } });
+
+                return next(err);
+            }
+
+            res.status(200).json(cashFlow);
+        });
+    });
+};
@@ -0,0 +1,102 @@
+const Session = require('../models/Session');
+const sessions = require('../helpers/sessions');
+
+const mongoose = require('mongoose');
+
+/**
+* POST /api/token/refresh
+* Exchange a refresh token for a new access token and refresh token.
+* Body: refreshToken. Every refresh token can be used once.
+*/
+exports.postRefreshToken = (req, res, next) => {
+    req.assert('refreshToken', 'Refresh token can not be blank').notEmpty();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    sessions.refresh(req.body.refreshToken, (err, tokens) => {
+        if (err) { return next(err); }
+        if (!tokens) {
+            return res.status(401).json({ error: { msg: 'Refresh token is invalid or has expired.' } });
+        }
+
+        res.status(200).json(tokens);
+    });
+};
+
+/**
+* POST /api/logout
+* Revoke the current session.
+*/
+exports.postLogout = (req, res, next) => {
+    sessions.revoke(req.user.id, { _id: req.user.sessionId }, (err) => {
+        if (err) { return next(err); }
+
+        res.status(200).json({ msg: 'You have been logged out.' });
+    });
+};
+
+/**
+* GET /api/sessions
+* Show the active sessions of the user, one per signed in device.
+*/
+exports.getSessions = (req, res, next) => {
+    Session.find({
+        user_id: mongoose.Types.ObjectId(req.user.id),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }, 'userAgent ip lastUsedAt createdAt')
+        .sort({ lastUsedAt: -1 })
+        .lean()
+        .exec((err, result) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get sessions' } });
+
+                return next(err);
+            }
+
+            res.status(200).json({
+                sessions: result.map(el => Object.assign(el, {
+                    current: el._id.toString() === req.user.sessionId
+                }))
+            });
+        });
+};
+
+/**
+* DELETE /api/sessions/:id
+* Revoke a session, signing its device out.
+*/
+exports.deleteSession = (req, res, next) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    sessions.revoke(req.user.id, { _id: mongoose.Types.ObjectId(req.params.id) }, (err, result) => {
+        if (err) { return next(err); }
+        if (!result.nModified) {
+            return res.status(404).json({ error: { msg: 'Session not found' } });
+        }
+
+        res.status(200).json({ id: req.params.id, msg: 'Session revoked' });
+    });
+};
+
+/**
+* DELETE /api/sessions
+* Revoke all sessions, signing every device out.
+*/
+exports.deleteSessions = (req, res, next) => {
+    sessions.revoke(req.user.id, {}, (err, result) => {
+        if (err) { return next(err); }
+
+        res.status(200).json({ revoked: result.nModified || 0, msg: 'All sessions revoked' });
+    });
+};
@@ -0,0 +1,152 @@
+const Expense = require('../models/Expense');
+const Settlement = require('../models/Settlement');
+const permissions = require('../helpers/permissions');
+const splits = require('../helpers/splits');
+const { getFamilyIds } = require('../helpers/filters');
+
+const async = require('async');
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+const toObjectIds = ids => ids.map(id => mongoose.Types.ObjectId(id));
+
+/**
+* Calls back with the balances of the household members per currency.
+*/
+const getHouseholdBalances = (user, cb) => {
+    const family = toObjectIds(getFamilyIds(user));
+
+    async.parallel({
+        expenses: done => Expense.find({
+            user_id: { $in: family },
+            deletedAt: null,
+            'split.shares.0': { $exists: true }
+        }, 'user_id currency split').lean().exec(done),
+        settlements: done => Settlement.find({
+            $or: [{ from: { $in: family } }, { to: { $in: family } }]
+        }, 'from to amount currency').lean().exec(done)
+    }, (err, result) => {
+        if (err) { return cb(err); }
+
+        cb(null, splits.getBalances(result.expenses, result.settlements));
+    });
+};
+
+/**
+* GET /api/settlements/balances
+* Show who owes whom in the household per currency
+* and the payments that would settle all debts.
+*/
+exports.getBalances = (req, res, next) => {
+    getHouseholdBalances(req.user, (err, balances) => {
+        if (err) {
+            res.status(400).json({ error: { msg: 'Can not get balances' } });
+
+            return next(err);
+        }
+
+        res.status(200).json({ balances, payments: splits.settleUp(balances) });
+    });
+};
+
+/**
+* GET /api/settlements
+* Show settlements between household members, newest first.
+*/
+exports.getSettlements = (req, res, next) => {
+    const family = toObjectIds(getFamilyIds(req.user));
+
+    Settlement.find({ $or: [{ from: { $in: family } }, { to: { $in: family } }] })
+        .populate('from to', 'email profile')
+        .populate('currency')
+        .sort({ date: -1, createdAt: -1 })
+        .exec((err, settlements) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get settlements' } });
+
+                return next(err);
+            }
+
+            res.status(200).json({ settlements });
+        });
+};
+
+/**
+* POST /api/settlements
+* Record a payment settling a debt between household members.
+* Body: to, amount, currency, date (DD-MM-YYYY, today by default), comment
+* and from (the user by default). Payments of another member can only be recorded
+* by their recipient or by a member allowed to edit the payer's expenses.
+*/
+exports.addSettlement = (req, res) => {
+    req.assert('from', 'Payer is not valid').optional().isMongoId();
+    req.assert('to', 'Recipient is not valid').isMongoId();
+    req.assert('amount', 'Amount must be a positive number').isFloat({ min: 0.01 });
+    req.assert('currency', 'Currency is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const family = getFamilyIds(req.user);
+    const from = req.body.from || req.user.id;
+
+    if (family.indexOf(from) === -1 || family.indexOf(req.body.to) === -1) {
+        return res.status(400).json({ error: { msg: 'Member is not in your family' } });
+    }
+    if (from === req.body.to) {
+        return res.status(400).json({ error: { msg: 'Payer and recipient must be different' } });
+    }
+    if (from !== req.user.id && req.body.to !== req.user.id &&
+        !permissions.canEdit(req.user, { user_id: from })) {
+        return res.status(403).json({ error: { msg: 'You can not record payments of this member' } });
+    }
+
+    const settlement = new Settlement({
+        from: mongoose.Types.ObjectId(from),
+        to: mongoose.Types.ObjectId(req.body.to),
+        amount: req.body.amount,
+        currency: mongoose.Types.ObjectId(req.body.currency),
+        date: req.body.date ? moment(req.body.date, 'DD-MM-YYYY') : moment().startOf('day'),
+        comment: req.body.comment,
+        user_id: mongoose.Types.ObjectId(req.user.id)
+    });
+
+    settlement.save((err) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        res.status(200).json(settlement);
+    });
+};
+
+/**
+* DELETE /api/settlements/:id
+* Delete a settlement recorded by the user.
+*/
+exports.deleteSettlement = (req, res) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    Settlement.findOneAndRemove(
+        { _id: req.params.id, user_id: mongoose.Types.ObjectId(req.user.id) },
+        (err, settlement) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+            if (!settlement) {
+                return res.status(404).json({ error: { msg: 'Settlement not found' } });
+            }
+
+            res.status(200).json({ id: req.params.id, msg: 'Settlement deleted' });
+        }
+    );
+};
@@ -0,0 +1,132 @@
+const Account = require('../models/Account');
+const Transfer = require('../models/Transfer');
+
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+/**
+* GET /api/transfers
+* Show own transfers, newest first. Query: account.
+*/
+exports.getTransfers = (req, res, next) => {
+    req.checkQuery('account', 'Account is not valid').optional().isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const filter = { user_id: mongoose.Types.ObjectId(req.user.id) };
+
+    if (req.query.account) {
+        const account = mongoose.Types.ObjectId(req.query.account);
+
+        filter.$or = [{ from: account }, { to: account }];
+    }
+
+    Transfer.find(filter)
+        .populate('from to', 'name currency')
+        .sort({ date: -1, createdAt: -1 })
+        .exec((err, transfers) => {
+            if (err) {
+                res.status(400).json({ error: { msg: 'Can not get transfers' } });
+
+                return next(err);
+            }
+
+            res.status(200).json({ transfers });
+        });
+};
+
+/**
+* POST /api/transfers
+* Move money between own accounts. Transfers are not counted as spending.
+* Body: from, to, amount, date (DD-MM-YYYY), comment and, if the accounts
+* have different currencies, toAmount received by the target account.
+*/
+exports.addTransfer = (req, res, next) => {
+    req.assert('from', 'Source account is not valid').isMongoId();
+    req.assert('to', 'Target account is not valid').isMongoId();
+    req.assert('amount', 'Amount must be a positive number').isFloat({ min: 0.01 });
+    req.assert('toAmount', 'Received amount must be a positive number')
+        .optional().isFloat({ min: 0.01 });
+    req.assert('date', 'Date can not be blank').notEmpty();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+    if (req.body.from === req.body.to) {
+        return res.status(400).json({ error: { msg: 'Accounts must be different' } });
+    }
+
+    Account.find({
+        _id: { $in: [req.body.from, req.body.to] },
+        user_id: mongoose.Types.ObjectId(req.user.id)
+    }, (err, result) => {
+        if (err) { return next(err); }
+
+        const from = result.find(el => el._id.toString() === req.body.from);
+        const to = result.find(el => el._id.toString() === req.body.to);
+
+        if (!from || !to) {
+            return res.status(400).json({ error: { msg: 'Account not found' } });
+        }
+
+        const sameCurrency = from.currency.toString() === to.currency.toString();
+
+        if (!sameCurrency && req.body.toAmount === undefined) {
+            return res.status(400).json({
+                error: { msg: 'Received amount is required for accounts in different currencies' }
+            });
+        }
+
+        const transfer = new Transfer({
+            from: from._id,
+            to: to._id,
+            amount: req.body.amount,
+            toAmount: sameCurrency ? req.body.amount : req.body.toAmount,
+            date: moment(req.body.date, 'DD-MM-YYYY'),
+            comment: req.body.comment,
+            user_id: mongoose.Types.ObjectId(req.user.id)
+        });
+
+        transfer.save((err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            res.status(200).json(transfer);
+        });
+    });
+};
+
+/**
+* DELETE /api/transfers/:id
+* Delete transfer
+*/
+exports.deleteTransfer = (req, res) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    Transfer.findOneAndRemove(
+        { _id: req.params.id, user_id: mongoose.Types.ObjectId(req.user.id) },
+        (err, transfer) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+            if (!transfer) {
+                return res.status(404).json({ error: { msg: 'Transfer not found' } });
+            }
+
+            res.status(200).json({ id: req.params.id, msg: 'Transfer deleted' });
+        }
+    );
+};
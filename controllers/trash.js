@@ -0,0 +1,143 @@
+const Expense = require('../models/Expense');
+const events = require('../helpers/events');
+const filters = require('../helpers/filters');
+const history = require('../helpers/history');
+const http = require('../helpers/http');
+const pagination = require('../helpers/pagination');
+const permissions = require('../helpers/permissions');
+const trash = require('../helpers/trash');
+
+const async = require('async');
+const mongoose = require('mongoose');
+
+/**
+* Calls back with the trashed expense in the route if the user can perform the action
+* on its owner's expenses. Responds with 404 or 403 otherwise.
+*/
+const findTrashed = (req, res, action, cb) => {
+    req.checkParams('id', 'Id is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    Expense.findOne({ _id: req.params.id, deletedAt: { $ne: null } }, (err, expense) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+        if (!expense || !permissions.canRead(req.user, expense)) {
+            return res.status(404).json({ error: { msg: 'Expense not found in trash' } });
+        }
+        if (!permissions.can(req.user, action, expense)) {
+            return res.status(403).json({ error: { msg: 'You can not change this expense' } });
+        }
+
+        cb(expense);
+    });
+};
+
+/**
+* GET /api/v1/trash
+* List own and family expenses in the trash, last deleted first, with the date they are purged on.
+* Query: limit.
+*/
+exports.getTrash = (req, res, next) => {
+    req.checkQuery('limit', 'Limit must be a positive integer').optional().isInt({ min: 1 });
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    const filter = {
+        user_id: { $in: filters.getFamilyIds(req.user).map(id => mongoose.Types.ObjectId(id)) },
+        deletedAt: { $ne: null }
+    };
+
+    async.parallel({
+        expenses: done => Expense.find(filter)
+            .sort({ deletedAt: -1 })
+            .limit(pagination.getLimit(req.query.limit))
+            .lean()
+            .exec(done),
+        total: done => Expense.count(filter, done)
+    }, (err, result) => {
+        if (err) {
+            res.status(400).json({ error: { msg: 'Can not get trash' } });
+
+            return next(err);
+        }
+
+        res.status(200).json({
+            expenses: result.expenses.map(el => Object.assign({}, el, {
+                purgeAt: trash.getPurgeDate(el.deletedAt)
+            })),
+            total: result.total,
+            retentionDays: trash.getRetentionDays()
+        });
+    });
+};
+
+/**
+* POST /api/v1/trash/:id/restore
+* Take an own or editable family expense out of the trash.
+*/
+exports.restoreExpense = (req, res, next) => {
+    findTrashed(req, res, 'edit', (trashed) => {
+        Expense.findOneAndUpdate(
+            { _id: trashed._id, deletedAt: trashed.deletedAt },
+            { deletedAt: null },
+            { new: true },
+            (err, expense) => {
+                if (err) {
+                    return res.status(500).json({ error: err });
+                }
+                if (!expense) {
+                    return res.status(404).json({ error: { msg: 'Expense not found in trash' } });
+                }
+
+                events.publishExpense('restore', expense);
+
+                history.record('restore', req.user.id, expense, null, undefined, (err) => {
+                    if (err) { return next(err); }
+
+                    res.set('ETag', http.getETag(expense));
+                    res.status(200).json(expense);
+                });
+            }
+        );
+    });
+};
+
+/**
+* DELETE /api/v1/trash/:id
+* Permanently delete an own or editable family expense in the trash and its attached files.
+*/
+exports.purgeExpense = (req, res) => {
+    findTrashed(req, res, 'edit', (expense) => {
+        trash.purgeExpenses({ _id: expense._id }, req.user.id, (err) => {
+            if (err) {
+                return res.status(500).json({ error: err });
+            }
+
+            res.status(204).end();
+        });
+    });
+};
+
+/**
+* DELETE /api/v1/trash
+* Permanently delete all own expenses in the trash.
+*/
+exports.emptyTrash = (req, res) => {
+    trash.purgeExpenses({ user_id: req.user.id }, req.user.id, (err, count) => {
+        if (err) {
+            return res.status(500).json({ error: err });
+        }
+
+        res.status(200).json({ purged: count, msg: 'Trash has been emptied.' });
+    });
+};
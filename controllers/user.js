@@ -1,13 +1,17 @@
 const async = require('async');
-const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
 const passport = require('passport');
 const User = require('../models/User');
-const defaultCategories = require('../constants').categories;
-const mongoose = require('mongoose');
+const Currency = require('../models/Currency');
+const sessions = require('../helpers/sessions');
+const trash = require('../helpers/trash');
+const categories = require('../helpers/categories');
+const mailer = require('../helpers/mailer');
+const defaultCategories = require('../constants').defaultCategories;
 const request = require('request');
 
+const oauthProviders = ['facebook', 'twitter', 'google', 'github', 'instagram', 'linkedin', 'steam'];
+
 /**
 * Login Required middleware.
 */
@@ -19,9 +23,24 @@ exports.isAuthenticated = (req, res, next) => {
     }
 };
 
+/**
+* Admin Required middleware.
+*/
+exports.isAdmin = (req, res, next) => {
+    User.findById(req.user.id, 'isAdmin', (err, user) => {
+        if (err) { return next(err); }
+        if (!user || !user.isAdmin) {
+            return res.status(403).json({ error: { msg: 'Forbidden' } });
+        }
+
+        next();
+    });
+};
+
 /**
 * POST /api/login
-* Sign in using email and password.
+* Sign in using email and password. Responds with a short-lived access token
+* and a refresh token for POST /api/token/refresh.
 */
 exports.postLogin = (req, res, next) => {
     req.assert('email', 'Email is not valid').isEmail();
@@ -36,20 +55,59 @@ exports.postLogin = (req, res, next) => {
         passport.authenticate('local', (err, user, info) => {
             if (err) { return next(err); }
             if (!user) {
-                res.status(401).json({ error: info });
-            } else {
-                return res.status(200).json({ token: jwt.sign({
-                    email: user.email,
-                    familyMembers: user.familyMembers,
-                    profile: user.profile,
-                    categories: user.categories,
-                    id: user._id
-                }, process.env.SESSION_SECRET) });
+                return res.status(401).json({ error: info });
             }
+            if (user.deletedAt) {
+                return res.status(403).json({
+                    error: { msg: 'This account has been deleted, restore it to sign in again.' }
+                });
+            }
+
+            sessions.createSession(user, req, (err, tokens) => {
+                if (err) { return next(err); }
+
+                res.status(200).json(tokens);
+            });
         })(req, res, next);
     }
 };
 
+/**
+* POST /api/account/restore
+* Restore an account deleted less than the retention period ago and sign in.
+*/
+exports.postRestoreAccount = (req, res, next) => {
+    req.assert('email', 'Email is not valid').isEmail();
+    req.assert('password', 'Password cannot be blank').notEmpty();
+    req.sanitize('email').normalizeEmail({ remove_dots: false });
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    passport.authenticate('local', (err, user, info) => {
+        if (err) { return next(err); }
+        if (!user) {
+            return res.status(401).json({ error: info });
+        }
+        if (!user.deletedAt) {
+            return res.status(400).json({ error: { msg: 'This account has not been deleted.' } });
+        }
+
+        User.findByIdAndUpdate(user._id, { deletedAt: null }, (err) => {
+            if (err) { return next(err); }
+
+            sessions.createSession(user, req, (err, tokens) => {
+                if (err) { return next(err); }
+
+                res.status(200).json(Object.assign({ msg: 'Your account has been restored.' }, tokens));
+            });
+        });
+    })(req, res, next);
+};
+
 /**
 * POST /api/signup
 * Create a new local account.
@@ -113,9 +171,29 @@ exports.postSignup = (req, res, next) => {
     );
 };
 
+/**
+* GET /api/account
+* Show the user's account: email, profile, base currency, categories and household.
+*/
+exports.getAccount = (req, res, next) => {
+    User.findById(req.user.id, 'email profile baseCurrency categories isAdmin createdAt')
+        .populate('baseCurrency')
+        .exec((err, user) => {
+            if (err) { return next(err); }
+            if (!user) {
+                return res.status(404).json({ error: { msg: 'User not found' } });
+            }
+
+            res.status(200).json(Object.assign(user.toObject(), {
+                categories: categories.normalize(user.categories),
+                household: req.user.household
+            }));
+        });
+};
+
 /**
 * POST /api/account/profile
-* Update profile information.
+* Update profile information. Body: email, name, gender, location, website.
 */
 exports.postUpdateProfile = (req, res, next) => {
     req.assert('email', 'Please enter a valid email address.').isEmail();
@@ -124,8 +202,7 @@ exports.postUpdateProfile = (req, res, next) => {
     const errors = req.validationErrors();
 
     if (errors) {
-        req.flash('errors', errors);
-        return res.redirect('/account');
+        return res.status(400).json({ error: errors });
     }
 
     User.findById(req.user.id, (err, user) => {
@@ -138,20 +215,25 @@ exports.postUpdateProfile = (req, res, next) => {
         user.save((err) => {
             if (err) {
                 if (err.code === 11000) {
-                    req.flash('errors', { msg: 'The email address you have entered is already associated with an account.' });
-                    return res.redirect('/account');
+                    return res.status(400).json({
+                        error: { msg: 'The email address you have entered is already associated with an account.' }
+                    });
                 }
                 return next(err);
             }
-            req.flash('success', { msg: 'Profile information has been updated.' });
-            res.redirect('/account');
+
+            res.status(200).json({
+                email: user.email,
+                profile: user.profile,
+                msg: 'Profile information has been updated.'
+            });
         });
     });
 };
 
 /**
 * POST /api/account/password
-* Update current password.
+* Update current password. Every session is revoked, so all devices have to sign in again.
 */
 exports.postUpdatePassword = (req, res, next) => {
     req.assert('password', 'Password must be at least 4 characters long').len(4);
@@ -160,7 +242,7 @@ exports.postUpdatePassword = (req, res, next) => {
     const errors = req.validationErrors();
 
     if (errors) {
-        res.status(500).json(errors);
+        return res.status(400).json({ error: errors });
     }
 
     User.findById(req.user.id, (err, user) => {
@@ -169,44 +251,95 @@ exports.postUpdatePassword = (req, res, next) => {
         user.save((err) => {
             if (err) { return next(err); }
 
-            res.status(200).json({ msg: 'Password has been changed.' });
+            sessions.revoke(user._id, {}, (err) => {
+                if (err) { return next(err); }
+
+                res.status(200).json({ msg: 'Password has been changed.' });
+            });
+        });
+    });
+};
+
+/**
+* POST /api/account/currency
+* Update base currency all totals are converted to.
+*/
+exports.postUpdateBaseCurrency = (req, res, next) => {
+    req.assert('currency', 'Currency is not valid').isMongoId();
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
+    Currency.findById(req.body.currency, (err, currency) => {
+        if (err) { return next(err); }
+        if (!currency) {
+            return res.status(404).json({ error: { msg: 'Currency not found' } });
+        }
+
+        User.findByIdAndUpdate(req.user.id, { baseCurrency: currency._id }, (err) => {
+            if (err) { return next(err); }
+
+            res.status(200).json({ baseCurrency: currency, msg: 'Base currency has been changed.' });
         });
     });
 };
 
 /**
 * POST /api/account/delete
-* Delete user account.
+* Delete user account. It can be restored until the retention period is over,
+* then the user leaves their household and the account is purged, see helpers/trash.
 */
 exports.postDeleteAccount = (req, res, next) => {
-    User.remove({ _id: req.user.id }, (err) => {
+    const deletedAt = new Date();
+
+    User.findByIdAndUpdate(req.user.id, { deletedAt }, (err) => {
         if (err) { return next(err); }
 
-        res.status(200).json({ msg: 'Your account has been deleted.' });
+        sessions.revoke(req.user.id, {}, (err) => {
+            if (err) { return next(err); }
+
+            res.status(200).json({
+                purgeAt: trash.getPurgeDate(deletedAt),
+                msg: 'Your account has been deleted.'
+            });
+        });
     });
 };
 
 /**
-* GET /account/unlink/:provider
+* GET /api/account/unlink/:provider
 * Unlink OAuth provider.
 */
 exports.getOauthUnlink = (req, res, next) => {
+    req.checkParams('provider', 'Provider is not valid').isIn(oauthProviders);
+
+    const errors = req.validationErrors();
+
+    if (errors) {
+        return res.status(400).json({ error: errors });
+    }
+
     const provider = req.params.provider;
+
     User.findById(req.user.id, (err, user) => {
         if (err) { return next(err); }
         user[provider] = undefined;
         user.tokens = user.tokens.filter(token => token.kind !== provider);
         user.save((err) => {
             if (err) { return next(err); }
-            req.flash('info', { msg: `${provider} account has been unlinked.` });
-            res.redirect('/account');
+
+            res.status(200).json({ msg: `${provider} account has been unlinked.` });
         });
     });
 };
 
 /**
-* POST /reset/:token
-* Process the reset password request.
+* POST /api/reset/:token
+* Process the reset password request. Every session is revoked
+* and the user is notified by email. Body: password, confirm.
 */
 exports.postReset = (req, res, next) => {
     req.assert('password', 'Password must be at least 4 characters long.').len(4);
@@ -215,8 +348,7 @@ exports.postReset = (req, res, next) => {
     const errors = req.validationErrors();
 
     if (errors) {
-        req.flash('errors', errors);
-        return res.redirect('back');
+        return res.status(400).json({ error: errors });
     }
 
     async.waterfall([
@@ -225,50 +357,40 @@ exports.postReset = (req, res, next) => {
             .findOne({ passwordResetToken: req.params.token })
             .where('passwordResetExpires').gt(Date.now())
             .exec((err, user) => {
-                if (err) { return next(err); }
+                if (err) { return done(err); }
                 if (!user) {
-                    req.flash('errors', { msg: 'Password reset token is invalid or has expired.' });
-                    return res.redirect('back');
+                    return res.status(400).json({
+                        error: { msg: 'Password reset token is invalid or has expired.' }
+                    });
                 }
                 user.password = req.body.password;
                 user.passwordResetToken = undefined;
                 user.passwordResetExpires = undefined;
                 user.save((err) => {
-                    if (err) { return next(err); }
-                    req.logIn(user, (err) => {
-                        done(err, user);
-                    });
+                    if (err) { return done(err); }
+                    sessions.revoke(user._id, {}, err => done(err, user));
                 });
             });
         },
         function sendResetPasswordEmail(user, done) {
-            const transporter = nodemailer.createTransport({
-                service: 'SendGrid',
-                auth: {
-                    user: process.env.SENDGRID_USER,
-                    pass: process.env.SENDGRID_PASSWORD
+            mailer.send(user.email, 'passwordChanged', { email: user.email }, (err) => {
+                if (err) {
+                    console.log('Password changed email error:', err);
                 }
-            });
-            const mailOptions = {
-                to: user.email,
-                from: 'hackathon@starter.com',
-                subject: 'Your Hackathon Starter password has been changed',
-                text: `Hello,\n\nThis is a confirmation that the password for your account ${user.email} has just been changed.\n`
-            };
-            transporter.sendMail(mailOptions, (err) => {
-                req.flash('success', { msg: 'Success! Your password has been changed.' });
-                done(err);
+                done();
             });
         }
     ], (err) => {
         if (err) { return next(err); }
-        res.redirect('/');
+
+        res.status(200).json({ msg: 'Success! Your password has been changed.' });
     });
 };
 
 /**
-* POST /forgot
-* Create a random token, then the send user an email with a reset link.
+* POST /api/forgot
+* Create a random token, then send the user an email with a link to the reset page
+* of the front-end. Responds the same whether the account exists or not. Body: email.
 */
 exports.postForgot = (req, res, next) => {
     req.assert('email', 'Please enter a valid email address.').isEmail();
@@ -277,23 +399,22 @@ exports.postForgot = (req, res, next) => {
     const errors = req.validationErrors();
 
     if (errors) {
-        req.flash('errors', errors);
-        return res.redirect('/forgot');
+        return res.status(400).json({ error: errors });
     }
 
+    const msg = `If an account exists for ${req.body.email}, an e-mail has been sent with further instructions.`;
+
     async.waterfall([
         function createRandomToken(done) {
             crypto.randomBytes(16, (err, buf) => {
-                const token = buf.toString('hex');
-                done(err, token);
+                done(err, buf && buf.toString('hex'));
             });
         },
         function setRandomToken(token, done) {
             User.findOne({ email: req.body.email }, (err, user) => {
                 if (err) { return done(err); }
                 if (!user) {
-                    req.flash('errors', { msg: 'Account with that email address does not exist.' });
-                    return res.redirect('/forgot');
+                    return res.status(200).json({ msg });
                 }
                 user.passwordResetToken = token;
                 user.passwordResetExpires = Date.now() + 3600000; // 1 hour
@@ -303,172 +424,17 @@ exports.postForgot = (req, res, next) => {
             });
         },
         function sendForgotPasswordEmail(token, user, done) {
-            const transporter = nodemailer.createTransport({
-                service: 'SendGrid',
-                auth: {
-                    user: process.env.SENDGRID_USER,
-                    pass: process.env.SENDGRID_PASSWORD
+            mailer.send(user.email, 'passwordReset', { token }, (err) => {
+                // Failures answer like unknown emails, not to reveal which have accounts
+                if (err) {
+                    console.log('Password reset email error:', err);
                 }
-            });
-            const mailOptions = {
-                to: user.email,
-                from: 'hackathon@starter.com',
-                subject: 'Reset your password on Hackathon Starter',
-                text: `You are receiving this email because you (or someone else) have requested the reset of the password for your account.\n\n
-                Please click on the following link, or paste this into your browser to complete the process:\n\n
-                http://${req.headers.host}/reset/${token}\n\n
-                If you did not request this, please ignore this email and your password will remain unchanged.\n`
-            };
-            transporter.sendMail(mailOptions, (err) => {
-                req.flash('info', { msg: `An e-mail has been sent to ${user.email} with further instructions.` });
-                done(err);
+                done();
             });
         }
     ], (err) => {
         if (err) { return next(err); }
-        res.redirect('/forgot');
-    });
-};
-
-/**
-* POST /account/addfamily
-* Send request for a family member adding
-*/
-exports.addFamily = (req, res) => {
-    function handleError(err) {
-        req.flash('errors', err);
-        return res.redirect('/account');
-    }
-
-    req.assert('email', 'Please enter a valid email address.').isEmail();
-    req.sanitize('email').normalizeEmail({ remove_dots: false });
-
-    const errors = req.validationErrors();
-
-    if (errors) {
-        return handleError(errors);
-    }
-
-    User.findOne({ email: req.body.email }, (err, user) => {
-        if (!user || err) {
-            const error = err || { msg: 'Account with that email address does not exist.' };
-            return handleError(error);
-        }
-
-        if (typeof user.familyMembers === 'undefined') {
-            user.familyMembers = [];
-        }
-        if (typeof user.familyMemberRequests === 'undefined') {
-            user.familyMemberRequests = [];
-        }
-
-        const userId = mongoose.Types.ObjectId(req.user.id);
-
-        if (
-            user.familyMembers.indexOf(userId) === -1 &&
-            user.familyMemberRequests.indexOf(userId) === -1
-            ) {
-            user.familyMemberRequests.push(userId);
-        } else {
-            const error = {
-                msg: 'Account you\'re trying to add is already your family member.'
-            };
-            return handleError(error);
-        }
-
-        user.markModified('familyMemberRequests');
-
-        user.save((err) => {
-            if (err) {
-                return handleError(err);
-            }
-
-            req.flash('success', { msg: 'Add family member request has been sent.' });
-            return res.redirect('/account');
-        });
-    });
-};
-
-/**
-* POST /account/approvefamily
-* Send request for a family member adding
-*/
-exports.approveFamily = (req, res) => {
-    function handleError(err) {
-        req.flash('errors', err);
-        return res.redirect('/account');
-    }
-
-    if (typeof req.body.approve === 'undefined') {
-        handleError({ msg: 'Request error' });
-    }
-    req.sanitize('email').normalizeEmail({ remove_dots: false });
-
-    const myUserId = mongoose.Types.ObjectId(req.user.id);
-
-    User.findOne({ email: req.body.email }, (err, user) => {
-        if (err) {
-            handleError(err);
-        }
-        const familyUserId = mongoose.Types.ObjectId(user.id);
-
-        if (req.body.approve === 'true') {
-            if (user.familyMembers.indexOf(myUserId) === -1) {
-                user.familyMembers.push(myUserId);
-            }
-
-            user.markModified('familyMembers');
-
-            user.save((err) => {
-                if (err) {
-                    return handleError(err);
-                }
-
-                User.findById(myUserId, (err, me) => {
-                    if (err) {
-                        handleError(err);
-                    }
-                    if (me.familyMembers.indexOf(familyUserId) === -1) {
-                        me.familyMembers.push(familyUserId);
-                    }
-
-                    me.familyMemberRequests = me.familyMemberRequests.filter(
-                        el => el.toString() !== familyUserId.toString()
-                    );
 
-                    me.markModified('familyMemberRequests');
-
-                    me.save((err) => {
-                        if (err) {
-                            return handleError(err);
-                        }
-
-                        req.flash('success', { msg: 'Family member request approved.' });
-                        return res.redirect('/account');
-                    });
-                });
-            });
-        } else if (req.body.approve === 'false') {
-            User.findById(myUserId, (err, me) => {
-                if (err) {
-                    handleError(err);
-                }
-
-                me.familyMemberRequests = me.familyMemberRequests.filter(
-                    el => el.toString() !== familyUserId.toString()
-                );
-
-                me.markModified('familyMemberRequests');
-
-                me.save((err) => {
-                    if (err) {
-                        return handleError(err);
-                    }
-
-                    req.flash('info', { msg: 'Family member request rejected.' });
-                    return res.redirect('/account');
-                });
-            });
-        }
+        res.status(200).json({ msg });
     });
 };
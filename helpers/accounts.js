@@ -0,0 +1,71 @@
+const async = require('async');
+const mongoose = require('mongoose');
+const Expense = require('../models/Expense');
+const Transfer = require('../models/Transfer');
+
+exports.types = ['cash', 'card', 'savings'];
+
+const sumBy = (Model, match, group, amount, cb) => Model.aggregate([
+    { $match: match },
+    { $group: { _id: group, total: { $sum: amount } } }
+]).exec(cb);
+
+/**
+* Balances of the accounts: opening balance plus income and incoming transfers,
+* minus expenses and outgoing transfers.
+* `flows` holds the totals aggregated by getBalances.
+*/
+exports.computeBalances = (accounts, flows) => {
+    const totals = {};
+    const get = id => totals[id.toString()] ||
+        (totals[id.toString()] = { income: 0, expenses: 0, transfersIn: 0, transfersOut: 0 });
+
+    flows.expenses.forEach((el) => {
+        const total = get(el._id.account);
+
+        if (el._id.type === 'income') {
+            total.income += el.total;
+        } else {
+            total.expenses += el.total;
+        }
+    });
+    flows.transfersOut.forEach((el) => { get(el._id).transfersOut += el.total; });
+    flows.transfersIn.forEach((el) => { get(el._id).transfersIn += el.total; });
+
+    return accounts.map((account) => {
+        const total = get(account._id);
+
+        return Object.assign({
+            account: account._id,
+            name: account.name,
+            type: account.type,
+            currency: account.currency,
+            openingBalance: account.openingBalance || 0,
+            balance: ((account.openingBalance || 0) + total.income + total.transfersIn) -
+                (total.expenses + total.transfersOut)
+        }, total);
+    });
+};
+
+/**
+* Current balances of the accounts, computed from their expenses, income and transfers.
+*/
+exports.getBalances = (accounts, cb) => {
+    const ids = accounts.map(el => mongoose.Types.ObjectId(el._id.toString()));
+
+    async.parallel({
+        expenses: done => sumBy(
+            Expense,
+            { account_id: { $in: ids }, deletedAt: null },
+            { account: '$account_id', type: '$type' },
+            '$amount',
+            done
+        ),
+        transfersOut: done => sumBy(Transfer, { from: { $in: ids } }, '$from', '$amount', done),
+        transfersIn: done => sumBy(Transfer, { to: { $in: ids } }, '$to', '$toAmount', done)
+    }, (err, flows) => {
+        if (err) { return cb(err); }
+
+        cb(null, exports.computeBalances(accounts, flows));
+    });
+};
@@ -0,0 +1,95 @@
+const async = require('async');
+const spawn = require('child_process').spawn;
+const storage = require('./storage');
+
+exports.MAX_FILES = 10;
+
+exports.THUMBNAIL_SIZE = 200;
+
+/**
+* Largest accepted file in bytes, 10 MB unless set by ATTACHMENT_MAX_SIZE.
+*/
+exports.getMaxSize = () => parseInt(process.env.ATTACHMENT_MAX_SIZE, 10) || 10 * 1024 * 1024;
+
+// File signatures of the accepted types, RIFF....WEBP is checked separately
+const signatures = [
+    { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff], extension: '.jpg' },
+    { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47], extension: '.png' },
+    { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38], extension: '.gif' },
+    { mimeType: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46], extension: '.pdf' }
+];
+
+const webp = { mimeType: 'image/webp', extension: '.webp' };
+
+const startsWith = (buffer, bytes, offset) => bytes
+    .every((byte, i) => buffer[(offset || 0) + i] === byte);
+
+/**
+* Type of the file by its content: { mimeType, extension },
+* or undefined unless it is a JPEG, PNG, GIF or WebP image or a PDF.
+*/
+exports.detectType = (buffer) => {
+    if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return webp;
+    }
+
+    const found = signatures.find(el => startsWith(buffer, el.bytes));
+
+    return found && { mimeType: found.mimeType, extension: found.extension };
+};
+
+exports.isImage = mimeType => /^image\//.test(mimeType);
+
+/**
+* JPEG thumbnail of an image made by ImageMagick (THUMBNAIL_COMMAND, convert by default).
+* Calls back with no thumbnail if the file is not an image or can not be converted.
+*/
+exports.createThumbnail = (buffer, mimeType, cb) => {
+    if (!exports.isImage(mimeType)) {
+        return cb(null, null);
+    }
+
+    const size = `${exports.THUMBNAIL_SIZE}x${exports.THUMBNAIL_SIZE}>`;
+    const convert = spawn(process.env.THUMBNAIL_COMMAND || 'convert', ['-', '-thumbnail', size, 'jpeg:-']);
+    const chunks = [];
+    let done = false;
+    const finish = (thumbnail) => {
+        if (!done) {
+            done = true;
+            cb(null, thumbnail);
+        }
+    };
+
+    convert.on('error', () => finish(null));
+    convert.stdin.on('error', () => finish(null));
+    convert.stdout.on('data', chunk => chunks.push(chunk));
+    convert.on('close', code => finish(code === 0 && chunks.length ? Buffer.concat(chunks) : null));
+    convert.stdin.end(buffer);
+};
+
+/**
+* Attachment as returned by the API.
+*/
+exports.format = (expenseId, attachment) => {
+    const url = `/api/v1/expenses/${expenseId}/attachments/${attachment._id}`;
+
+    return {
+        id: attachment._id,
+        filename: attachment.filename,
+        mimeType: attachment.mimeType,
+        size: attachment.size,
+        createdAt: attachment.createdAt,
+        url,
+        thumbnailUrl: attachment.thumbnailKey ? `${url}/thumbnail` : null
+    };
+};
+
+/**
+* Deletes the stored files of the attachments.
+*/
+exports.removeFiles = (attachments, cb) => {
+    const keys = (attachments || [])
+        .reduce((result, el) => result.concat(el.key, el.thumbnailKey || []), []);
+
+    async.each(keys, (key, done) => storage.get().remove(key, done), cb);
+};
@@ -0,0 +1,164 @@
+const async = require('async');
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const items = require('./items');
+const rates = require('./rates');
+const reports = require('./reports');
+const { getPeriodRange } = require('./dates');
+
+const toObjectIds = ids => ids.map(id => mongoose.Types.ObjectId(id.toString()));
+
+/**
+* Ids of the users whose expenses count towards the budget.
+* Family budgets cover the requesting user and all of their family members.
+*/
+const getBudgetUserIds = (budget, user) => {
+    if (budget.scope === 'family') {
+        return toObjectIds([user.id, ...(user.familyMembers || [])]);
+    }
+
+    return toObjectIds([budget.user_id]);
+};
+
+/**
+* Budgets owned by the user plus family budgets of their family members.
+*/
+const findUserBudgets = (user, query, cb) => {
+    Budget.find(Object.assign({
+        $or: [
+            { user_id: mongoose.Types.ObjectId(user.id) },
+            { user_id: { $in: user.familyMembers || [] }, scope: 'family' }
+        ]
+    }, query))
+        .sort({ category: 1 })
+        .lean()
+        .exec(cb);
+};
+
+/**
+* Sum of the budget category expenses within the period containing the date,
+* converted to the budget currency.
+*/
+const getSpent = (budget, userIds, date, cb) => {
+    const { start, end } = getPeriodRange(budget.period, date);
+
+    reports.getReport({
+        userId: budget.user_id,
+        userIds,
+        from: start,
+        to: end,
+        groupBy: 'category',
+        categories: [budget.category],
+        baseCurrency: budget.currency
+    }, (err, report) => {
+        if (err) { return cb(err); }
+
+        cb(null, report.total);
+    });
+};
+
+/**
+* Spent, remaining and percent used of the budget limit.
+*/
+const formatProgress = (budget, spent, range) => {
+    const percent = budget.amount > 0 ? Math.round((spent / budget.amount) * 10000) / 100 : 0;
+
+    return Object.assign({}, budget, {
+        periodStart: range.start,
+        periodEnd: range.end,
+        spent,
+        remaining: budget.amount - spent,
+        percent,
+        overspent: spent > budget.amount
+    });
+};
+
+/**
+* Highest alert threshold (percent) passed when spending went from `before` to `after`.
+* Returns null if no threshold has been crossed.
+*/
+const getCrossedThreshold = (budget, before, after) => {
+    if (!(budget.amount > 0)) {
+        return null;
+    }
+
+    const thresholds = [100, budget.alertAt].filter(el => el > 0 && el <= 100);
+    const beforePercent = (before / budget.amount) * 100;
+    const afterPercent = (after / budget.amount) * 100;
+    const crossed = thresholds.filter(el => beforePercent < el && afterPercent >= el);
+
+    return crossed.length ? Math.max(...crossed) : null;
+};
+
+/**
+* Budgets with their progress for the period containing the date.
+*/
+exports.getProgress = (budgets, user, date, cb) => {
+    async.map(budgets, (budget, done) => {
+        getSpent(budget, getBudgetUserIds(budget, user), date, (err, spent) => {
+            if (err) { return done(err); }
+
+            done(null, formatProgress(budget, spent, getPeriodRange(budget.period, date)));
+        });
+    }, cb);
+};
+
+/**
+* Alerts for the budgets whose thresholds have been crossed by the just saved expense,
+* or by its line items in their categories. Income never counts towards budgets.
+*/
+exports.checkExpense = (user, expense, cb) => {
+    if (expense.type === 'income') {
+        return cb(null, []);
+    }
+
+    const amounts = items.getCategoryAmounts(expense);
+
+    findUserBudgets(user, { category: { $in: Object.keys(amounts) } }, (err, budgets) => {
+        if (err) { return cb(err); }
+
+        async.parallel({
+            progress: done => exports.getProgress(budgets, user, expense.date, done),
+            rateTable: done => rates.getRates(
+                budgets.map(el => el.currency).concat(expense.currency),
+                expense.date,
+                expense.date,
+                done
+            )
+        }, (err, result) => {
+            if (err) { return cb(err); }
+
+            const alerts = result.progress.map((el) => {
+                const amount = rates.convert(
+                    amounts[el.category],
+                    expense.currency,
+                    el.currency,
+                    expense.date,
+                    result.rateTable
+                );
+                const threshold = getCrossedThreshold(el, el.spent - (amount || 0), el.spent);
+
+                if (threshold === null) {
+                    return null;
+                }
+
+                return {
+                    budget: el._id,
+                    category: el.category,
+                    period: el.period,
+                    threshold,
+                    amount: el.amount,
+                    spent: el.spent,
+                    percent: el.percent,
+                    overspent: el.overspent
+                };
+            }).filter(el => el !== null);
+
+            cb(null, alerts);
+        });
+    });
+};
+
+exports.findUserBudgets = findUserBudgets;
+exports.formatProgress = formatProgress;
+exports.getCrossedThreshold = getCrossedThreshold;
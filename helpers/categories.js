@@ -0,0 +1,138 @@
+const async = require('async');
+const mongoose = require('mongoose');
+const Budget = require('../models/Budget');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const events = require('./events');
+const history = require('./history');
+
+exports.types = ['expense', 'income'];
+
+/**
+* User categories as objects. Accounts created before categories had metadata
+* store plain expense category names, which are turned into { name }.
+*/
+exports.normalize = categories => (categories || []).map((el) => {
+    if (typeof el === 'string') {
+        return { name: el, type: 'expense', color: null, icon: null, parent: null };
+    }
+
+    return {
+        name: el.name,
+        type: el.type === 'income' ? 'income' : 'expense',
+        color: el.color || null,
+        icon: el.icon || null,
+        parent: el.parent || null
+    };
+});
+
+/**
+* Category with the given name, or undefined.
+*/
+exports.find = (categories, name) => exports.normalize(categories).find(el => el.name === name);
+
+/**
+* Whether the user has a category with the given name for expenses (default) or income.
+*/
+exports.hasCategory = (categories, name, type) => {
+    const category = exports.find(categories, name);
+
+    return Boolean(category) && category.type === (type || 'expense');
+};
+
+/**
+* Error message if the parent can not hold the category, null otherwise.
+* Only one level of subcategories of the same type is supported.
+*/
+exports.checkParent = (categories, name, parentName, type) => {
+    if (!parentName) {
+        return null;
+    }
+
+    const parent = exports.find(categories, parentName);
+
+    if (!parent) {
+        return 'Parent category does not exist';
+    }
+    if (parent.name === name) {
+        return 'Category can not be its own parent';
+    }
+    if (parent.type !== (type || 'expense')) {
+        return 'Parent category must be of the same type';
+    }
+    if (parent.parent) {
+        return 'Subcategories can not have subcategories';
+    }
+    if (exports.normalize(categories).some(el => el.parent === name)) {
+        return 'Category with subcategories can not become a subcategory';
+    }
+
+    return null;
+};
+
+/**
+* Moves line items of the user's expenses from one category to another.
+* The positional operator updates one item per expense, so it runs until nothing is left.
+*/
+const moveItems = (userId, from, to, cb) => {
+    const query = { user_id: userId, 'items.category': from };
+    let modified = 0;
+
+    async.doWhilst(
+        done => Expense.update(query, { $set: { 'items.$.category': to } }, { multi: true }, (err, result) => {
+            modified = result ? result.nModified : 0;
+            done(err);
+        }),
+        () => modified > 0,
+        cb
+    );
+};
+
+/**
+* Records the category change of the moved expenses in their history, by the user,
+* and publishes it to the family, except for expenses in the trash.
+*/
+const recordMoves = (userId, moved, cb) => {
+    Expense.find({ _id: { $in: moved.map(el => el._id) } }, (err, expenses) => {
+        if (err) { return cb(err); }
+
+        async.eachSeries(expenses, (expense, done) => {
+            const before = moved.find(el => el._id.equals(expense._id));
+
+            if (!expense.deletedAt) {
+                events.publishExpense('update', expense);
+            }
+            history.record('update', userId, expense, history.getSnapshot(before), undefined, done);
+        }, cb);
+    });
+};
+
+/**
+* Moves the user's expenses, their line items, budgets and recurring expenses
+* from one category to another. Expenses changed are recorded like any other update.
+*/
+exports.moveCategory = (userId, from, to, cb) => {
+    const query = { user_id: mongoose.Types.ObjectId(userId.toString()), category: from };
+
+    Expense.find({
+        user_id: query.user_id,
+        $or: [{ category: from }, { 'items.category': from }]
+    }, (err, moved) => {
+        if (err) { return cb(err); }
+
+        const move = Model => done => Model.update(
+            query, { $set: { category: to } }, { multi: true }, done
+        );
+
+        async.parallel({
+            expenses: move(Expense),
+            items: done => moveItems(query.user_id, from, to, done),
+            budgets: move(Budget),
+            recurring: move(RecurringExpense)
+        }, (err, result) => {
+            if (err) { return cb(err); }
+
+            recordMoves(userId, moved, err => cb(err, result.expenses.nModified || 0));
+        });
+    });
+};
@@ -1,38 +1,39 @@
 const moment = require('moment');
 
-const thisWeekStart = moment().startOf('isoWeek');
-const thisWeekEnd = moment().endOf('isoWeek');
-const thisMonthStart = moment().startOf('month');
-const thisMonthEnd = moment().endOf('month');
-
-const prevWeekStart = moment().subtract(1, 'weeks').startOf('isoWeek');
-const prevWeekEnd = moment().subtract(1, 'weeks').endOf('isoWeek');
-const prevMonthStart = moment().subtract(1, 'months').startOf('month');
-const prevMonthEnd = moment().subtract(1, 'months').endOf('month');
+/**
+* Start and end of the week or month containing the given date (now by default).
+* Computed on every call, so long running processes never use stale boundaries.
+*/
+exports.getPeriodRange = (period, date) => {
+    const unit = period === 'week' ? 'isoWeek' : 'month';
+
+    return {
+        start: moment(date).startOf(unit).toDate(),
+        end: moment(date).endOf(unit).toDate()
+    };
+};
+
+/**
+* Start and end of the week or month preceding the one containing the given date.
+*/
+exports.getPrevPeriodRange = (period, date) => {
+    const unit = period === 'week' ? 'weeks' : 'months';
+
+    return exports.getPeriodRange(period, moment(date).subtract(1, unit));
+};
 
 const momentFmt = date => moment(date, 'DD-MM-YYYY');
 
-exports.getThisWeekAmount = data => data.filter(
+const getAmountInRange = (data, range) => data.filter(
     el =>
-        momentFmt(el.date).isSameOrAfter(thisWeekStart) &&
-        momentFmt(el.date).isSameOrBefore(thisWeekEnd)
+        momentFmt(el.date).isSameOrAfter(range.start) &&
+        momentFmt(el.date).isSameOrBefore(range.end)
 ).map(el => el.amount).reduce((a, b) => a + b, 0);
 
-exports.getPrevWeekAmount = data => data.filter(
-    el =>
-        momentFmt(el.date).isSameOrAfter(prevWeekStart) &&
-        momentFmt(el.date).isSameOrBefore(prevWeekEnd)
-).map(el => el.amount).reduce((a, b) => a + b, 0);
+exports.getThisWeekAmount = data => getAmountInRange(data, exports.getPeriodRange('week'));
 
+exports.getPrevWeekAmount = data => getAmountInRange(data, exports.getPrevPeriodRange('week'));
 
-exports.getThisMonthAmount = data => data.filter(
-    el =>
-        momentFmt(el.date).isSameOrAfter(thisMonthStart) &&
-        momentFmt(el.date).isSameOrBefore(thisMonthEnd)
-).map(el => el.amount).reduce((a, b) => a + b, 0);
+exports.getThisMonthAmount = data => getAmountInRange(data, exports.getPeriodRange('month'));
 
-exports.getPrevMonthAmount = data => data.filter(
-    el =>
-        momentFmt(el.date).isSameOrAfter(prevMonthStart) &&
-        momentFmt(el.date).isSameOrBefore(prevMonthEnd)
-).map(el => el.amount).reduce((a, b) => a + b, 0);
+exports.getPrevMonthAmount = data => getAmountInRange(data, exports.getPrevPeriodRange('month'));
@@ -0,0 +1,196 @@
+const async = require('async');
+const Expense = require('../models/Expense');
+const Currency = require('../models/Currency');
+const User = require('../models/User');
+const dates = require('./dates');
+const households = require('./households');
+const mailer = require('./mailer');
+const rates = require('./rates');
+const reports = require('./reports');
+
+exports.periods = ['week', 'month'];
+
+exports.TOP_CATEGORIES = 5;
+exports.BIGGEST_EXPENSES = 5;
+
+/**
+* Setting of the user enabling the digest of the period, weekly or monthly.
+*/
+exports.getSetting = period => (period === 'week' ? 'weekly' : 'monthly');
+
+/**
+* Field of the user digest holding when the digest of the period was last sent.
+*/
+exports.getSentField = period => `${exports.getSetting(period)}SentAt`;
+
+/**
+* Week or month the digest sent at `now` is about: the last one over,
+* so the weekly digest goes out on Monday and the monthly one on the 1st.
+*/
+exports.getDigestRange = (period, now) => dates.getPrevPeriodRange(period, now);
+
+/**
+* Whether the user has opted in to the digest of the period and has not got it
+* for the last week or month over yet.
+*/
+exports.isDue = (user, period, now) => {
+    const digest = user.digest || {};
+    const sentAt = digest[exports.getSentField(period)];
+
+    return Boolean(digest[exports.getSetting(period)]) &&
+        (!sentAt || sentAt < exports.getDigestRange(period, now).end);
+};
+
+/**
+* Digest figures from the reports of the period and the one before:
+* total and its change in percent, top categories, biggest expenses and members' shares.
+*/
+exports.summarize = ({ current, previous, members, biggest }) => ({
+    total: current.total,
+    previousTotal: previous.total,
+    change: previous.total ? ((current.total - previous.total) / previous.total) * 100 : null,
+    categories: current.groups.slice(0, exports.TOP_CATEGORIES).map(el => ({
+        name: el.label,
+        total: el.total
+    })),
+    biggest: biggest.map(el => ({
+        amount: el.amount,
+        currency: el.currency ? el.currency.shortcut : '',
+        category: el.category,
+        comment: el.comment,
+        date: el.date
+    })),
+    members: members.groups.map(el => ({
+        name: el.label,
+        total: el.total,
+        share: members.total ? (el.total / members.total) * 100 : 0
+    }))
+});
+
+/**
+* Biggest expenses once converted to the base currency at the rate on their date,
+* expenses whose amount can not be converted coming last.
+*/
+exports.rankBiggest = (expenses, baseCurrency, rateTable) => {
+    const ranked = expenses.map(el => ({
+        expense: el,
+        amount: rates.convert(
+            el.amount,
+            el.currency && (el.currency._id || el.currency),
+            baseCurrency,
+            el.date,
+            rateTable
+        )
+    }));
+    const value = el => (el.amount === null ? -1 : el.amount);
+
+    return ranked
+        .sort((a, b) => value(b) - value(a))
+        .slice(0, exports.BIGGEST_EXPENSES)
+        .map(el => el.expense);
+};
+
+/**
+* Calls back with the biggest expenses matching the report options, ranked in the user's
+* base currency, or by their amount if the user has not chosen one.
+*/
+const findBiggest = (user, options, cb) => {
+    Expense.find(reports.getMatch(options), 'amount currency category comment date')
+        .populate('currency')
+        .lean()
+        .exec((err, expenses) => {
+            if (err || !user.baseCurrency) {
+                return cb(err, expenses && exports.rankBiggest(expenses));
+            }
+
+            const currencies = expenses.map(el => el.currency && el.currency._id);
+
+            rates.getRates(
+                currencies.concat(user.baseCurrency),
+                options.from,
+                options.to,
+                (err, rateTable) => {
+                    if (err) { return cb(err); }
+
+                    cb(null, exports.rankBiggest(expenses, user.baseCurrency, rateTable));
+                }
+            );
+        });
+};
+
+/**
+* Calls back with the digest of the user's and their family's expenses for the last
+* week or month over, amounts in the user's base currency. Null if there were no expenses.
+*/
+exports.buildDigest = (user, period, now, cb) => {
+    const range = exports.getDigestRange(period, now);
+    const previousRange = dates.getPrevPeriodRange(period, range.start);
+
+    households.findUserHousehold(user._id, (err, household) => {
+        if (err) { return cb(err); }
+
+        const userIds = household ? household.members.map(el => el.user) : [user._id];
+        const options = (groupBy, dateRange) => ({
+            userId: user._id,
+            userIds,
+            from: dateRange.start,
+            to: dateRange.end,
+            groupBy,
+            baseCurrency: user.baseCurrency
+        });
+
+        async.parallel({
+            current: done => reports.getReport(options('category', range), done),
+            previous: done => reports.getReport(options('member', previousRange), done),
+            members: done => reports.getReport(options('member', range), done),
+            biggest: done => findBiggest(user, options(null, range), done),
+            currency: done => Currency.findById(user.baseCurrency || null, done)
+        }, (err, result) => {
+            if (err) { return cb(err); }
+            if (!result.current.count) {
+                return cb(null, null);
+            }
+
+            cb(null, Object.assign(exports.summarize(result), {
+                period,
+                from: range.start,
+                to: range.end,
+                currency: result.currency ? result.currency.shortcut : ''
+            }));
+        });
+    });
+};
+
+/**
+* Sends the digest of the period to the user. The user is claimed by moving the date
+* the digest was last sent, so concurrent runs never send it twice, and released
+* if the digest can not be built or sent, for the next run to try again.
+* Calls back with whether an email was sent.
+*/
+exports.sendDigest = (user, period, now, cb) => {
+    const field = `digest.${exports.getSentField(period)}`;
+    const sentAt = user.digest[exports.getSentField(period)] || null;
+
+    User.findOneAndUpdate(
+        { _id: user._id, [field]: sentAt },
+        { $set: { [field]: now } },
+        (err, claimed) => {
+            if (err || !claimed) { return cb(err, false); }
+
+            const release = (err) => {
+                User.update({ _id: user._id, [field]: now }, { $set: { [field]: sentAt } }, () => {
+                    cb(err, false);
+                });
+            };
+
+            exports.buildDigest(user, period, now, (err, digest) => {
+                if (err) { return release(err); }
+                if (!digest) { return cb(null, false); }
+
+                mailer.send(user.email, 'digest', Object.assign(digest, {
+                    token: user.digest.unsubscribeToken
+                }), err => (err ? release(err) : cb(null, true)));
+            });
+        }
+    );
+};
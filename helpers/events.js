@@ -0,0 +1,93 @@
+const EventEmitter = require('events');
+
+exports.HISTORY_SIZE = 1000;
+
+/**
+* Event types of the expense history actions, restores showing the expense again.
+* Purges are not published, the expense having been deleted already.
+*/
+exports.expenseEvents = {
+    create: 'expense.created',
+    update: 'expense.updated',
+    revert: 'expense.updated',
+    restore: 'expense.created',
+    delete: 'expense.deleted'
+};
+
+const emitter = new EventEmitter();
+// Ids of the events of this process, so that ids of a previous one are not resumed from
+const prefix = Date.now().toString(36);
+const recent = [];
+let lastId = 0;
+
+emitter.setMaxListeners(0);
+
+/**
+* Publishes an event about a document of the owner. Members of their family are told about it.
+*/
+exports.publish = (type, ownerId, data) => {
+    lastId += 1;
+
+    const event = { id: `${prefix}-${lastId}`, type, owner: ownerId.toString(), data };
+
+    recent.push(event);
+    if (recent.length > exports.HISTORY_SIZE) {
+        recent.shift();
+    }
+
+    emitter.emit('event', event);
+
+    return event;
+};
+
+/**
+* Publishes the change of an expense recorded in its history under the given action.
+*/
+exports.publishExpense = (action, expense) => {
+    const type = exports.expenseEvents[action];
+
+    if (!type) {
+        return null;
+    }
+
+    const doc = expense.toObject ? expense.toObject() : expense;
+
+    return exports.publish(
+        type,
+        doc.user_id._id || doc.user_id,
+        type === 'expense.deleted' ? { _id: doc._id } : doc
+    );
+};
+
+/**
+* Calls the listener with every event published. Returns the function unsubscribing it.
+*/
+exports.subscribe = (listener) => {
+    emitter.on('event', listener);
+
+    return () => emitter.removeListener('event', listener);
+};
+
+/**
+* Events published after the one with the given id, or null if it is not kept anymore
+* or comes from a previous process, the client having to reload then.
+*/
+exports.getEventsSince = (id) => {
+    const [eventPrefix, number] = String(id).split('-');
+    const count = lastId - parseInt(number, 10);
+
+    if (eventPrefix !== prefix || !(count >= 0) || count > recent.length) {
+        return null;
+    }
+
+    return recent.slice(recent.length - count);
+};
+
+/**
+* Event in the Server-Sent Events format.
+*/
+exports.format = event => [
+    event.id ? `id: ${event.id}` : null,
+    `event: ${event.type}`,
+    `data: ${JSON.stringify(event.data)}`
+].filter(line => line !== null).join('\n').concat('\n\n');
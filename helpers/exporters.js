@@ -0,0 +1,108 @@
+const moment = require('moment');
+const { Transform } = require('stream');
+
+const csvColumns = ['date', 'category', 'amount', 'currency', 'symbol', 'comment', 'user', 'type'];
+
+const escapeCsv = (value) => {
+    const str = value === undefined || value === null ? '' : value.toString();
+
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const escapeXml = value => (value || '').toString()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+* Flat row of an expense formatted for the list, with currency shortcut and symbol.
+*/
+const toRow = expense => ({
+    date: expense.date,
+    category: expense.category,
+    amount: expense.amount,
+    currency: expense.currency ? expense.currency.shortcut : '',
+    symbol: expense.currency ? expense.currency.symbol : '',
+    comment: expense.comment,
+    user: expense.user,
+    type: expense.type || 'expense'
+});
+
+const serializers = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        header: () => `${csvColumns.join(',')}\r\n`,
+        item: (expense) => {
+            const row = toRow(expense);
+
+            return `${csvColumns.map(el => escapeCsv(row[el])).join(',')}\r\n`;
+        },
+        footer: () => ''
+    },
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        header: () => '[',
+        item: (expense, raw, index) => `${index ? ',' : ''}${JSON.stringify(toRow(expense))}`,
+        footer: () => ']'
+    },
+    ofx: {
+        contentType: 'application/x-ofx',
+        header: options => [
+            'OFXHEADER:100',
+            'DATA:OFXSGML',
+            'VERSION:102',
+            'SECURITY:NONE',
+            'ENCODING:UTF-8',
+            'CHARSET:NONE',
+            'COMPRESSION:NONE',
+            'OLDFILEUID:NONE',
+            'NEWFILEUID:NONE',
+            '',
+            '<OFX><BANKMSGSRSV1><STMTTRNRS><TRNUID>1<STMTRS>',
+            `<CURDEF>${escapeXml(options.currency)}`,
+            '<BANKACCTFROM><BANKID>SPENDLIST<ACCTID>SPENDLIST<ACCTTYPE>CHECKING</BANKACCTFROM>',
+            '<BANKTRANLIST>',
+            ''
+        ].join('\r\n'),
+        item: (expense, raw) => [
+            '<STMTTRN>',
+            raw.type === 'income' ? '<TRNTYPE>CREDIT' : '<TRNTYPE>DEBIT',
+            `<DTPOSTED>${moment(raw.date).format('YYYYMMDD')}`,
+            `<TRNAMT>${raw.type === 'income' ? Math.abs(raw.amount) : -Math.abs(raw.amount)}`,
+            `<FITID>${raw._id}`,
+            `<NAME>${escapeXml(raw.category)}`,
+            `<MEMO>${escapeXml(raw.comment)}`,
+            raw.currency ? `<CURRENCY><CURRATE>1<CURSYM>${escapeXml(raw.currency.shortcut)}</CURRENCY>` : '',
+            '</STMTTRN>',
+            ''
+        ].filter((el, i, arr) => el || i === arr.length - 1).join('\r\n'),
+        footer: () => '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>\r\n'
+    }
+};
+
+exports.formats = Object.keys(serializers);
+
+exports.getContentType = format => serializers[format].contentType;
+
+/**
+* Stream turning expense documents into the export format.
+* `format` turns a raw document into its list representation.
+*/
+exports.createExportStream = (type, format, options) => {
+    const serializer = serializers[type];
+    let index = 0;
+
+    return new Transform({
+        writableObjectMode: true,
+        transform(raw, encoding, done) {
+            const chunk = (index === 0 ? serializer.header(options) : '') +
+                serializer.item(format(raw), raw, index);
+
+            index++;
+            done(null, chunk);
+        },
+        flush(done) {
+            done(null, (index === 0 ? serializer.header(options) : '') + serializer.footer(options));
+        }
+    });
+};
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+
+/**
+* Ids of the user and their family members, whose expenses the user can see.
+*/
+exports.getFamilyIds = user => [user.id, ...(user.familyMembers || [])]
+    .map(id => id.toString());
+
+/**
+* Filter for expenses or income. Expenses stored before income existed have no type.
+*/
+exports.getTypeFilter = type => ({ type: type === 'income' ? 'income' : { $ne: 'income' } });
+
+const parseDate = value => moment(value, 'DD-MM-YYYY', true);
+
+const parseAmount = value => (value === undefined || value === '' ? undefined : Number(value));
+
+const escapeRegExp = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+* Mongo filter for own and family expenses out of the trash matching the query:
+* type (expense or income, both by default), from, to (DD-MM-YYYY), category (comma separated,
+* matching line items too), tag (comma separated, any of them), member, currency, account,
+* minAmount, maxAmount and q (comment text).
+* Returns { error } if the query is not valid.
+*/
+exports.getExpenseFilter = (user, query) => {
+    const family = exports.getFamilyIds(user);
+    const from = query.from && parseDate(query.from);
+    const to = query.to && parseDate(query.to);
+    const minAmount = parseAmount(query.minAmount);
+    const maxAmount = parseAmount(query.maxAmount);
+
+    if ((from && !from.isValid()) || (to && !to.isValid())) {
+        return { error: { msg: 'Dates must be in DD-MM-YYYY format' } };
+    }
+    if ([minAmount, maxAmount].some(el => el !== undefined && isNaN(el))) {
+        return { error: { msg: 'Amounts must be numbers' } };
+    }
+    if (query.member && family.indexOf(query.member) === -1) {
+        return { error: { msg: 'Member is not in your family' } };
+    }
+    if (query.currency && !mongoose.Types.ObjectId.isValid(query.currency)) {
+        return { error: { msg: 'Currency is not valid' } };
+    }
+    if (query.account && !mongoose.Types.ObjectId.isValid(query.account)) {
+        return { error: { msg: 'Account is not valid' } };
+    }
+    if (query.type && ['expense', 'income'].indexOf(query.type) === -1) {
+        return { error: { msg: 'Type must be expense or income' } };
+    }
+
+    const filter = {
+        user_id: {
+            $in: (query.member ? [query.member] : family).map(id => mongoose.Types.ObjectId(id))
+        },
+        deletedAt: null
+    };
+
+    if (query.type) {
+        Object.assign(filter, exports.getTypeFilter(query.type));
+    }
+    if (from || to) {
+        filter.date = {};
+
+        if (from) {
+            filter.date.$gte = from.startOf('day').toDate();
+        }
+        if (to) {
+            filter.date.$lte = to.endOf('day').toDate();
+        }
+    }
+    if (query.category) {
+        const names = query.category.split(',');
+
+        filter.$or = [{ category: { $in: names } }, { 'items.category': { $in: names } }];
+    }
+    if (query.tag) {
+        filter.tags = { $in: query.tag.split(',').map(el => el.trim().toLowerCase()) };
+    }
+    if (query.currency) {
+        filter.currency = mongoose.Types.ObjectId(query.currency);
+    }
+    if (query.account) {
+        filter.account_id = mongoose.Types.ObjectId(query.account);
+    }
+    if (minAmount !== undefined || maxAmount !== undefined) {
+        filter.amount = {};
+
+        if (minAmount !== undefined) {
+            filter.amount.$gte = minAmount;
+        }
+        if (maxAmount !== undefined) {
+            filter.amount.$lte = maxAmount;
+        }
+    }
+    if (query.q) {
+        filter.comment = new RegExp(escapeRegExp(query.q), 'i');
+    }
+
+    return { filter };
+};
@@ -0,0 +1,151 @@
+const ExpenseRevision = require('../models/ExpenseRevision');
+
+exports.actions = ['create', 'update', 'delete', 'revert', 'restore', 'purge'];
+
+/**
+* Expense fields whose changes are recorded and restored by a revert.
+*/
+exports.fields = [
+    'type', 'amount', 'date', 'category', 'currency', 'comment', 'account_id', 'split', 'items', 'tags'
+];
+
+/**
+* Tracked fields of the expense as plain JSON values.
+*/
+exports.getSnapshot = (expense) => {
+    const doc = expense.toObject ? expense.toObject() : expense;
+    const fields = exports.fields.reduce((result, field) => Object.assign(result, {
+        [field]: doc[field] === undefined ? null : doc[field]
+    }), {});
+
+    return JSON.parse(JSON.stringify(fields));
+};
+
+/**
+* Changed fields between two snapshots: [{ field, from, to }].
+* A missing snapshot stands for an expense not created yet or deleted.
+*/
+exports.diff = (before, after) => exports.fields
+    .map(field => ({
+        field,
+        from: before ? before[field] : null,
+        to: after ? after[field] : null
+    }))
+    .filter(el => JSON.stringify(el.from) !== JSON.stringify(el.to));
+
+exports.MAX_ATTEMPTS = 5;
+
+/**
+* Revision of an expense created by the actor, version 1 of its history.
+* Expenses created before histories were kept get one of their fields at the time.
+*/
+const createRevision = (actorId, expense, snapshot) => {
+    const fields = snapshot || exports.getSnapshot(expense);
+
+    return {
+        expense_id: expense._id,
+        user_id: expense.user_id,
+        actor_id: actorId || undefined,
+        action: 'create',
+        version: 1,
+        changes: exports.diff(null, fields),
+        snapshot: fields
+    };
+};
+
+const insertBaseline = (expense, snapshot, cb) => {
+    ExpenseRevision.create(createRevision(null, expense, snapshot), (err) => {
+        cb(err && err.code !== 11000 ? err : null);
+    });
+};
+
+/**
+* Starts the history of an expense created before histories were kept
+* with a revision of its current fields. Does nothing if it has one already.
+*/
+exports.recordBaseline = (expense, cb) => insertBaseline(expense, null, cb);
+
+/**
+* Records a change of the expense by the actor as its next version.
+* `before` is the snapshot of the expense before an update, revert, delete or purge.
+* A deleted or purged expense has no fields after the change, a restored one had none before.
+* An expense without history gets a baseline revision of its fields before the change first.
+* Versions taken by a concurrent change are retried with the next one.
+*/
+exports.record = (action, actorId, expense, before, revertedTo, cb, attempt) => {
+    if (action === 'create') {
+        return ExpenseRevision.create(createRevision(actorId, expense), cb);
+    }
+
+    ExpenseRevision.findOne({ expense_id: expense._id }, 'version')
+        .sort({ version: -1 })
+        .exec((err, last) => {
+            if (err) { return cb(err); }
+
+            const after = ['delete', 'purge'].indexOf(action) === -1
+                ? exports.getSnapshot(expense)
+                : null;
+            const start = last
+                ? done => done()
+                : done => insertBaseline(expense, before || after, done);
+
+            start((err) => {
+                if (err) { return cb(err); }
+
+                ExpenseRevision.create({
+                    expense_id: expense._id,
+                    user_id: expense.user_id,
+                    actor_id: actorId,
+                    action,
+                    version: (last ? last.version : 1) + 1,
+                    changes: exports.diff(before, after),
+                    snapshot: after || before,
+                    revertedTo
+                }, (err, revision) => {
+                    if (err && err.code === 11000 && (attempt || 1) < exports.MAX_ATTEMPTS) {
+                        return exports.record(
+                            action, actorId, expense, before, revertedTo, cb, (attempt || 1) + 1
+                        );
+                    }
+
+                    cb(err, revision);
+                });
+            });
+        });
+};
+
+/**
+* Records expenses created in bulk, by an import or the recurring expenses job (no actor).
+*/
+exports.recordCreated = (actorId, expenses, cb) => {
+    if (!expenses.length) {
+        return cb(null, []);
+    }
+
+    ExpenseRevision.create(expenses.map(el => createRevision(actorId, el)), cb);
+};
+
+/**
+* Revision as returned by the API, the actor named after their profile or Me.
+*/
+exports.format = (revision, userId) => {
+    const actor = revision.actor_id;
+    let name = actor ? (actor.profile && actor.profile.name) || actor.email : null;
+
+    if (actor && actor._id.toString() === userId.toString()) {
+        name = 'Me';
+    }
+
+    return {
+        id: revision._id,
+        expense: revision.expense_id,
+        owner: revision.user_id,
+        version: revision.version,
+        action: revision.action,
+        actor: actor ? { id: actor._id, name } : null,
+        changes: revision.changes,
+        snapshot: revision.snapshot,
+        revertedTo: revision.revertedTo,
+        createdAt: revision.createdAt
+    };
+};
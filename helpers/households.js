@@ -0,0 +1,115 @@
+const Household = require('../models/Household');
+
+exports.roles = ['owner', 'member', 'viewer'];
+
+exports.INVITATION_TTL = 7 * 24 * 60 * 60 * 1000; // 1 week
+
+/**
+* Household the user belongs to, or null.
+*/
+exports.findUserHousehold = (userId, cb) => {
+    Household.findOne({ 'members.user': userId }, cb);
+};
+
+/**
+* Membership of the user in the household, or undefined.
+*/
+exports.getMember = (household, userId) => household.members
+    .find(el => el.user.toString() === userId.toString());
+
+/**
+* Ids of the other members of the household.
+*/
+exports.getOtherMemberIds = (household, userId) => household.members
+    .map(el => el.user.toString())
+    .filter(id => id !== userId.toString());
+
+/**
+* Ids of the user's family: the other members of the household and the legacy family links
+* of users scripts/migrate-households.js could not move, their family being in several households.
+*/
+exports.getFamilyMemberIds = (household, user) => (household
+    ? exports.getOtherMemberIds(household, user.id)
+    : []
+).concat((user.familyMembers || []).map(id => id.toString()))
+    .filter((id, index, ids) => ids.indexOf(id) === index);
+
+/**
+* Ids of the other members who let the household edit their expenses.
+*/
+exports.getEditableMemberIds = (household, userId) => household.members
+    .filter(el => el.allowEdits && el.user.toString() !== userId.toString())
+    .map(el => el.user.toString());
+
+/**
+* Whether the invitation can no longer be accepted.
+*/
+exports.isExpired = (invitation, now) => invitation.expires <= (now || new Date());
+
+/**
+* Members left after the user leaves or is removed. If no owner is left,
+* the member who joined first becomes the owner.
+*/
+exports.removeMember = (household, userId) => {
+    const members = household.members
+        .filter(el => el.user.toString() !== userId.toString())
+        .map(el => ({
+            user: el.user,
+            role: el.role,
+            allowEdits: el.allowEdits,
+            joinedAt: el.joinedAt
+        }));
+
+    if (members.length && !members.some(el => el.role === 'owner')) {
+        const first = members.reduce((a, b) => (b.joinedAt < a.joinedAt ? b : a));
+
+        first.role = 'owner';
+    }
+
+    return members;
+};
+
+/**
+* Groups users linked through the legacy familyMembers arrays, directly or
+* through other users, into families. Users without family are left out.
+*/
+exports.groupFamilies = (users) => {
+    const parents = {};
+    const find = (id) => {
+        let root = id;
+
+        while (parents[root] !== root) {
+            parents[root] = parents[parents[root]];
+            root = parents[root];
+        }
+
+        return root;
+    };
+
+    users.forEach((user) => {
+        parents[user._id.toString()] = user._id.toString();
+    });
+    users.forEach((user) => {
+        (user.familyMembers || []).forEach((member) => {
+            const id = member.toString();
+
+            if (parents[id] === undefined) {
+                return;
+            }
+
+            parents[find(id)] = find(user._id.toString());
+        });
+    });
+
+    const families = {};
+
+    users.forEach((user) => {
+        const root = find(user._id.toString());
+
+        families[root] = (families[root] || []).concat(user);
+    });
+
+    return Object.keys(families)
+        .map(key => families[key])
+        .filter(el => el.length > 1);
+};
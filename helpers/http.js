@@ -0,0 +1,40 @@
+/**
+* Entity tag of a document, changing with every update.
+*/
+exports.getETag = doc => `"${new Date(doc.updatedAt).getTime()}"`;
+
+/**
+* Whether the If-Match header matches the entity tag.
+*/
+exports.matches = (header, etag) => header.trim() === '*' || header
+    .split(',')
+    .map(el => el.trim().replace(/^W\//, ''))
+    .indexOf(etag) !== -1;
+
+/**
+* Middleware for optimistic locking of the document loaded into req[key]:
+* responds with 428 without If-Match and with 412 if the document has changed since.
+*/
+exports.requireIfMatch = key => (req, res, next) => {
+    const header = req.get('If-Match');
+
+    if (!header) {
+        return res.status(428).json({ error: { msg: 'If-Match header is required' } });
+    }
+    if (!exports.matches(header, exports.getETag(req[key]))) {
+        return res.status(412).json({
+            error: { msg: 'The resource has been changed since, reload it and try again' }
+        });
+    }
+
+    next();
+};
+
+/**
+* Middleware marking a route as deprecated in favour of its successor.
+*/
+exports.deprecated = successor => (req, res, next) => {
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+    next();
+};
@@ -0,0 +1,76 @@
+exports.MAX_ITEMS = 50;
+
+exports.MAX_TAGS = 20;
+
+const MAX_TAG_LENGTH = 50;
+
+const toCents = value => Math.round(Number(value) * 100);
+
+/**
+* Tags from an array or a comma separated string: trimmed, lower case and unique.
+* Returns { tags } or { error }.
+*/
+exports.parseTags = (value) => {
+    const list = typeof value === 'string' ? value.split(',') : [].concat(value || []);
+    const tags = list
+        .map(el => String(el).trim().toLowerCase())
+        .filter((el, i, all) => el && all.indexOf(el) === i);
+
+    if (tags.length > exports.MAX_TAGS) {
+        return { error: { msg: `An expense can have at most ${exports.MAX_TAGS} tags` } };
+    }
+    if (tags.some(el => el.length > MAX_TAG_LENGTH || /[\s,#]/.test(el))) {
+        return {
+            error: { msg: `Tags can not contain spaces, commas or # and must be at most ${MAX_TAG_LENGTH} characters long` }
+        };
+    }
+
+    return { tags };
+};
+
+/**
+* Line items of the expense, each with a category and an amount, summing to the expense amount.
+* Returns { items } or { error }.
+*/
+exports.parseItems = (value, amount) => {
+    const list = [].concat(value || []);
+
+    if (list.length > exports.MAX_ITEMS) {
+        return { error: { msg: `An expense can have at most ${exports.MAX_ITEMS} items` } };
+    }
+    if (list.some(el => !el || !el.category || !(Number(el.amount) > 0))) {
+        return { error: { msg: 'Every item needs a category and a positive amount' } };
+    }
+
+    const items = list.map(el => ({
+        category: String(el.category),
+        amount: toCents(el.amount) / 100,
+        comment: el.comment ? String(el.comment) : undefined
+    }));
+    const sum = items.reduce((total, el) => total + toCents(el.amount), 0);
+
+    if (items.length && sum !== toCents(amount)) {
+        return { error: { msg: 'Items must sum to the amount of the expense' } };
+    }
+
+    return { items };
+};
+
+/**
+* Category of the largest item, used as the category of an expense with items.
+*/
+exports.getMainCategory = items => items
+    .reduce((main, el) => (!main || el.amount > main.amount ? el : main), null).category;
+
+/**
+* Amounts of the expense per category: its line items, or its amount in its category.
+*/
+exports.getCategoryAmounts = (expense) => {
+    const entries = expense.items && expense.items.length
+        ? expense.items
+        : [{ category: expense.category, amount: expense.amount }];
+
+    return entries.reduce((result, el) => Object.assign(result, {
+        [el.category]: ((toCents(result[el.category] || 0)) + toCents(el.amount)) / 100
+    }), {});
+};
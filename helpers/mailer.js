@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const sgMail = require('@sendgrid/mail');
+
+/**
+* Base URL of the front-end, used for the links in emails.
+*/
+exports.getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+const getFrom = () => process.env.MAIL_FROM || 'Spendlist <noreply@spendlist.com>';
+
+const escapeHtml = value => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+* Wraps the paragraphs and the optional call to action into the branded layout.
+*/
+const layout = (paragraphs, action) => ({
+    text: paragraphs
+        .concat(action ? `${action.label}: ${action.url}` : [])
+        .concat('— Spendlist')
+        .join('\n\n'),
+    html: [
+        '<div style="font-family: Helvetica, Arial, sans-serif; max-width: 560px; color: #333">',
+        '<h1 style="color: #2e7d32; font-size: 22px">Spendlist</h1>',
+        ...paragraphs.map(el => `<p>${escapeHtml(el)}</p>`),
+        action
+            ? `<p><a href="${escapeHtml(action.url)}" style="background: #2e7d32; color: #fff; padding: 10px 16px; text-decoration: none; border-radius: 4px">${escapeHtml(action.label)}</a></p>`
+            : '',
+        '<p style="color: #999; font-size: 12px">You are receiving this email because of your Spendlist account.</p>',
+        '</div>'
+    ].join('\n')
+});
+
+/**
+* Email templates. Every template gets its data and returns subject, text and html.
+*/
+exports.templates = {
+    passwordReset: data => Object.assign({ subject: 'Reset your Spendlist password' }, layout([
+        'You are receiving this email because you (or someone else) have requested the reset of the password for your account.',
+        'The link below is valid for one hour. If you did not request this, please ignore this email and your password will remain unchanged.'
+    ], { label: 'Reset password', url: `${exports.getFrontendUrl()}/reset/${data.token}` })),
+
+    passwordChanged: data => Object.assign({ subject: 'Your Spendlist password has been changed' }, layout([
+        `This is a confirmation that the password for your account ${data.email} has just been changed.`,
+        'All your devices have been signed out.'
+    ])),
+
+    householdInvitation: data => Object.assign({ subject: 'You have been invited to a household on Spendlist' }, layout([
+        `${data.inviter} has invited you to share expenses with their household.`,
+        `The invitation expires on ${data.expires.toDateString()}.`
+    ], { label: 'Join household', url: `${exports.getFrontendUrl()}/household/join/${data.token}` })),
+
+    digest: (data) => {
+        const money = amount => `${amount.toFixed(2)}${data.currency ? ` ${data.currency}` : ''}`;
+        const name = data.period === 'week' ? 'week' : 'month';
+        const unsubscribeUrl = `${exports.getFrontendUrl()}/digest/unsubscribe/${data.token}`;
+        const change = data.change === null
+            ? ''
+            : `, ${Math.abs(data.change).toFixed(0)}% ${data.change >= 0 ? 'more' : 'less'} than the ${name} before (${money(data.previousTotal)})`;
+
+        return Object.assign({
+            subject: `Your ${data.period === 'week' ? 'weekly' : 'monthly'} Spendlist digest`,
+            headers: { 'List-Unsubscribe': `<${unsubscribeUrl}>` }
+        }, layout([
+            `You spent ${money(data.total)} from ${moment(data.from).format('D MMM')} to ${moment(data.to).format('D MMM YYYY')}${change}.`,
+            `Top categories: ${data.categories.map(el => `${el.name} ${money(el.total)}`).join(', ')}.`,
+            `Biggest expenses: ${data.biggest.map(el => `${el.amount.toFixed(2)} ${el.currency} ${el.comment || el.category} on ${moment(el.date).format('D MMM')}`).join(', ')}.`,
+            data.members.length > 1
+                ? `Shares: ${data.members.map(el => `${el.name} ${money(el.total)} (${el.share.toFixed(0)}%)`).join(', ')}.`
+                : null,
+            `To stop receiving digests, unsubscribe: ${unsubscribeUrl}`
+        ].filter(el => el !== null), { label: 'Open Spendlist', url: exports.getFrontendUrl() }));
+    }
+};
+
+/**
+* Transport writing every message as a JSON file into the directory, to read them locally.
+*/
+exports.createFileTransport = dir => ({
+    send: (message, cb) => {
+        const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const file = path.join(dir, `${name}-${message.to.replace(/[^\w.@-]/g, '_')}.json`);
+
+        fs.mkdir(dir, { recursive: true }, (err) => {
+            if (err) { return cb(err); }
+
+            fs.writeFile(file, JSON.stringify(message, null, 2), cb);
+        });
+    }
+});
+
+/**
+* Transport keeping the messages in its `sent` list, for tests.
+*/
+exports.createMemoryTransport = () => {
+    const sent = [];
+
+    return {
+        sent,
+        send: (message, cb) => {
+            sent.push(message);
+            process.nextTick(cb);
+        }
+    };
+};
+
+const transports = {
+    sendgrid: () => {
+        sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+        return { send: (message, cb) => sgMail.send(message, err => cb(err)) };
+    },
+    file: () => exports.createFileTransport(process.env.MAIL_DIR || path.join(__dirname, '../mails')),
+    memory: () => exports.createMemoryTransport()
+};
+
+const instances = {};
+
+/**
+* Registers a mail transport: a factory of an object with send(message, cb),
+* the message having to, from, subject, text, html and optional headers.
+*/
+exports.register = (name, factory) => {
+    transports[name] = factory;
+    delete instances[name];
+};
+
+/**
+* Transport set by MAIL_TRANSPORT, SendGrid by default.
+*/
+exports.getTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || 'sendgrid';
+
+    if (!transports[name]) {
+        throw new Error(`Unknown mail transport ${name}`);
+    }
+
+    return instances[name] || (instances[name] = transports[name]());
+};
+
+/**
+* Renders the template and sends it to the address.
+*/
+exports.send = (to, template, data, cb) => {
+    const content = exports.templates[template](data);
+
+    exports.getTransport().send(Object.assign({ to, from: getFrom() }, content), err => cb(err));
+};
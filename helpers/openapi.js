@@ -0,0 +1,241 @@
+const Ajv = require('ajv');
+const chalk = require('chalk');
+const moment = require('moment');
+const mongoose = require('mongoose');
+const spec = require('../config/openapi');
+
+const COMPONENTS = 'components';
+
+const formatMessages = {
+    objectid: 'is not a valid id',
+    'objectid-or-empty': 'is not a valid id',
+    'dd-mm-yyyy': 'must be a date in DD-MM-YYYY format',
+    email: 'is not a valid email address'
+};
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, jsonPointers: true });
+
+ajv.addFormat('objectid', value => mongoose.Types.ObjectId.isValid(value));
+ajv.addFormat('objectid-or-empty', value => value === '' || mongoose.Types.ObjectId.isValid(value));
+ajv.addFormat('dd-mm-yyyy', value => moment(value, 'DD-MM-YYYY', true).isValid());
+
+/**
+* JSON schema of an OpenAPI schema: `nullable` becomes a null type
+* and references point at the components schema registered with ajv.
+*/
+const toJsonSchema = (schema) => {
+    if (Array.isArray(schema)) {
+        return schema.map(toJsonSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    let source = schema;
+
+    if (schema.nullable && schema.$ref) {
+        const name = schema.$ref.split('/').pop();
+
+        source = Object.assign({}, spec.components.schemas[name], schema);
+        delete source.$ref;
+    }
+
+    const result = {};
+
+    Object.keys(source).forEach((key) => {
+        if (key === 'nullable') { return; }
+
+        result[key] = key === '$ref'
+            ? source[key].replace('#/components/schemas/', `${COMPONENTS}#/definitions/`)
+            : toJsonSchema(source[key]);
+    });
+
+    if (source.nullable && source.type) {
+        result.type = [].concat(source.type, 'null');
+    }
+
+    return result;
+};
+
+ajv.addSchema({ definitions: toJsonSchema(spec.components.schemas) }, COMPONENTS);
+
+const compile = schema => schema && ajv.compile(toJsonSchema(schema));
+
+const getJsonSchema = content => content && content['application/json'] && content['application/json'].schema;
+
+/**
+* Schema of the parameters in the given location of the operation.
+*/
+const getParametersSchema = (parameters, location) => {
+    const own = parameters.filter(el => el.in === location);
+
+    if (!own.length) {
+        return undefined;
+    }
+
+    const schema = {
+        type: 'object',
+        properties: own.reduce((result, el) => Object.assign(result, { [el.name]: el.schema }), {})
+    };
+    const required = own.filter(el => el.required).map(el => el.name);
+
+    return required.length ? Object.assign(schema, { required }) : schema;
+};
+
+/**
+* Validators of the JSON responses by status code.
+*/
+const compileResponses = responses => Object.keys(responses).reduce((result, status) => {
+    const schema = getJsonSchema(responses[status].content);
+
+    return Object.assign(result, { [status]: compile(schema) });
+}, {});
+
+/**
+* Operations of the spec with their path pattern and compiled validators,
+* paths without parameters first so that /budgets/progress wins over /budgets/{id}.
+*/
+const operations = Object.keys(spec.paths)
+    .sort((a, b) => a.split('{').length - b.split('{').length)
+    .reduce((result, path) => {
+        const names = [];
+        const pattern = new RegExp(`^${path.replace(/\{(\w+)\}/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        })}/?$`);
+
+        Object.keys(spec.paths[path]).forEach((method) => {
+            const operation = spec.paths[path][method];
+            const parameters = operation.parameters || [];
+            const body = operation.requestBody;
+
+            result.push({
+                method: method.toUpperCase(),
+                path,
+                pattern,
+                names,
+                operation,
+                secured: !!(operation.security && operation.security.length),
+                validatePath: compile(getParametersSchema(parameters, 'path')),
+                validateQuery: compile(getParametersSchema(parameters, 'query')),
+                validateBody: body && compile(getJsonSchema(body.content)),
+                validateResponses: compileResponses(operation.responses || {})
+            });
+        });
+
+        return result;
+    }, []);
+
+const decode = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+* Operation handling the request with its path parameters, or undefined if the spec lacks it.
+* Parameters are null if one of them is not a valid URI component.
+*/
+exports.findOperation = (method, path) => {
+    let params;
+    const found = operations.find((el) => {
+        const match = el.method === method && el.pattern.exec(path);
+
+        if (match) {
+            const values = el.names.map((name, i) => decode(match[i + 1]));
+
+            params = values.indexOf(null) === -1
+                ? el.names.reduce((result, name, i) => Object.assign(result, {
+                    [name]: values[i]
+                }), {})
+                : null;
+        }
+
+        return !!match;
+    });
+
+    return found && Object.assign({ params }, found);
+};
+
+/**
+* Errors of the last validation in the express-validator format: { location, param, msg, value },
+* the first one for every parameter.
+*/
+exports.formatErrors = (errors, location, data) => errors
+    .filter(el => ['anyOf', 'allOf'].indexOf(el.keyword) === -1)
+    .map((el) => {
+        const pointer = el.keyword === 'required'
+            ? `${el.dataPath}/${el.params.missingProperty.replace(/^[./]/, '')}`
+            : el.dataPath;
+        const param = pointer.split('/').filter(Boolean).join('.');
+        const value = param.split('.').reduce((result, key) => (result == null ? undefined : result[key]), data);
+        const message = el.keyword === 'format' && formatMessages[el.params.format]
+            ? formatMessages[el.params.format]
+            : el.message;
+
+        return { location, param, msg: `${param || location} ${message}`, value };
+    })
+    .filter((el, i, all) => all.findIndex(other => other.param === el.param) === i);
+
+/**
+* Middleware validating path parameters, query and JSON or form body of the request
+* against the spec, responding with 400 and the list of errors if any.
+* Requests that need a signed in user are left to isAuthenticated without one.
+*/
+exports.validateRequest = (req, res, next) => {
+    const found = exports.findOperation(req.method, req.path);
+
+    if (!found || (found.secured && !req.user)) {
+        return next();
+    }
+
+    if (!found.params) {
+        return res.status(400).json({ error: { msg: 'Path is not valid' } });
+    }
+
+    let errors = [];
+    const validate = (validator, location, data) => {
+        if (validator && !validator(data)) {
+            errors = errors.concat(exports.formatErrors(validator.errors, location, data));
+        }
+    };
+
+    validate(found.validatePath, 'params', found.params);
+    validate(found.validateQuery, 'query', req.query);
+
+    if (found.validateBody && !req.is('multipart/form-data')) {
+        validate(found.validateBody, 'body', req.body);
+    }
+
+    if (errors.length) {
+        return res.status(400).json({ error: errors });
+    }
+
+    if (process.env.OPENAPI_VALIDATE_RESPONSES === 'true') {
+        exports.validateResponse(found, res);
+    }
+
+    next();
+};
+
+/**
+* Logs JSON responses not matching the spec, to catch the spec and the code drifting apart.
+*/
+exports.validateResponse = (found, res) => {
+    const json = res.json;
+
+    res.json = function validateJson(body) {
+        const validator = found.validateResponses[res.statusCode];
+
+        if (validator && !validator(JSON.parse(JSON.stringify(body)))) {
+            console.log('%s %s %s responded %d not matching the spec:', chalk.yellow('!'),
+                found.method, found.path, res.statusCode, ajv.errorsText(validator.errors));
+        }
+
+        return json.call(this, body);
+    };
+};
+
+exports.spec = spec;
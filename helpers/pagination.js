@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+exports.DEFAULT_LIMIT = 50;
+exports.MAX_LIMIT = 200;
+
+/**
+* Opaque cursor pointing right after the given expense.
+*/
+exports.encodeCursor = expense => Buffer.from(JSON.stringify([
+    expense.date,
+    expense.updatedAt,
+    expense._id
+])).toString('base64');
+
+/**
+* Decodes the cursor. Returns null if it is not valid.
+*/
+exports.decodeCursor = (cursor) => {
+    try {
+        const [date, updatedAt, id] = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+
+        if (isNaN(Date.parse(date)) || isNaN(Date.parse(updatedAt)) ||
+            !mongoose.Types.ObjectId.isValid(id)) {
+            return null;
+        }
+
+        return {
+            date: new Date(date),
+            updatedAt: new Date(updatedAt),
+            _id: mongoose.Types.ObjectId(id)
+        };
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+* Sort order the cursor is stable for.
+*/
+exports.getSort = (order) => {
+    const direction = order === 'asc' ? 1 : -1;
+
+    return { date: direction, updatedAt: direction, _id: direction };
+};
+
+/**
+* Filter for the expenses following the cursor in the (date, updatedAt, _id) order.
+*/
+exports.getCursorFilter = (cursor, order) => {
+    const op = order === 'asc' ? '$gt' : '$lt';
+
+    return {
+        $or: [
+            { date: { [op]: cursor.date } },
+            { date: cursor.date, updatedAt: { [op]: cursor.updatedAt } },
+            { date: cursor.date, updatedAt: cursor.updatedAt, _id: { [op]: cursor._id } }
+        ]
+    };
+};
+
+/**
+* Page size from the query, within the allowed range.
+*/
+exports.getLimit = (limit) => {
+    const parsed = parseInt(limit, 10);
+
+    if (!(parsed > 0)) {
+        return exports.DEFAULT_LIMIT;
+    }
+
+    return Math.min(parsed, exports.MAX_LIMIT);
+};
@@ -0,0 +1,60 @@
+const Expense = require('../models/Expense');
+const { getFamilyIds } = require('./filters');
+
+exports.actions = ['read', 'edit'];
+
+/**
+* Whether the user can see the document: own and family documents are visible.
+*/
+exports.canRead = (user, doc) => getFamilyIds(user).indexOf(doc.user_id.toString()) !== -1;
+
+/**
+* Whether the user can change the document. Own documents are always editable.
+* Family documents are editable if their owner allows edits, except by viewers.
+*/
+exports.canEdit = (user, doc) => {
+    const owner = doc.user_id.toString();
+
+    if (owner === user.id.toString()) {
+        return true;
+    }
+    if (!user.household || user.household.role === 'viewer' || !exports.canRead(user, doc)) {
+        return false;
+    }
+
+    return (user.household.editableMembers || []).indexOf(owner) !== -1;
+};
+
+/**
+* Whether the user can perform the action on the document.
+*/
+exports.can = (user, action, doc) => (action === 'edit'
+    ? exports.canEdit(user, doc)
+    : exports.canRead(user, doc));
+
+/**
+* Middleware loading the expense with the id in the route, body or query into req.expense.
+* Responds with 404 if the user can not see it and 403 if the user can not perform the action.
+* Expenses in the trash are not found, controllers/trash handles them.
+*/
+exports.authorizeExpense = action => (req, res, next) => {
+    const id = req.params.id || req.body.id || req.query.id;
+
+    if (!id || !/^[0-9a-f]{24}$/i.test(id)) {
+        return res.status(400).json({ error: { msg: 'Id is not valid' } });
+    }
+
+    Expense.findOne({ _id: id, deletedAt: null }, (err, expense) => {
+        if (err) { return next(err); }
+
+        if (!expense || !exports.canRead(req.user, expense)) {
+            return res.status(404).json({ error: { msg: 'Expense not found' } });
+        }
+        if (!exports.can(req.user, action, expense)) {
+            return res.status(403).json({ error: { msg: 'You can not change this expense' } });
+        }
+
+        req.expense = expense;
+        next();
+    });
+};
@@ -0,0 +1,182 @@
+const async = require('async');
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Currency = require('../models/Currency');
+const ExchangeRate = require('../models/ExchangeRate');
+
+const dateFormats = ['YYYY-MM-DD', 'DD-MM-YYYY'];
+
+/**
+* Shortcut of the currency all stored rates are quoted against.
+*/
+const getBaseShortcut = () => process.env.EXCHANGE_RATES_BASE || 'EUR';
+
+/**
+* Rate effective on the date: the latest one on or before it, else the earliest one after it.
+* Rates must be sorted by date ascending.
+*/
+exports.findRate = (rates, date) => {
+    if (!rates || !rates.length) {
+        return null;
+    }
+
+    let found = rates[0];
+
+    rates.forEach((el) => {
+        if (el.date <= date) {
+            found = el;
+        }
+    });
+
+    return found.rate;
+};
+
+/**
+* Converts the amount between currencies at the rates effective on the date.
+* Rates are grouped by currency id, as returned by getRates.
+* Returns null if a rate is missing.
+*/
+exports.convert = (amount, from, to, date, rates) => {
+    if (!from || !to || from.toString() === to.toString()) {
+        return amount;
+    }
+
+    const fromRate = exports.findRate(rates[from], date);
+    const toRate = exports.findRate(rates[to], date);
+
+    if (!fromRate || !toRate) {
+        return null;
+    }
+
+    return (amount / fromRate) * toRate;
+};
+
+const getEdgeRates = (ids, date, before) => ExchangeRate.aggregate([
+    { $match: { currency: { $in: ids }, date: before ? { $lt: date } : { $gt: date } } },
+    { $sort: { date: before ? -1 : 1 } },
+    { $group: { _id: '$currency', date: { $first: '$date' }, rate: { $first: '$rate' } } }
+]);
+
+/**
+* Rates of the currencies needed to convert amounts dated between `from` and `to`,
+* grouped by currency id and sorted by date.
+*/
+exports.getRates = (currencyIds, from, to, cb) => {
+    const ids = currencyIds
+        .filter(Boolean)
+        .map(id => id.toString())
+        .filter((id, i, arr) => arr.indexOf(id) === i)
+        .map(id => mongoose.Types.ObjectId(id));
+
+    async.parallel({
+        base: done => Currency.findOne({ shortcut: getBaseShortcut() }, done),
+        previous: done => getEdgeRates(ids, from, true).exec(done),
+        range: done => ExchangeRate.find({ currency: { $in: ids }, date: { $gte: from, $lte: to } })
+            .sort({ date: 1 })
+            .lean()
+            .exec(done),
+        next: done => getEdgeRates(ids, to, false).exec(done)
+    }, (err, result) => {
+        if (err) { return cb(err); }
+
+        const rates = {};
+        const add = (currency, date, rate) => {
+            rates[currency] = (rates[currency] || []).concat({ date, rate });
+        };
+
+        result.previous.forEach(el => add(el._id, el.date, el.rate));
+        result.range.forEach(el => add(el.currency, el.date, el.rate));
+        result.next.forEach(el => add(el._id, el.date, el.rate));
+
+        if (result.base) {
+            rates[result.base._id] = [{ date: new Date(0), rate: 1 }];
+        }
+
+        cb(null, rates);
+    });
+};
+
+/**
+* Parses rates from CSV (date,currency,rate per line) or JSON.
+* JSON is either a list of { date, currency, rate } or of { date, rates: { USD: 1.07 } }.
+*/
+exports.parseRates = (text, format) => {
+    let rows;
+
+    if (format === 'json') {
+        const data = JSON.parse(text);
+
+        rows = [].concat(...(Array.isArray(data) ? data : [data]).map((el) => {
+            if (el.rates) {
+                return Object.keys(el.rates).map(currency => ({
+                    date: el.date, currency, rate: el.rates[currency]
+                }));
+            }
+
+            return [el];
+        }));
+    } else {
+        rows = text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !/^date\b/i.test(line))
+            .map((line) => {
+                const [date, currency, rate] = line.split(/[,;]/).map(el => el.trim());
+
+                return { date, currency, rate };
+            });
+    }
+
+    const rates = [];
+    const errors = [];
+
+    rows.forEach((el, i) => {
+        const date = moment(el.date, dateFormats, true);
+        const rate = parseFloat(el.rate);
+
+        if (!date.isValid() || !el.currency || !(rate > 0)) {
+            return errors.push({ row: i + 1, msg: 'Rate must have a date, a currency and a positive rate' });
+        }
+
+        rates.push({
+            date: date.startOf('day').toDate(),
+            currency: el.currency.toString().toUpperCase(),
+            rate
+        });
+    });
+
+    return { rates, errors };
+};
+
+/**
+* Stores parsed rates, replacing the existing rate of a currency on the same date.
+*/
+exports.saveRates = (rates, cb) => {
+    const shortcuts = rates.map(el => el.currency);
+
+    Currency.find({ shortcut: { $in: shortcuts } }, (err, currencies) => {
+        if (err) { return cb(err); }
+
+        const ids = currencies.reduce((result, el) => Object.assign(result, {
+            [el.shortcut]: el._id
+        }), {});
+        const errors = [];
+        let saved = 0;
+
+        async.eachSeries(rates, (el, done) => {
+            if (!ids[el.currency]) {
+                errors.push({ currency: el.currency, msg: `Unknown currency ${el.currency}` });
+                return done();
+            }
+
+            ExchangeRate.update(
+                { currency: ids[el.currency], date: el.date },
+                { $set: { rate: el.rate } },
+                { upsert: true },
+                (err) => {
+                    if (!err) { saved++; }
+                    done(err);
+                }
+            );
+        }, err => cb(err, { saved, errors }));
+    });
+};
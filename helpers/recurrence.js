@@ -0,0 +1,88 @@
+const moment = require('moment');
+
+const MAX_CATCH_UP = 1000;
+
+const units = {
+    daily: 'days',
+    weekly: 'weeks',
+    monthly: 'months',
+    yearly: 'years'
+};
+
+/**
+* Day of month the series falls on. Monthly series may set it explicitly,
+* otherwise the start date day is used.
+*/
+const getDay = template => template.dayOfMonth || moment(template.startDate).date();
+
+/**
+* Moves the date to the series day, clamped to the last day of shorter months.
+*/
+const alignDay = (template, date) => {
+    if (template.frequency === 'monthly' || template.frequency === 'yearly') {
+        date.date(Math.min(getDay(template), date.daysInMonth()));
+    }
+
+    return date;
+};
+
+/**
+* Occurrence following the given one.
+*/
+exports.getNextDate = (template, date) => {
+    const next = moment(date).startOf('day').add(template.interval || 1, units[template.frequency]);
+
+    return alignDay(template, next).toDate();
+};
+
+/**
+* First occurrence on or after the series start date.
+*/
+exports.getFirstDate = (template) => {
+    const start = moment(template.startDate).startOf('day');
+    const first = alignDay(template, start.clone());
+
+    if (first.isBefore(start)) {
+        return exports.getNextDate(template, first);
+    }
+
+    return first.toDate();
+};
+
+/**
+* First occurrence on or after the given date.
+*/
+exports.getNextDateFrom = (template, from) => {
+    let next = template.nextDate || exports.getFirstDate(template);
+
+    for (let i = 0; i < MAX_CATCH_UP && moment(next).isBefore(moment(from).startOf('day')); i++) {
+        next = exports.getNextDate(template, next);
+    }
+
+    return next;
+};
+
+/**
+* Whether the series has no occurrences left.
+*/
+exports.isEnded = template =>
+    Boolean(template.endDate) && moment(template.nextDate).isAfter(template.endDate);
+
+/**
+* Occurrences that fell due by `now` (including missed ones) and the one after them.
+*/
+exports.getDueDates = (template, now) => {
+    const dates = [];
+    let next = template.nextDate;
+
+    while (
+        dates.length < MAX_CATCH_UP &&
+        moment(next).isSameOrBefore(now) &&
+        (!template.endDate || moment(next).isSameOrBefore(template.endDate))
+    ) {
+        dates.push(next);
+        next = exports.getNextDate(template, next);
+    }
+
+    return { dates, nextDate: next };
+};
@@ -0,0 +1,457 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Expense = require('../models/Expense');
+const Currency = require('../models/Currency');
+const User = require('../models/User');
+const rates = require('./rates');
+const { getTypeFilter } = require('./filters');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+exports.groupings = ['category', 'tag', 'member', 'currency', 'day', 'week', 'month'];
+
+const timeGroupings = ['day', 'week', 'month'];
+
+/**
+* Server timezone offsets in milliseconds over the range, each with the date it starts on,
+* the first one holding at `from`. Daylight saving time changes the offset during the year.
+*/
+exports.getOffsets = (from, to) => {
+    const getOffset = time => moment(time).utcOffset() * 60 * 1000;
+    const end = moment(to).valueOf();
+    const offsets = [{ start: null, offset: getOffset(from) }];
+
+    for (let time = moment(from).valueOf(); time < end; time += DAY) {
+        const offset = getOffset(Math.min(time + DAY, end));
+
+        if (offset !== offsets[offsets.length - 1].offset) {
+            // Offsets change on a whole minute, found by bisecting the day in minutes
+            let low = Math.floor(time / MINUTE);
+            let high = Math.ceil(Math.min(time + DAY, end) / MINUTE);
+
+            while (high - low > 1) {
+                const middle = Math.floor((low + high) / 2);
+
+                if (getOffset(middle * MINUTE) === offset) {
+                    high = middle;
+                } else {
+                    low = middle;
+                }
+            }
+
+            offsets.push({ start: new Date(high * MINUTE), offset });
+        }
+    }
+
+    return offsets;
+};
+
+/**
+* Expense date shifted to the server timezone at that date, so day, week and month
+* boundaries match the ones of helpers/dates.js on both sides of a DST change.
+*/
+const getLocalDate = (offsets) => {
+    const getOffset = index => (index === offsets.length - 1
+        ? offsets[index].offset
+        : {
+            $cond: [
+                { $lt: ['$date', offsets[index + 1].start] },
+                offsets[index].offset,
+                getOffset(index + 1)
+            ]
+        });
+
+    return { $add: ['$date', getOffset(0)] };
+};
+
+/**
+* Days passed since Monday, 0 to 6.
+*/
+const getIsoWeekday = offsets => ({
+    $mod: [{ $add: [{ $dayOfWeek: getLocalDate(offsets) }, 5] }, 7]
+});
+
+/**
+* Aggregation key for every supported grouping.
+* Weeks are keyed by their ISO start day (Monday).
+*/
+const getGroupKey = (groupBy, offsets) => {
+    switch (groupBy) {
+    case 'tag':
+        return '$tags';
+    case 'member':
+        return '$user_id';
+    case 'currency':
+        return '$currency';
+    case 'day':
+        return { $dateToString: { format: '%Y-%m-%d', date: getLocalDate(offsets) } };
+    case 'week':
+        return {
+            $dateToString: {
+                format: '%Y-%m-%d',
+                date: {
+                    $subtract: [
+                        getLocalDate(offsets),
+                        { $multiply: [getIsoWeekday(offsets), DAY] }
+                    ]
+                }
+            }
+        };
+    case 'month':
+        return { $dateToString: { format: '%Y-%m', date: getLocalDate(offsets) } };
+    default:
+        return '$category';
+    }
+};
+
+/**
+* Match stage for the report filters, leaving out the trash. Only expenses are matched
+* unless options.type is income, or null to match both.
+*/
+exports.getMatch = (options) => {
+    const match = {
+        user_id: { $in: options.userIds.map(id => mongoose.Types.ObjectId(id.toString())) },
+        date: { $gte: options.from, $lte: options.to },
+        deletedAt: null
+    };
+
+    if (options.type !== null) {
+        Object.assign(match, getTypeFilter(options.type));
+    }
+
+    if (options.categories && options.categories.length) {
+        match.$or = [
+            { category: { $in: options.categories } },
+            { 'items.category': { $in: options.categories } }
+        ];
+    }
+    if (options.tags && options.tags.length) {
+        match.tags = { $in: options.tags };
+    }
+    if (options.currency) {
+        match.currency = mongoose.Types.ObjectId(options.currency);
+    }
+
+    return match;
+};
+
+/**
+* Stages replacing itemized expenses by their line items, each with its category and amount,
+* so that category totals and counts are made of line items.
+*/
+const getItemStages = (categories) => {
+    const stages = [
+        {
+            $project: {
+                date: 1,
+                currency: 1,
+                user_id: 1,
+                tags: 1,
+                entries: {
+                    $cond: [
+                        { $gt: [{ $size: { $ifNull: ['$items', []] } }, 0] },
+                        '$items',
+                        [{ category: '$category', amount: '$amount' }]
+                    ]
+                }
+            }
+        },
+        { $unwind: '$entries' },
+        {
+            $project: {
+                date: 1,
+                currency: 1,
+                user_id: 1,
+                tags: 1,
+                category: '$entries.category',
+                amount: '$entries.amount'
+            }
+        }
+    ];
+
+    return categories && categories.length
+        ? stages.concat({ $match: { category: { $in: categories } } })
+        : stages;
+};
+
+/**
+* Aggregation pipeline computing totals and counts per group, currency and day,
+* so that every bucket can be converted at the rate of its date.
+* Line items are counted by category, and expenses under each of their tags by tag.
+*/
+exports.buildPipeline = (options) => {
+    const offsets = exports.getOffsets(options.from, options.to);
+
+    return [{ $match: exports.getMatch(options) }]
+        .concat(options.groupBy === 'category' || (options.categories && options.categories.length)
+            ? getItemStages(options.categories)
+            : [])
+        .concat(options.groupBy === 'tag' ? { $unwind: '$tags' } : [])
+        .concat({
+            $group: {
+                _id: {
+                    key: getGroupKey(options.groupBy, offsets),
+                    currency: '$currency',
+                    day: getGroupKey('day', offsets)
+                },
+                total: { $sum: '$amount' },
+                count: { $sum: 1 }
+            }
+        });
+};
+
+/**
+* Bucket total in the base currency, or null if there is no rate for it.
+* Unconverted buckets are counted in `unconverted`.
+*/
+const convertBucket = (el, options, rateTable, unconverted) => {
+    const total = rates.convert(
+        el.total,
+        el._id.currency,
+        options.baseCurrency,
+        moment(el._id.day, 'YYYY-MM-DD').toDate(),
+        rateTable
+    );
+
+    if (total === null) {
+        unconverted.count += el.count;
+        if (unconverted.currencies.indexOf(el._id.currency.toString()) === -1) {
+            unconverted.currencies.push(el._id.currency.toString());
+        }
+    }
+
+    return total;
+};
+
+/**
+* Converts the buckets to the base currency and merges them into report groups.
+* Buckets without a known rate are left out and counted as unconverted.
+*/
+exports.mergeBuckets = (buckets, options, rateTable) => {
+    const groups = {};
+    const unconverted = { count: 0, currencies: [] };
+
+    buckets.forEach((el) => {
+        const total = convertBucket(el, options, rateTable, unconverted);
+
+        if (total === null) {
+            return;
+        }
+
+        const key = el._id.key === null ? null : el._id.key.toString();
+        const group = groups[key] || { key: el._id.key, total: 0, count: 0 };
+
+        group.total += total;
+        group.count += el.count;
+        groups[key] = group;
+    });
+
+    const result = Object.keys(groups).map(key => Object.assign(groups[key], {
+        average: groups[key].total / groups[key].count
+    }));
+
+    if (timeGroupings.indexOf(options.groupBy) === -1) {
+        result.sort((a, b) => b.total - a.total);
+    } else {
+        result.sort((a, b) => (a.key < b.key ? -1 : 1));
+    }
+
+    return { groups: result, unconverted };
+};
+
+/**
+* Aggregation pipeline computing income and expense totals per period, member, currency and day.
+*/
+exports.buildCashFlowPipeline = (options) => {
+    const offsets = exports.getOffsets(options.from, options.to);
+
+    return [
+        { $match: exports.getMatch(Object.assign({}, options, { type: null })) },
+        {
+            $group: {
+                _id: {
+                    key: getGroupKey(options.period, offsets),
+                    member: '$user_id',
+                    type: '$type',
+                    currency: '$currency',
+                    day: getGroupKey('day', offsets)
+                },
+                total: { $sum: '$amount' },
+                count: { $sum: 1 }
+            }
+        }
+    ];
+};
+
+const addFlow = (flow, type, amount) => {
+    if (type === 'income') {
+        flow.income += amount;
+    } else {
+        flow.expenses += amount;
+    }
+    flow.net = flow.income - flow.expenses;
+
+    return flow;
+};
+
+const emptyFlow = () => ({ income: 0, expenses: 0, net: 0 });
+
+/**
+* Converts the cash flow buckets to the base currency and merges them into periods,
+* each with its income, expenses and net per member.
+*/
+exports.mergeCashFlow = (buckets, options, rateTable) => {
+    const periods = {};
+    const unconverted = { count: 0, currencies: [] };
+
+    buckets.forEach((el) => {
+        const total = convertBucket(el, options, rateTable, unconverted);
+
+        if (total === null) {
+            return;
+        }
+
+        const member = el._id.member.toString();
+        const period = periods[el._id.key] ||
+            Object.assign({ key: el._id.key, members: {} }, emptyFlow());
+
+        addFlow(period, el._id.type, total);
+        period.members[member] = addFlow(
+            period.members[member] || Object.assign({ member }, emptyFlow()),
+            el._id.type,
+            total
+        );
+        periods[el._id.key] = period;
+    });
+
+    const result = Object.keys(periods).sort().map(key => Object.assign(periods[key], {
+        members: Object.keys(periods[key].members).map(member => periods[key].members[member])
+    }));
+
+    return { periods: result, unconverted };
+};
+
+/**
+* Human readable labels for member and currency groups.
+*/
+const getLabels = (groupBy, groups, userId, cb) => {
+    const ids = groups.map(el => el.key);
+
+    if (groupBy === 'member') {
+        return User.find({ _id: { $in: ids } }, 'email profile', (err, users) => {
+            if (err) { return cb(err); }
+
+            cb(null, users.reduce((labels, user) => Object.assign(labels, {
+                [user._id]: user._id.toString() === userId.toString()
+                    ? 'Me'
+                    : (user.profile && user.profile.name) || user.email
+            }), {}));
+        });
+    }
+    if (groupBy === 'currency') {
+        return Currency.find({ _id: { $in: ids } }, (err, currencies) => {
+            if (err) { return cb(err); }
+
+            cb(null, currencies.reduce((labels, currency) => Object.assign(labels, {
+                [currency._id]: currency.shortcut
+            }), {}));
+        });
+    }
+
+    cb(null, {});
+};
+
+/**
+* Rates needed to convert the buckets to the base currency.
+* Nothing is converted if the user has not chosen a base currency.
+*/
+const getBucketRates = (buckets, options, cb) => {
+    if (!options.baseCurrency) {
+        return cb(null, {});
+    }
+
+    rates.getRates(
+        buckets.map(el => el._id.currency).concat(options.baseCurrency),
+        options.from,
+        options.to,
+        cb
+    );
+};
+
+/**
+* Totals, counts and averages of the expenses matching the options, grouped by options.groupBy
+* and converted to options.baseCurrency at the rate on each expense date.
+*/
+exports.getReport = (options, cb) => {
+    Expense.aggregate(exports.buildPipeline(options)).exec((err, buckets) => {
+        if (err) { return cb(err); }
+
+        getBucketRates(buckets, options, (err, rateTable) => {
+            if (err) { return cb(err); }
+
+            const { groups, unconverted } = exports.mergeBuckets(buckets, options, rateTable);
+
+            getLabels(options.groupBy, groups, options.userId, (err, labels) => {
+                if (err) { return cb(err); }
+
+                const total = groups.reduce((sum, el) => sum + el.total, 0);
+                const count = groups.reduce((sum, el) => sum + el.count, 0);
+
+                cb(null, {
+                    from: options.from,
+                    to: options.to,
+                    groupBy: options.groupBy,
+                    currency: options.baseCurrency || null,
+                    total,
+                    count,
+                    average: count ? total / count : 0,
+                    unconverted,
+                    groups: groups.map(el => Object.assign(el, {
+                        label: labels[el.key] || el.key
+                    }))
+                });
+            });
+        });
+    });
+};
+
+/**
+* Income, expenses and net of the users in options.userIds per options.period (day, week or month)
+* and per member, converted to options.baseCurrency at the rate on each date.
+*/
+exports.getCashFlow = (options, cb) => {
+    Expense.aggregate(exports.buildCashFlowPipeline(options)).exec((err, buckets) => {
+        if (err) { return cb(err); }
+
+        getBucketRates(buckets, options, (err, rateTable) => {
+            if (err) { return cb(err); }
+
+            const { periods, unconverted } = exports.mergeCashFlow(buckets, options, rateTable);
+            const members = buckets.map(el => ({ key: el._id.member }));
+
+            getLabels('member', members, options.userId, (err, labels) => {
+                if (err) { return cb(err); }
+
+                const total = periods.reduce(
+                    (sum, el) => addFlow(addFlow(sum, 'income', el.income), 'expense', el.expenses),
+                    emptyFlow()
+                );
+
+                cb(null, Object.assign({
+                    from: options.from,
+                    to: options.to,
+                    period: options.period,
+                    currency: options.baseCurrency || null
+                }, total, {
+                    unconverted,
+                    periods: periods.map(el => Object.assign(el, {
+                        members: el.members.map(member => Object.assign(member, {
+                            label: labels[member.member] || member.member
+                        }))
+                    }))
+                }));
+            });
+        });
+    });
+};
@@ -0,0 +1,190 @@
+const async = require('async');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+exports.getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+exports.getRefreshTokenTtl = () => (Number(process.env.REFRESH_TOKEN_DAYS) || 30) * DAY;
+
+exports.hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+* Session id and secret of a refresh token, or null if it is malformed.
+*/
+exports.parseRefreshToken = (token) => {
+    const parts = (token || '').split('.');
+
+    if (parts.length !== 2 || !mongoose.Types.ObjectId.isValid(parts[0]) || !parts[1]) {
+        return null;
+    }
+
+    return { sessionId: parts[0], secret: parts[1] };
+};
+
+/**
+* Whether the session can still be used.
+*/
+exports.isActive = (session, now) => Boolean(session) && !session.revokedAt &&
+    session.expiresAt > (now || new Date());
+
+/**
+* New refresh token for the session: the fields storing it and the tokens for the client,
+* with a short-lived access token.
+*/
+const createTokens = (session, cb) => {
+    crypto.randomBytes(32, (err, buf) => {
+        if (err) { return cb(err); }
+
+        const refreshToken = `${session._id}.${buf.toString('hex')}`;
+
+        cb(null, {
+            fields: {
+                tokenHash: exports.hashToken(refreshToken),
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + exports.getRefreshTokenTtl())
+            },
+            tokens: {
+                token: jwt.sign(
+                    { id: session.user_id, sid: session._id },
+                    process.env.SESSION_SECRET,
+                    { expiresIn: exports.getAccessTokenTtl() }
+                ),
+                refreshToken,
+                expiresIn: exports.getAccessTokenTtl()
+            }
+        });
+    });
+};
+
+/**
+* Starts a session for the device of the request.
+*/
+exports.createSession = (user, req, cb) => {
+    const session = new Session({
+        user_id: user._id,
+        userAgent: req.headers['user-agent'],
+        ip: req.headers['x-forwarded-for'] || req.connection.remoteAddress
+    });
+
+    createTokens(session, (err, created) => {
+        if (err) { return cb(err); }
+
+        session.set(created.fields);
+        session.save(err => cb(err, err ? null : created.tokens));
+    });
+};
+
+/**
+* Replaces the refresh token with a new one. Calls back with null if the token is not valid.
+* A refresh token that has already been replaced means it leaked, so its session is revoked.
+* The token is replaced only if it is still the current one, so of concurrent refreshes
+* with the same token one succeeds and the others count as reuse.
+*/
+exports.refresh = (refreshToken, cb) => {
+    const parsed = exports.parseRefreshToken(refreshToken);
+
+    if (!parsed) {
+        return cb(null, null);
+    }
+
+    Session.findById(parsed.sessionId, (err, session) => {
+        if (err) { return cb(err); }
+
+        if (!exports.isActive(session)) {
+            return cb(null, null);
+        }
+
+        const hash = exports.hashToken(refreshToken);
+        const revoke = () => Session.update(
+            { _id: session._id },
+            { revokedAt: new Date() },
+            err => cb(err, null)
+        );
+
+        if (hash === session.previousTokenHash) {
+            return revoke();
+        }
+        if (hash !== session.tokenHash) {
+            return cb(null, null);
+        }
+
+        createTokens(session, (err, created) => {
+            if (err) { return cb(err); }
+
+            Session.findOneAndUpdate(
+                { _id: session._id, tokenHash: hash, revokedAt: null },
+                Object.assign({ previousTokenHash: hash }, created.fields),
+                (err, rotated) => {
+                    if (err) { return cb(err); }
+                    if (!rotated) {
+                        return revoke();
+                    }
+
+                    cb(null, created.tokens);
+                }
+            );
+        });
+    });
+};
+
+/**
+* Fresh data of the user the access token was signed for, or null if the token
+* is not valid, its session has been revoked or the account deleted.
+*/
+exports.authenticate = (token, cb) => {
+    if (!token) {
+        return cb(null, null);
+    }
+
+    jwt.verify(token, process.env.SESSION_SECRET, (err, decoded) => {
+        if (err || !decoded.sid) {
+            return cb(null, null);
+        }
+
+        async.parallel({
+            user: done => User.findById(
+                decoded.id,
+                'email profile categories isAdmin baseCurrency familyMembers deletedAt',
+                done
+            ),
+            session: done => Session.findById(decoded.sid, 'revokedAt expiresAt', done)
+        }, (err, result) => {
+            if (err) { return cb(err); }
+
+            if (!result.user || result.user.deletedAt || !exports.isActive(result.session)) {
+                return cb(null, null);
+            }
+
+            cb(null, {
+                id: result.user._id.toString(),
+                email: result.user.email,
+                profile: result.user.profile,
+                categories: result.user.categories,
+                isAdmin: result.user.isAdmin,
+                baseCurrency: result.user.baseCurrency,
+                familyMembers: (result.user.familyMembers || []).map(id => id.toString()),
+                sessionId: decoded.sid,
+                expiresAt: new Date(decoded.exp * 1000)
+            });
+        });
+    });
+};
+
+/**
+* Revokes the active sessions of the user matching the filter.
+*/
+exports.revoke = (userId, filter, cb) => {
+    const query = { user_id: mongoose.Types.ObjectId(userId.toString()), revokedAt: null };
+
+    Session.update(
+        Object.assign(query, filter),
+        { $set: { revokedAt: new Date() } },
+        { multi: true },
+        cb
+    );
+};
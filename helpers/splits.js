@@ -0,0 +1,151 @@
+exports.methods = ['equal', 'percentage', 'exact'];
+
+const toCents = amount => Math.round(Number(amount) * 100);
+
+/**
+* Splits the cents into parts proportional to the weights.
+* Cents left over by rounding go to the first parts.
+*/
+const distribute = (cents, weights) => {
+    const totalWeight = weights.reduce((sum, el) => sum + el, 0);
+    const parts = weights.map(el => Math.floor((cents * el) / totalWeight));
+    let left = cents - parts.reduce((sum, el) => sum + el, 0);
+
+    for (let i = 0; left > 0; i = (i + 1) % parts.length) {
+        parts[i]++;
+        left--;
+    }
+
+    return parts;
+};
+
+/**
+* Shares of the expense amount for the split method.
+* `shares` lists the users with their percent (percentage) or amount (exact).
+* Returns { shares } with the amount of every share, or { error }.
+*/
+exports.computeShares = (amount, method, shares) => {
+    const cents = toCents(amount);
+    const users = shares.map(el => el.user.toString());
+
+    if (!shares.length) {
+        return { error: { msg: 'Split must have at least one share' } };
+    }
+    if (users.some((el, i) => users.indexOf(el) !== i)) {
+        return { error: { msg: 'Split can list every member once' } };
+    }
+
+    if (method === 'equal') {
+        const parts = distribute(cents, shares.map(() => 1));
+
+        return { shares: shares.map((el, i) => ({ user: el.user, amount: parts[i] / 100 })) };
+    }
+    if (method === 'percentage') {
+        const percents = shares.map(el => Number(el.percent));
+
+        if (percents.some(el => isNaN(el) || el < 0) ||
+            Math.abs(percents.reduce((sum, el) => sum + el, 0) - 100) > 0.001) {
+            return { error: { msg: 'Split percentages must add up to 100' } };
+        }
+
+        const parts = distribute(cents, percents);
+
+        return {
+            shares: shares.map((el, i) => ({
+                user: el.user,
+                percent: percents[i],
+                amount: parts[i] / 100
+            }))
+        };
+    }
+    if (method === 'exact') {
+        const parts = shares.map(el => toCents(el.amount));
+
+        if (parts.some(el => isNaN(el) || el < 0) ||
+            parts.reduce((sum, el) => sum + el, 0) !== cents) {
+            return { error: { msg: 'Split amounts must add up to the expense amount' } };
+        }
+
+        return { shares: shares.map((el, i) => ({ user: el.user, amount: parts[i] / 100 })) };
+    }
+
+    return { error: { msg: `Split method must be one of ${exports.methods.join(', ')}` } };
+};
+
+/**
+* Net balance of every member per currency: positive if the others owe them.
+* The payer of a split expense is owed the shares, settlements pay debts back.
+*/
+exports.getBalances = (expenses, settlements) => {
+    const balances = {};
+    const add = (user, currency, cents) => {
+        const key = `${user}:${currency}`;
+        const balance = balances[key] ||
+            (balances[key] = { user: user.toString(), currency: currency.toString(), cents: 0 });
+
+        balance.cents += cents;
+    };
+
+    expenses.forEach((expense) => {
+        expense.split.shares.forEach((share) => {
+            add(expense.user_id, expense.currency, toCents(share.amount));
+            add(share.user, expense.currency, -toCents(share.amount));
+        });
+    });
+    settlements.forEach((settlement) => {
+        add(settlement.from, settlement.currency, toCents(settlement.amount));
+        add(settlement.to, settlement.currency, -toCents(settlement.amount));
+    });
+
+    return Object.keys(balances)
+        .map(key => balances[key])
+        .filter(el => el.cents !== 0)
+        .map(el => ({ user: el.user, currency: el.currency, amount: el.cents / 100 }));
+};
+
+/**
+* Payments that settle all the balances, matching the largest debts with the largest credits
+* in every currency, so that at most one payment less than there are members is needed.
+*/
+exports.settleUp = (balances) => {
+    const payments = [];
+    const currencies = balances
+        .map(el => el.currency)
+        .filter((el, i, arr) => arr.indexOf(el) === i);
+
+    currencies.forEach((currency) => {
+        const inCurrency = balances
+            .filter(el => el.currency === currency)
+            .map(el => ({ user: el.user, cents: toCents(el.amount) }));
+        const debtors = inCurrency
+            .filter(el => el.cents < 0)
+            .map(el => ({ user: el.user, cents: -el.cents }));
+        const creditors = inCurrency.filter(el => el.cents > 0);
+        const byCents = (a, b) => b.cents - a.cents;
+
+        while (debtors.length && creditors.length) {
+            debtors.sort(byCents);
+            creditors.sort(byCents);
+
+            const cents = Math.min(debtors[0].cents, creditors[0].cents);
+
+            payments.push({
+                from: debtors[0].user,
+                to: creditors[0].user,
+                currency,
+                amount: cents / 100
+            });
+            debtors[0].cents -= cents;
+            creditors[0].cents -= cents;
+
+            if (!debtors[0].cents) {
+                debtors.shift();
+            }
+            if (!creditors[0].cents) {
+                creditors.shift();
+            }
+        }
+    });
+
+    return payments;
+};
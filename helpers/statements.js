@@ -0,0 +1,262 @@
+const moment = require('moment');
+
+exports.formats = ['csv', 'ofx', 'qif'];
+
+const dateFormats = [
+    'YYYY-MM-DD',
+    'DD.MM.YYYY',
+    'DD-MM-YYYY',
+    'DD/MM/YYYY',
+    'MM/DD/YYYY',
+    'DD.MM.YY',
+    'MM/DD/YY',
+    'YYYYMMDD'
+];
+
+const columnNames = {
+    date: /date|дата/i,
+    amount: /amount|sum|сумма/i,
+    comment: /description|comment|memo|payee|details|назначение|описание/i,
+    category: /category|категория/i,
+    currency: /currency|валюта/i
+};
+
+/**
+* Statement format by the file extension.
+*/
+exports.getFormat = (filename) => {
+    const extension = (filename || '').split('.').pop().toLowerCase();
+
+    return exports.formats.indexOf(extension) === -1 ? 'csv' : extension;
+};
+
+/**
+* Parses "1 234,56", "1,234.56", "-12.5" and alike into a number.
+*/
+exports.parseAmount = (value) => {
+    let str = (value || '').toString().replace(/[\s\u00a0']/g, '').replace(/[^\d,.+-]/g, '');
+    const lastComma = str.lastIndexOf(',');
+    const lastDot = str.lastIndexOf('.');
+
+    if (lastComma > lastDot) {
+        str = str.replace(/\./g, '').replace(',', '.');
+    } else {
+        str = str.replace(/,/g, '');
+    }
+
+    const amount = parseFloat(str);
+
+    return isNaN(amount) ? null : amount;
+};
+
+/**
+* Parses the date with the given format or with the first common format that fits.
+*/
+exports.parseDate = (value, format) => {
+    const date = moment((value || '').toString().trim(), format || dateFormats, true);
+
+    return date.isValid() ? date.startOf('day').toDate() : null;
+};
+
+/**
+* Splits CSV text into records. Supports quoted fields and , ; or tab delimiters.
+*/
+exports.parseCsv = (text, delimiter) => {
+    const firstLine = text.split(/\r?\n/)[0];
+    const separator = delimiter || [',', ';', '\t']
+        .map(el => ({ el, count: firstLine.split(el).length }))
+        .sort((a, b) => b.count - a.count)[0].el;
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    return records.filter(el => el.some(value => value.trim()));
+};
+
+/**
+* Guesses which CSV column holds which expense field by the header names.
+*/
+exports.guessMapping = headers => Object.keys(columnNames).reduce((mapping, field) => {
+    const index = headers.findIndex(el => columnNames[field].test(el));
+
+    return index === -1 ? mapping : Object.assign(mapping, { [field]: index });
+}, {});
+
+/**
+* Transactions from CSV records, using the mapping of field names to column indexes.
+*/
+exports.mapCsv = (records, mapping, options) => records.slice(1).map((record, i) => ({
+    line: i + 2,
+    date: exports.parseDate(record[mapping.date], options.dateFormat),
+    amount: exports.parseAmount(record[mapping.amount]),
+    comment: mapping.comment === undefined ? '' : (record[mapping.comment] || '').trim(),
+    category: mapping.category === undefined ? undefined : (record[mapping.category] || '').trim(),
+    currency: mapping.currency === undefined ? undefined : (record[mapping.currency] || '').trim()
+}));
+
+const getOfxTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+
+    return match ? match[1].trim() : undefined;
+};
+
+/**
+* Transactions from OFX (both SGML and XML flavours).
+*/
+exports.parseOfx = (text) => {
+    const currency = getOfxTag(text, 'CURDEF');
+    const blocks = text.split(/<STMTTRN>/i).slice(1);
+
+    return blocks.map((block, i) => {
+        const name = getOfxTag(block, 'NAME');
+        const memo = getOfxTag(block, 'MEMO');
+
+        return {
+            line: i + 1,
+            date: exports.parseDate((getOfxTag(block, 'DTPOSTED') || '').slice(0, 8), 'YYYYMMDD'),
+            amount: exports.parseAmount(getOfxTag(block, 'TRNAMT')),
+            comment: [name, memo].filter(Boolean).join(' ').trim(),
+            currency
+        };
+    });
+};
+
+/**
+* Transactions from QIF.
+*/
+exports.parseQif = (text, options) => text.split(/^\^\s*$/m)
+    .map(block => block.split(/\r?\n/).filter(line => line && line[0] !== '!'))
+    .filter(lines => lines.length)
+    .map((lines, i) => {
+        const fields = lines.reduce((result, line) => Object.assign(result, {
+            [line[0]]: line.slice(1).trim()
+        }), {});
+
+        return {
+            line: i + 1,
+            date: exports.parseDate((fields.D || '').replace('\'', '/'), options.dateFormat),
+            amount: exports.parseAmount(fields.T || fields.U),
+            comment: [fields.P, fields.M].filter(Boolean).join(' ').trim(),
+            category: fields.L
+        };
+    });
+
+/**
+* Parses the statement into transactions with signed amounts.
+* CSV also returns its header and the column mapping used.
+*/
+exports.parse = (text, format, options) => {
+    if (format === 'ofx') {
+        return { transactions: exports.parseOfx(text) };
+    }
+    if (format === 'qif') {
+        return { transactions: exports.parseQif(text, options) };
+    }
+
+    const records = exports.parseCsv(text, options.delimiter);
+    const headers = records.length ? records[0] : [];
+    const mapping = options.mapping || exports.guessMapping(headers);
+
+    return {
+        headers,
+        mapping,
+        transactions: exports.mapCsv(records, mapping, options)
+    };
+};
+
+/**
+* Turns transactions into import rows. Outgoing transactions become expenses with positive amounts,
+* the rest are kept with a skip reason so the preview can show them.
+* `options.sign` tells whether expenses are negative (default) or positive in the statement.
+*/
+exports.toRows = (transactions, options) => transactions.map((el) => {
+    const row = {
+        line: el.line,
+        date: el.date,
+        amount: el.amount === null ? null : Math.abs(el.amount),
+        comment: el.comment,
+        category: el.category || options.category,
+        currency: el.currency
+    };
+
+    if (!el.date || el.amount === null || el.amount === 0) {
+        return Object.assign(row, { skip: 'invalid' });
+    }
+    if ((options.sign === 'positive') !== (el.amount > 0)) {
+        return Object.assign(row, { skip: 'income' });
+    }
+
+    return row;
+});
+
+/**
+* Key two expenses share when they are the same entry imported twice.
+*/
+exports.getDuplicateKey = expense => [
+    moment(expense.date).format('YYYY-MM-DD'),
+    Number(expense.amount).toFixed(2),
+    (expense.comment || '').trim().toLowerCase()
+].join('|');
+
+/**
+* Marks rows matching existing expenses as duplicates. Every existing expense
+* matches at most one row, so repeated identical purchases are not lost.
+*/
+exports.markDuplicates = (rows, expenses) => {
+    const existing = expenses.reduce((counts, el) => {
+        const key = exports.getDuplicateKey(el);
+
+        return Object.assign(counts, { [key]: (counts[key] || 0) + 1 });
+    }, {});
+
+    return rows.map((row) => {
+        if (row.skip) {
+            return row;
+        }
+
+        const key = exports.getDuplicateKey(row);
+
+        if (existing[key]) {
+            existing[key]--;
+            return Object.assign({}, row, { skip: 'duplicate' });
+        }
+
+        return row;
+    });
+};
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+* Storage keeping files under the root directory, keys being relative paths.
+*/
+exports.createLocalStorage = (root) => {
+    const resolve = key => path.join(root, path.normalize(`/${key}`));
+
+    return {
+        save: (key, buffer, cb) => {
+            const file = resolve(key);
+
+            fs.mkdir(path.dirname(file), { recursive: true }, (err) => {
+                if (err) { return cb(err); }
+
+                fs.writeFile(file, buffer, cb);
+            });
+        },
+        createReadStream: key => fs.createReadStream(resolve(key)),
+        remove: (key, cb) => fs.unlink(resolve(key), err => cb(err && err.code !== 'ENOENT' ? err : null))
+    };
+};
+
+const drivers = {
+    local: () => exports.createLocalStorage(process.env.UPLOADS_DIR || path.join(__dirname, '../uploads'))
+};
+
+const instances = {};
+
+/**
+* Registers a storage driver: a factory of an object with
+* save(key, buffer, cb), createReadStream(key) and remove(key, cb).
+*/
+exports.register = (name, factory) => {
+    drivers[name] = factory;
+    delete instances[name];
+};
+
+/**
+* Storage of the driver set by STORAGE_DRIVER, local disk by default.
+*/
+exports.get = () => {
+    const name = process.env.STORAGE_DRIVER || 'local';
+
+    if (!drivers[name]) {
+        throw new Error(`Unknown storage driver ${name}`);
+    }
+
+    return instances[name] || (instances[name] = drivers[name]());
+};
@@ -0,0 +1,46 @@
+exports.MAX_CHANGES = 100;
+
+exports.operations = ['create', 'update', 'delete'];
+
+/**
+* Opaque cursor of a sync started at the given date, the `since` of the next sync.
+*/
+exports.encodeCursor = date => Buffer.from(JSON.stringify([date])).toString('base64');
+
+/**
+* Decodes the cursor into the date changes are returned from. Returns null if it is not valid.
+*/
+exports.decodeCursor = (cursor) => {
+    try {
+        const [date] = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+
+        return isNaN(Date.parse(date)) ? null : new Date(date);
+    } catch (e) {
+        return null;
+    }
+};
+
+/**
+* Error of a change made offline, if it is not valid: it needs a clientId and an operation,
+* and updates and deletes the id and updatedAt of the version of the expense it was made to.
+*/
+exports.checkChange = (change) => {
+    if (!change || typeof change.clientId !== 'string' || !change.clientId.length ||
+        change.clientId.length > 100) {
+        return { msg: 'Client id must be a string of 1 to 100 characters' };
+    }
+    if (exports.operations.indexOf(change.op) === -1) {
+        return { msg: 'Operation must be create, update or delete' };
+    }
+    if (change.op !== 'create' && (!change.id || isNaN(Date.parse(change.updatedAt)))) {
+        return { msg: 'Updates and deletes need the id and updatedAt of the expense' };
+    }
+
+    return undefined;
+};
+
+/**
+* Whether the expense has been changed or deleted since the version the client changed.
+*/
+exports.isConflict = (change, expense) => Boolean(expense.deletedAt) ||
+    new Date(change.updatedAt).getTime() !== new Date(expense.updatedAt).getTime();
@@ -0,0 +1,98 @@
+const async = require('async');
+const moment = require('moment');
+const Expense = require('../models/Expense');
+const User = require('../models/User');
+const attachments = require('./attachments');
+const history = require('./history');
+const households = require('./households');
+const sessions = require('./sessions');
+
+/**
+* Days expenses stay in the trash and deleted accounts can be restored,
+* 30 unless set by TRASH_RETENTION_DAYS.
+*/
+exports.getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+/**
+* Date the document deleted at `deletedAt` is purged on.
+*/
+exports.getPurgeDate = deletedAt => moment(deletedAt).add(exports.getRetentionDays(), 'days').toDate();
+
+/**
+* Documents deleted before this date are due for purging.
+*/
+exports.getPurgeThreshold = now => moment(now).subtract(exports.getRetentionDays(), 'days').toDate();
+
+/**
+* Query for the trashed expenses matching the filter, keeping its own deletedAt condition.
+*/
+const getPurgeFilter = filter => ({ $and: [filter, { deletedAt: { $ne: null } }] });
+
+/**
+* Permanently deletes the trashed expenses matching the filter with their attached files,
+* recording the purge by the actor (none for the retention job). Calls back with their count.
+*/
+exports.purgeExpenses = (filter, actorId, cb) => {
+    Expense.find(getPurgeFilter(filter), (err, expenses) => {
+        if (err) { return cb(err); }
+
+        async.eachSeries(expenses, (expense, done) => {
+            attachments.removeFiles(expense.attachments, (err) => {
+                if (err) { return done(err); }
+
+                Expense.remove({ _id: expense._id }, (err) => {
+                    if (err) { return done(err); }
+
+                    history.record('purge', actorId, expense, history.getSnapshot(expense), undefined, done);
+                });
+            });
+        }, err => cb(err, expenses.length));
+    });
+};
+
+/**
+* Removes the user for good once the grace period after deleting their account is over:
+* they leave their household and their sessions are revoked.
+*/
+exports.purgeUser = (user, cb) => {
+    households.findUserHousehold(user._id, (err, household) => {
+        if (err) { return cb(err); }
+
+        const leave = (done) => {
+            if (!household) {
+                return done();
+            }
+
+            household.members = households.removeMember(household, user._id);
+
+            return household.members.length ? household.save(done) : household.remove(done);
+        };
+
+        async.series([
+            leave,
+            done => User.remove({ _id: user._id }, done),
+            done => sessions.revoke(user._id, {}, done)
+        ], cb);
+    });
+};
+
+/**
+* Purges expenses and accounts deleted more than the retention period before `now`.
+* Calls back with the counts of purged expenses and users.
+*/
+exports.purgeExpired = (now, cb) => {
+    const threshold = exports.getPurgeThreshold(now);
+
+    exports.purgeExpenses({ deletedAt: { $lt: threshold } }, null, (err, expenses) => {
+        if (err) { return cb(err); }
+
+        User.find({ deletedAt: { $lt: threshold } }, (err, users) => {
+            if (err) { return cb(err); }
+
+            async.eachSeries(users, exports.purgeUser, err => cb(err, {
+                expenses,
+                users: users.length
+            }));
+        });
+    });
+};
@@ -0,0 +1,54 @@
+const async = require('async');
+const chalk = require('chalk');
+const User = require('../models/User');
+const digest = require('../helpers/digest');
+
+const DEFAULT_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+* Sends the weekly and monthly digests due to the users who opted in.
+* Calls back with the number of emails sent.
+*/
+exports.run = (cb) => {
+    const now = new Date();
+
+    async.mapSeries(digest.periods, (period, done) => {
+        User.find({
+            [`digest.${digest.getSetting(period)}`]: true,
+            deletedAt: null
+        }, 'email baseCurrency digest', (err, users) => {
+            if (err) { return done(err); }
+
+            async.mapSeries(users.filter(user => digest.isDue(user, period, now)), (user, next) => {
+                digest.sendDigest(user, period, now, (err, sent) => {
+                    if (err) {
+                        console.log('%s Digest error for %s:', chalk.red('✗'), user.email, err);
+                    }
+                    next(null, sent);
+                });
+            }, done);
+        });
+    }, (err, sent) => {
+        if (err) { return cb(err); }
+
+        cb(null, [].concat(...sent).filter(Boolean).length);
+    });
+};
+
+/**
+* Runs the job right away and then every `interval` ms.
+*/
+exports.start = (interval) => {
+    const tick = () => exports.run((err, count) => {
+        if (err) {
+            return console.log('%s Digest error:', chalk.red('✗'), err);
+        }
+        if (count) {
+            console.log('%s Sent %d spending digests', chalk.green('✓'), count);
+        }
+    });
+
+    tick();
+
+    return setInterval(tick, interval || DEFAULT_INTERVAL).unref();
+};
@@ -0,0 +1,123 @@
+const async = require('async');
+const chalk = require('chalk');
+const RecurringExpense = require('../models/RecurringExpense');
+const Expense = require('../models/Expense');
+const events = require('../helpers/events');
+const history = require('../helpers/history');
+const recurrence = require('../helpers/recurrence');
+
+const DEFAULT_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+* Creates the expense of the occurrence on the date, or nothing if it exists already.
+*/
+const createOccurrence = (template, date, cb) => {
+    Expense.create({
+        type: template.type,
+        amount: template.amount,
+        date,
+        category: template.category,
+        currency: template.currency,
+        comment: template.comment,
+        user_id: template.user_id,
+        recurring_id: template._id
+    }, (err, expense) => {
+        if (err && err.code === 11000) {
+            return cb(null, null);
+        }
+
+        cb(err, expense);
+    });
+};
+
+/**
+* Creates expenses for every occurrence of the template that fell due by `now`,
+* catching up on periods missed while the server was down.
+* The template is claimed by moving its nextDate, so concurrent runs never duplicate expenses,
+* and released if the expenses can not be created. Occurrences saved before the failure
+* are skipped by the next run, an expense being unique per template and date.
+* A series with no occurrences left is marked as ended, so the job stops fetching it.
+*/
+exports.materialize = (template, now, cb) => {
+    const { dates, nextDate } = recurrence.getDueDates(template, now);
+    const ended = recurrence.isEnded({ nextDate, endDate: template.endDate });
+
+    if (!dates.length) {
+        return ended && !template.ended
+            ? RecurringExpense.update({ _id: template._id }, { ended }, err => cb(err, []))
+            : cb(null, []);
+    }
+
+    RecurringExpense.findOneAndUpdate(
+        { _id: template._id, nextDate: template.nextDate, paused: false },
+        { nextDate, ended },
+        (err, claimed) => {
+            if (err || !claimed) { return cb(err, []); }
+
+            const expenses = [];
+
+            async.eachSeries(dates, (date, done) => {
+                createOccurrence(template, date, (err, expense) => {
+                    if (expense) {
+                        expenses.push(expense);
+                    }
+                    done(err);
+                });
+            }, (createErr) => {
+                const release = createErr
+                    ? done => RecurringExpense.update(
+                        { _id: template._id, nextDate },
+                        { nextDate: template.nextDate, ended: false },
+                        done
+                    )
+                    : done => done();
+
+                expenses.forEach(el => events.publishExpense('create', el));
+                history.recordCreated(null, expenses, (err) => {
+                    release(() => cb(createErr || err, expenses));
+                });
+            });
+        }
+    );
+};
+
+/**
+* Materializes all active templates that are due.
+*/
+exports.run = (cb) => {
+    const now = new Date();
+
+    RecurringExpense.find({
+        paused: false,
+        ended: { $ne: true },
+        nextDate: { $lte: now }
+    }, (err, templates) => {
+        if (err) { return cb(err); }
+
+        async.mapSeries(templates, (template, done) => {
+            exports.materialize(template, now, done);
+        }, (err, created) => {
+            if (err) { return cb(err); }
+
+            cb(null, [].concat(...created));
+        });
+    });
+};
+
+/**
+* Runs the job right away and then every `interval` ms.
+*/
+exports.start = (interval) => {
+    const tick = () => exports.run((err, expenses) => {
+        if (err) {
+            return console.log('%s Recurring expenses error:', chalk.red('✗'), err);
+        }
+        if (expenses.length) {
+            console.log('%s Created %d recurring expenses', chalk.green('✓'), expenses.length);
+        }
+    });
+
+    tick();
+
+    return setInterval(tick, interval || DEFAULT_INTERVAL).unref();
+};
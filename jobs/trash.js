@@ -0,0 +1,30 @@
+const chalk = require('chalk');
+const trash = require('../helpers/trash');
+
+const DEFAULT_INTERVAL = 24 * 60 * 60 * 1000; // 1 day
+
+/**
+* Purges expenses and accounts deleted longer than the retention period ago.
+*/
+exports.run = (cb) => {
+    trash.purgeExpired(new Date(), cb);
+};
+
+/**
+* Runs the job right away and then every `interval` ms.
+*/
+exports.start = (interval) => {
+    const tick = () => exports.run((err, purged) => {
+        if (err) {
+            return console.log('%s Trash purge error:', chalk.red('✗'), err);
+        }
+        if (purged.expenses || purged.users) {
+            console.log('%s Purged %d expenses and %d accounts from the trash',
+                chalk.green('✓'), purged.expenses, purged.users);
+        }
+    });
+
+    tick();
+
+    return setInterval(tick, interval || DEFAULT_INTERVAL).unref();
+};
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const accountSchema = new Schema({
+    name: String,
+    type: { type: String, enum: ['cash', 'card', 'savings'], default: 'cash' },
+    currency: { type: ObjectId, ref: 'Currency' },
+    openingBalance: { type: Number, default: 0 },
+    user_id: { type: ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const Account = mongoose.model('Account', accountSchema);
+
+module.exports = Account;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const budgetSchema = new Schema({
+    category: String,
+    amount: Number,
+    currency: { type: ObjectId, ref: 'Currency' },
+    period: { type: String, enum: ['week', 'month'], default: 'month' },
+    scope: { type: String, enum: ['personal', 'family'], default: 'personal' },
+    alertAt: { type: Number, default: 80 },
+    user_id: { type: ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const Budget = mongoose.model('Budget', budgetSchema);
+
+module.exports = Budget;
@@ -3,10 +3,10 @@ const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
 const currencySchema = new Schema({
-    name: Number,
+    name: String,
     shortcut: String,
     symbol: String
-});
+}, { timestamps: true });
 
 const Currency = mongoose.model('Currency', currencySchema);
 
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+/**
+* Units of the currency per one unit of the EXCHANGE_RATES_BASE currency on the date.
+*/
+const exchangeRateSchema = new Schema({
+    currency: { type: ObjectId, ref: 'Currency' },
+    date: Date,
+    rate: Number
+}, { timestamps: true });
+
+exchangeRateSchema.index({ currency: 1, date: 1 }, { unique: true });
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
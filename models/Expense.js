@@ -4,14 +4,56 @@ const Schema = mongoose.Schema;
 const ObjectId = Schema.ObjectId;
 
 const expenseSchema = new Schema({
+    type: { type: String, enum: ['expense', 'income'], default: 'expense' },
     amount: Number,
     date: Date,
     category: String,
     currency: { type: ObjectId, ref: 'Currency' },
     comment: String,
-    user_id: { type: ObjectId, ref: 'User' }
+    user_id: { type: ObjectId, ref: 'User' },
+    account_id: { type: ObjectId, ref: 'Account' },
+    // Shares of household members in an expense paid by user_id
+    split: {
+        method: { type: String, enum: ['equal', 'percentage', 'exact'] },
+        shares: [{
+            _id: false,
+            user: { type: ObjectId, ref: 'User' },
+            percent: Number,
+            amount: Number
+        }]
+    },
+    // Line items of a receipt summing to amount, category being the one of the largest item
+    items: [{
+        _id: false,
+        category: String,
+        amount: Number,
+        comment: String
+    }],
+    tags: [String],
+    // Receipts, `key` and `thumbnailKey` locate the files in helpers/storage
+    attachments: [{
+        filename: String,
+        mimeType: String,
+        size: Number,
+        key: String,
+        thumbnailKey: String,
+        createdAt: { type: Date, default: Date.now }
+    }],
+    recurring_id: { type: ObjectId, ref: 'RecurringExpense' },
+    // Set while the expense is in the trash, see helpers/trash
+    deletedAt: Date,
+    import_id: { type: ObjectId, ref: 'Import' }
 }, { timestamps: true });
 
+expenseSchema.index({ user_id: 1, date: -1, updatedAt: -1, _id: -1 });
+expenseSchema.index({ user_id: 1, tags: 1 });
+expenseSchema.index({ user_id: 1, updatedAt: 1 });
+// One expense per occurrence of a recurring expense, so that a retried run skips those created
+expenseSchema.index(
+    { recurring_id: 1, date: 1 },
+    { unique: true, partialFilterExpression: { recurring_id: { $type: 'objectId' } } }
+);
+
 const Expense = mongoose.model('Expense', expenseSchema);
 
 module.exports = Expense;
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const expenseRevisionSchema = new Schema({
+    expense_id: { type: ObjectId, ref: 'Expense' },
+    // Owner of the expense, whose family sees the revision in the activity feed
+    user_id: { type: ObjectId, ref: 'User' },
+    // User who made the change, none for recurring expenses
+    actor_id: { type: ObjectId, ref: 'User' },
+    action: { type: String, enum: ['create', 'update', 'delete', 'revert', 'restore', 'purge'] },
+    version: Number,
+    changes: [{
+        _id: false,
+        field: String,
+        from: Schema.Types.Mixed,
+        to: Schema.Types.Mixed
+    }],
+    // Tracked fields after the change, or before it for deletes
+    snapshot: Schema.Types.Mixed,
+    revertedTo: Number
+}, { timestamps: true });
+
+expenseRevisionSchema.index({ expense_id: 1, version: -1 }, { unique: true });
+expenseRevisionSchema.index({ user_id: 1, createdAt: -1 });
+
+const ExpenseRevision = mongoose.model('ExpenseRevision', expenseRevisionSchema);
+
+module.exports = ExpenseRevision;
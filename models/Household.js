@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const roles = ['owner', 'member', 'viewer'];
+
+const householdSchema = new Schema({
+    name: String,
+    members: [{
+        _id: false,
+        user: { type: ObjectId, ref: 'User' },
+        role: { type: String, enum: roles, default: 'member' },
+        // Whether other members, except viewers, can edit the member's expenses
+        allowEdits: { type: Boolean, default: false },
+        joinedAt: { type: Date, default: Date.now }
+    }],
+    invitations: [{
+        _id: false,
+        email: String,
+        role: { type: String, enum: roles, default: 'member' },
+        token: String,
+        expires: Date,
+        invitedBy: { type: ObjectId, ref: 'User' }
+    }]
+}, { timestamps: true });
+
+householdSchema.index({ 'members.user': 1 });
+householdSchema.index({ 'invitations.token': 1 });
+
+const Household = mongoose.model('Household', householdSchema);
+
+module.exports = Household;
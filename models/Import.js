@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const importSchema = new Schema({
+    user_id: { type: ObjectId, ref: 'User' },
+    filename: String,
+    format: { type: String, enum: ['csv', 'ofx', 'qif'] },
+    content: String,
+    options: {
+        mapping: Schema.Types.Mixed,
+        dateFormat: String,
+        delimiter: String,
+        sign: { type: String, enum: ['negative', 'positive'], default: 'negative' },
+        category: String,
+        currency: { type: ObjectId, ref: 'Currency' }
+    },
+    headers: Array,
+    rows: [{
+        line: Number,
+        date: Date,
+        amount: Number,
+        comment: String,
+        category: String,
+        currency: { type: ObjectId, ref: 'Currency' },
+        skip: { type: String, enum: ['invalid', 'income', 'duplicate', 'excluded'] }
+    }],
+    // Committing while the expenses of a claimed import are being created
+    status: { type: String, enum: ['preview', 'committing', 'committed'], default: 'preview' },
+    committedAt: Date
+}, { timestamps: true });
+
+const Import = mongoose.model('Import', importSchema);
+
+module.exports = Import;
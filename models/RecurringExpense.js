@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const recurrence = require('../helpers/recurrence');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const recurringExpenseSchema = new Schema({
+    type: { type: String, enum: ['expense', 'income'], default: 'expense' },
+    amount: Number,
+    category: String,
+    currency: { type: ObjectId, ref: 'Currency' },
+    comment: String,
+    user_id: { type: ObjectId, ref: 'User' },
+
+    frequency: { type: String, enum: ['daily', 'weekly', 'monthly', 'yearly'] },
+    interval: { type: Number, default: 1 },
+    dayOfMonth: Number,
+    startDate: Date,
+    endDate: Date,
+    nextDate: Date,
+    paused: { type: Boolean, default: false },
+    // Set once no occurrence is left before endDate, see helpers/recurrence.isEnded
+    ended: { type: Boolean, default: false }
+}, { timestamps: true });
+
+recurringExpenseSchema.pre('save', function save(next) {
+    this.ended = recurrence.isEnded(this);
+    next();
+});
+
+const RecurringExpense = mongoose.model('RecurringExpense', recurringExpenseSchema);
+
+module.exports = RecurringExpense;
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const sessionSchema = new Schema({
+    user_id: { type: ObjectId, ref: 'User' },
+    // Hashes of the current refresh token and of the one it replaced
+    tokenHash: String,
+    previousTokenHash: String,
+    userAgent: String,
+    ip: String,
+    lastUsedAt: Date,
+    expiresAt: Date,
+    revokedAt: Date
+}, { timestamps: true });
+
+sessionSchema.index({ user_id: 1, revokedAt: 1 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const settlementSchema = new Schema({
+    from: { type: ObjectId, ref: 'User' },
+    to: { type: ObjectId, ref: 'User' },
+    amount: Number,
+    currency: { type: ObjectId, ref: 'Currency' },
+    date: Date,
+    comment: String,
+    user_id: { type: ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const Settlement = mongoose.model('Settlement', settlementSchema);
+
+module.exports = Settlement;
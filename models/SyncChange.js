@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const syncChangeSchema = new Schema({
+    user_id: { type: ObjectId, ref: 'User' },
+    // Id the client generated for the change, so that resending it does not apply it twice
+    clientId: String,
+    // Result sent back once the change has been applied, unset while it is being applied
+    result: Schema.Types.Mixed
+}, { timestamps: true });
+
+syncChangeSchema.index({ user_id: 1, clientId: 1 }, { unique: true });
+syncChangeSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const SyncChange = mongoose.model('SyncChange', syncChangeSchema);
+
+module.exports = SyncChange;
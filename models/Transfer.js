@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const Schema = mongoose.Schema;
+const ObjectId = Schema.ObjectId;
+
+const transferSchema = new Schema({
+    from: { type: ObjectId, ref: 'Account' },
+    to: { type: ObjectId, ref: 'Account' },
+    amount: Number,
+    // Amount received, in the currency of the target account
+    toAmount: Number,
+    date: Date,
+    comment: String,
+    user_id: { type: ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const Transfer = mongoose.model('Transfer', transferSchema);
+
+module.exports = Transfer;
@@ -28,9 +28,22 @@ const userSchema = new mongoose.Schema({
         picture: String
     },
 
+    isAdmin: { type: Boolean, default: false },
+    baseCurrency: { type: ObjectId, ref: 'Currency' },
     categories: Array,
+    // Legacy family links, moved to households by scripts/migrate-households.js
     familyMembers: [{ type: ObjectId, ref: 'User' }],
-    familyMemberRequests: [{ type: ObjectId, ref: 'User' }]
+    familyMemberRequests: [{ type: ObjectId, ref: 'User' }],
+    // Opt-in spending digests, see helpers/digest
+    digest: {
+        weekly: { type: Boolean, default: false },
+        monthly: { type: Boolean, default: false },
+        unsubscribeToken: String,
+        weeklySentAt: Date,
+        monthlySentAt: Date
+    },
+    // Set when the user deletes their account, purged after the grace period
+    deletedAt: Date
 }, { timestamps: true });
 
 /**
@@ -0,0 +1,41 @@
+/**
+* Loads exchange rates from a CSV (date,currency,rate) or JSON file.
+* Usage: node scripts/load-rates.js rates.csv
+*/
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const rates = require('../helpers/rates');
+
+dotenv.load({ path: '.env' });
+
+const file = process.argv[2];
+
+if (!file) {
+    console.log('Usage: node scripts/load-rates.js <file.csv|file.json>');
+    process.exit(1);
+}
+
+const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+const parsed = rates.parseRates(fs.readFileSync(file, 'utf8'), format);
+
+if (parsed.errors.length) {
+    parsed.errors.forEach(el => console.log('%s Row %d: %s', chalk.red('✗'), el.row, el.msg));
+    process.exit(1);
+}
+
+mongoose.Promise = global.Promise;
+mongoose.connect(process.env.MONGODB_URI || process.env.MONGOLAB_URI);
+
+rates.saveRates(parsed.rates, (err, result) => {
+    if (err) {
+        console.log('%s Can not load exchange rates:', chalk.red('✗'), err);
+        process.exit(1);
+    }
+
+    result.errors.forEach(el => console.log('%s %s', chalk.red('✗'), el.msg));
+    console.log('%s %d exchange rates loaded', chalk.green('✓'), result.saved);
+    mongoose.disconnect();
+});
@@ -0,0 +1,148 @@
+/**
+* Moves the legacy family links of users into households. Users linked directly or
+* through other users share a household owned by the one who signed up first.
+* Pending family requests become household invitations. Users whose family is spread
+* over several households keep their legacy links, controllers/household.loadHousehold
+* still counting them as family. Safe to run more than once.
+* Usage: node scripts/migrate-households.js
+*/
+const async = require('async');
+const chalk = require('chalk');
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const Household = require('../models/Household');
+const User = require('../models/User');
+const households = require('../helpers/households');
+
+dotenv.load({ path: '.env' });
+
+mongoose.Promise = global.Promise;
+mongoose.connect(process.env.MONGODB_URI || process.env.MONGOLAB_URI);
+
+const fail = (err) => {
+    console.log('%s Can not migrate households:', chalk.red('✗'), err);
+    process.exit(1);
+};
+
+/**
+* Creates a household for every family whose members are not in a household yet,
+* and adds the others to the household when only one of them has one.
+* Calls back with the count of households created and the ids of the users of
+* families spread over several households, which keep their legacy links.
+*/
+const createHouseholds = (users, cb) => {
+    const families = households.groupFamilies(users);
+
+    async.mapSeries(families, (family, done) => {
+        const members = family
+            .slice()
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .map((user, index) => ({ user: user._id, role: index ? 'member' : 'owner' }));
+
+        Household.find({ 'members.user': { $in: members.map(el => el.user) } }, (err, found) => {
+            if (err) { return done(err); }
+
+            if (found.length > 1) {
+                return done(null, { created: 0, skipped: members.map(el => el.user) });
+            }
+            if (found.length) {
+                const household = found[0];
+
+                members
+                    .filter(el => !households.getMember(household, el.user))
+                    .forEach(el => household.members.push({ user: el.user, role: 'member' }));
+
+                return household.save(err => done(err, { created: 0, skipped: [] }));
+            }
+
+            Household.create({ name: '', members }, err => done(err, { created: 1, skipped: [] }));
+        });
+    }, (err, results) => cb(
+        err,
+        (results || []).reduce((sum, el) => sum + el.created, 0),
+        (results || []).reduce((ids, el) => ids.concat(el.skipped), [])
+    ));
+};
+
+/**
+* Turns the pending request of `requester` to join `user` into an invitation
+* from the household of the requester.
+*/
+const createInvitation = (requester, user, cb) => {
+    households.findUserHousehold(requester, (err, existing) => {
+        if (err) { return cb(err); }
+
+        const household = existing || new Household({
+            name: '',
+            members: [{ user: requester, role: 'owner' }]
+        });
+
+        if (household.invitations.some(el => el.email === user.email) ||
+            households.getMember(household, user._id)) {
+            return cb(null, 0);
+        }
+
+        household.invitations.push({
+            email: user.email,
+            role: 'member',
+            token: crypto.randomBytes(16).toString('hex'),
+            expires: new Date(Date.now() + households.INVITATION_TTL),
+            invitedBy: requester
+        });
+        household.save(err => cb(err, 1));
+    });
+};
+
+User.find({
+    $or: [{ 'familyMembers.0': { $exists: true } }, { 'familyMemberRequests.0': { $exists: true } }]
+}, 'email familyMembers familyMemberRequests createdAt', (err, users) => {
+    if (err) { return fail(err); }
+
+    createHouseholds(users, (err, created, skipped) => {
+        if (err) { return fail(err); }
+
+        const requests = [];
+
+        users.forEach((user) => {
+            (user.familyMemberRequests || []).forEach((requester) => {
+                requests.push({ requester, user });
+            });
+        });
+
+        async.mapSeries(requests, (el, done) => {
+            createInvitation(el.requester, el.user, done);
+        }, (err, invited) => {
+            if (err) { return fail(err); }
+
+            const migrated = users
+                .map(el => el._id)
+                .filter(id => !skipped.some(el => el.equals(id)));
+
+            async.series([
+                done => User.update(
+                    { _id: { $in: users.map(el => el._id) } },
+                    { $unset: { familyMemberRequests: 1 } },
+                    { multi: true },
+                    done
+                ),
+                done => User.update(
+                    { _id: { $in: migrated } },
+                    { $unset: { familyMembers: 1 } },
+                    { multi: true },
+                    done
+                )
+            ], (err) => {
+                if (err) { return fail(err); }
+
+                console.log('%s %d households created, %d invitations created',
+                    chalk.green('✓'), created, invited.reduce((sum, el) => sum + el, 0));
+                if (skipped.length) {
+                    console.log('%s Users in several households keep their family links: %s',
+                        chalk.yellow('!'), skipped.join(', '));
+                }
+                mongoose.disconnect();
+            });
+        });
+    });
+});
@@ -0,0 +1,29 @@
+const {expect} = require('chai');
+
+const accounts = require('../helpers/accounts');
+
+describe('Accounts', () => {
+  const cash = { _id: 'cash', name: 'Cash', type: 'cash', currency: 'eur', openingBalance: 100 };
+  const card = { _id: 'card', name: 'Card', type: 'card', currency: 'eur' };
+
+  it('should compute balances from expenses, income and transfers', () => {
+    const balances = accounts.computeBalances([cash, card], {
+      expenses: [
+        { _id: { account: 'cash', type: 'expense' }, total: 30 },
+        { _id: { account: 'cash' }, total: 20 },
+        { _id: { account: 'card', type: 'income' }, total: 1000 }
+      ],
+      transfersOut: [{ _id: 'card', total: 200 }],
+      transfersIn: [{ _id: 'cash', total: 200 }]
+    });
+
+    expect(balances[0]).to.include({ account: 'cash', expenses: 50, transfersIn: 200, balance: 250 });
+    expect(balances[1]).to.include({ account: 'card', income: 1000, openingBalance: 0, balance: 800 });
+  });
+
+  it('should keep the opening balance of unused accounts', () => {
+    const balances = accounts.computeBalances([cash], { expenses: [], transfersOut: [], transfersIn: [] });
+
+    expect(balances[0].balance).to.equal(100);
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {expect} = require('chai');
+
+const attachments = require('../helpers/attachments');
+const storage = require('../helpers/storage');
+
+describe('Attachments', () => {
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const pdf = Buffer.from('%PDF-1.4\n');
+
+  afterEach(() => {
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  it('should detect accepted types by content', () => {
+    expect(attachments.detectType(png)).to.deep.equal({ mimeType: 'image/png', extension: '.png' });
+    expect(attachments.detectType(pdf).mimeType).to.equal('application/pdf');
+    expect(attachments.detectType(Buffer.from('RIFF\0\0\0\0WEBPVP8 ')).mimeType).to.equal('image/webp');
+    expect(attachments.detectType(Buffer.from('<html></html>'))).to.equal(undefined);
+  });
+
+  it('should not make thumbnails of PDFs', (done) => {
+    attachments.createThumbnail(pdf, 'application/pdf', (err, thumbnail) => {
+      expect(thumbnail).to.equal(null);
+      done(err);
+    });
+  });
+
+  it('should skip thumbnails if the image can not be converted', (done) => {
+    process.env.THUMBNAIL_COMMAND = 'spendlist-missing-command';
+
+    attachments.createThumbnail(png, 'image/png', (err, thumbnail) => {
+      delete process.env.THUMBNAIL_COMMAND;
+      expect(thumbnail).to.equal(null);
+      done(err);
+    });
+  });
+
+  it('should format attachments with their urls', () => {
+    const result = attachments.format('e1', { _id: 'a1', filename: 'receipt.png', thumbnailKey: 'e1/x.thumb.jpg' });
+
+    expect(result.url).to.equal('/api/v1/expenses/e1/attachments/a1');
+    expect(result.thumbnailUrl).to.equal('/api/v1/expenses/e1/attachments/a1/thumbnail');
+  });
+
+  it('should save, read and remove files on local disk', (done) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'spendlist-'));
+    const local = storage.createLocalStorage(root);
+
+    local.save('e1/../../a.pdf', pdf, (err) => {
+      if (err) { return done(err); }
+
+      expect(fs.existsSync(path.join(root, 'a.pdf'))).to.equal(true);
+
+      let data = '';
+
+      local.createReadStream('a.pdf')
+        .on('data', (chunk) => { data += chunk; })
+        .on('end', () => {
+          expect(data).to.equal(pdf.toString());
+          local.remove('a.pdf', (err) => {
+            expect(fs.existsSync(path.join(root, 'a.pdf'))).to.equal(false);
+            local.remove('a.pdf', done);
+          });
+        });
+    });
+  });
+
+  it('should remove files and thumbnails through the configured driver', (done) => {
+    const removed = [];
+
+    storage.register('memory', () => ({ remove: (key, cb) => { removed.push(key); cb(); } }));
+    process.env.STORAGE_DRIVER = 'memory';
+
+    attachments.removeFiles([{ key: 'a.png', thumbnailKey: 'a.png.thumb.jpg' }, { key: 'b.pdf' }], (err) => {
+      expect(removed).to.deep.equal(['a.png', 'a.png.thumb.jpg', 'b.pdf']);
+      done(err);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const {expect} = require('chai');
+
+const budgets = require('../helpers/budgets');
+const { getPeriodRange } = require('../helpers/dates');
+
+describe('Budgets', () => {
+  const budget = { category: 'Food', amount: 400, period: 'month', alertAt: 80 };
+
+  it('should compute the current month range', () => {
+    const range = getPeriodRange('month', new Date(2017, 5, 15));
+
+    expect(range.start.getDate()).to.equal(1);
+    expect(range.start.getMonth()).to.equal(5);
+    expect(range.end.getDate()).to.equal(30);
+  });
+
+  it('should compute the ISO week range', () => {
+    const range = getPeriodRange('week', new Date(2017, 5, 15));
+
+    expect(range.start.getDay()).to.equal(1);
+    expect(range.start.getDate()).to.equal(12);
+    expect(range.end.getDate()).to.equal(18);
+  });
+
+  it('should format spent, remaining and percent used', () => {
+    const progress = budgets.formatProgress(budget, 100, getPeriodRange('month'));
+
+    expect(progress.spent).to.equal(100);
+    expect(progress.remaining).to.equal(300);
+    expect(progress.percent).to.equal(25);
+    expect(progress.overspent).to.be.false;
+  });
+
+  it('should flag the alert threshold crossing', () => {
+    expect(budgets.getCrossedThreshold(budget, 300, 330)).to.equal(80);
+  });
+
+  it('should flag the limit crossing', () => {
+    expect(budgets.getCrossedThreshold(budget, 300, 450)).to.equal(100);
+  });
+
+  it('should not flag thresholds crossed before', () => {
+    expect(budgets.getCrossedThreshold(budget, 330, 350)).to.be.null;
+    expect(budgets.getCrossedThreshold(budget, 410, 450)).to.be.null;
+  });
+});
@@ -0,0 +1,39 @@
+const {expect} = require('chai');
+
+const categories = require('../helpers/categories');
+
+describe('Categories', () => {
+  const list = [
+    'Food',
+    { name: 'Home', color: '#00ff00', icon: 'house' },
+    { name: 'Furniture', parent: 'Home' },
+    { name: 'Salary', type: 'income' }
+  ];
+
+  it('should normalize plain category names', () => {
+    expect(categories.normalize(list)[0]).to.deep.equal({
+      name: 'Food', type: 'expense', color: null, icon: null, parent: null
+    });
+    expect(categories.normalize(list)[1].color).to.equal('#00ff00');
+  });
+
+  it('should find categories by name', () => {
+    expect(categories.hasCategory(list, 'Food')).to.be.true;
+    expect(categories.hasCategory(list, 'Furniture')).to.be.true;
+    expect(categories.hasCategory(list, 'Travel')).to.be.false;
+  });
+
+  it('should tell expense and income categories apart', () => {
+    expect(categories.hasCategory(list, 'Salary')).to.be.false;
+    expect(categories.hasCategory(list, 'Salary', 'income')).to.be.true;
+    expect(categories.checkParent(list, 'Bonus', 'Salary', 'income')).to.be.null;
+    expect(categories.checkParent(list, 'Bonus', 'Salary')).to.be.a('string');
+  });
+
+  it('should allow one level of subcategories', () => {
+    expect(categories.checkParent(list, 'Groceries', 'Food')).to.be.null;
+    expect(categories.checkParent(list, 'Chairs', 'Furniture')).to.be.a('string');
+    expect(categories.checkParent(list, 'Home', 'Food')).to.be.a('string');
+    expect(categories.checkParent(list, 'Travel', 'Missing')).to.be.a('string');
+  });
+});
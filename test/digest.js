@@ -0,0 +1,84 @@
+const {expect} = require('chai');
+const moment = require('moment');
+
+const digest = require('../helpers/digest');
+const mailer = require('../helpers/mailer');
+
+describe('Spending digests', () => {
+  const monday = moment('2017-01-09 08:00', 'YYYY-MM-DD HH:mm').toDate();
+
+  it('should cover the last week or month over', () => {
+    const week = digest.getDigestRange('week', monday);
+    const month = digest.getDigestRange('month', moment('2017-02-01 08:00', 'YYYY-MM-DD HH:mm').toDate());
+
+    expect(moment(week.start).format('YYYY-MM-DD ddd')).to.equal('2017-01-02 Mon');
+    expect(moment(week.end).format('YYYY-MM-DD ddd')).to.equal('2017-01-08 Sun');
+    expect(moment(month.start).format('YYYY-MM-DD')).to.equal('2017-01-01');
+    expect(moment(month.end).format('YYYY-MM-DD')).to.equal('2017-01-31');
+  });
+
+  it('should be due once per period to users who opted in', () => {
+    const saturday = moment('2017-01-07 10:00', 'YYYY-MM-DD HH:mm').toDate();
+
+    expect(digest.isDue({ digest: { weekly: true } }, 'week', monday)).to.equal(true);
+    expect(digest.isDue({ digest: { weekly: true, weeklySentAt: saturday } }, 'week', monday)).to.equal(true);
+    expect(digest.isDue({ digest: { weekly: true, weeklySentAt: monday } }, 'week', monday)).to.equal(false);
+    expect(digest.isDue({ digest: { weekly: false } }, 'week', monday)).to.equal(false);
+    expect(digest.isDue({ digest: { weekly: true } }, 'month', monday)).to.equal(false);
+  });
+
+  it('should summarize the reports', () => {
+    const summary = digest.summarize({
+      current: { total: 120, groups: [{ label: 'Food', total: 80 }, { label: 'Transport', total: 40 }] },
+      previous: { total: 100 },
+      members: { total: 120, groups: [{ label: 'Me', total: 90 }, { label: 'Mom', total: 30 }] },
+      biggest: [{ amount: 50, currency: { shortcut: 'EUR' }, category: 'Food', date: monday }]
+    });
+
+    expect(summary.change).to.equal(20);
+    expect(summary.categories[0]).to.deep.equal({ name: 'Food', total: 80 });
+    expect(summary.members[1]).to.deep.equal({ name: 'Mom', total: 30, share: 25 });
+    expect(summary.biggest[0].currency).to.equal('EUR');
+    expect(digest.summarize({
+      current: { total: 10, groups: [] }, previous: { total: 0 }, members: { total: 10, groups: [] }, biggest: []
+    }).change).to.equal(null);
+  });
+
+  it('should rank the biggest expenses in the base currency', () => {
+    const eur = { _id: 'eur', shortcut: 'EUR' };
+    const usd = { _id: 'usd', shortcut: 'USD' };
+    const rateTable = {
+      eur: [{ date: new Date(0), rate: 1 }],
+      usd: [{ date: new Date(0), rate: 2 }]
+    };
+    const biggest = digest.rankBiggest([
+      { amount: 30, currency: usd, date: monday },
+      { amount: 20, currency: eur, date: monday },
+      { amount: 90, currency: { _id: 'xyz', shortcut: 'XYZ' }, date: monday }
+    ], 'eur', rateTable);
+
+    expect(biggest.map(el => el.amount)).to.deep.equal([20, 30, 90]);
+    expect(digest.rankBiggest([{ amount: 1 }, { amount: 2 }]).map(el => el.amount)).to.deep.equal([2, 1]);
+  });
+
+  it('should render the digest email with an unsubscribe link', () => {
+    const email = mailer.templates.digest({
+      period: 'week',
+      from: moment('2017-01-02').toDate(),
+      to: moment('2017-01-08').toDate(),
+      currency: 'EUR',
+      total: 120,
+      previousTotal: 100,
+      change: 20,
+      categories: [{ name: 'Food', total: 80 }],
+      biggest: [{ amount: 50, currency: 'EUR', category: 'Food', date: monday }],
+      members: [{ name: 'Me', total: 90, share: 75 }, { name: 'Mom', total: 30, share: 25 }],
+      token: 'abc'
+    });
+
+    expect(email.subject).to.equal('Your weekly Spendlist digest');
+    expect(email.text).to.contain('You spent 120.00 EUR from 2 Jan to 8 Jan 2017, 20% more than the week before');
+    expect(email.text).to.contain('Mom 30.00 EUR (25%)');
+    expect(email.headers['List-Unsubscribe']).to.equal('<http://localhost:3000/digest/unsubscribe/abc>');
+  });
+});
@@ -0,0 +1,39 @@
+const {expect} = require('chai');
+const mongoose = require('mongoose');
+
+const events = require('../helpers/events');
+
+describe('Events', () => {
+  const owner = mongoose.Types.ObjectId('5700a128bd97c1341d8fb366');
+
+  it('should publish expense changes to subscribers', () => {
+    const received = [];
+    const unsubscribe = events.subscribe(event => received.push(event));
+
+    events.publishExpense('create', { _id: 'e1', user_id: owner, amount: 5 });
+    events.publishExpense('delete', { _id: 'e1', user_id: { _id: owner, email: 'me@example.com' } });
+    events.publishExpense('purge', { _id: 'e1', user_id: owner });
+    unsubscribe();
+    events.publishExpense('update', { _id: 'e1', user_id: owner });
+
+    expect(received.map(el => el.type)).to.deep.equal(['expense.created', 'expense.deleted']);
+    expect(received[0].owner).to.equal(owner.toString());
+    expect(received[1].data).to.deep.equal({ _id: 'e1' });
+  });
+
+  it('should resume after a known event id only', () => {
+    const first = events.publish('expense.created', owner, {});
+    const second = events.publish('expense.updated', owner, {});
+
+    expect(events.getEventsSince(first.id)).to.deep.equal([second]);
+    expect(events.getEventsSince(second.id)).to.deep.equal([]);
+    expect(events.getEventsSince('oldprocess-1')).to.equal(null);
+    expect(events.getEventsSince('garbage')).to.equal(null);
+  });
+
+  it('should format Server-Sent Events', () => {
+    expect(events.format({ id: 'a-1', type: 'expense.deleted', data: { _id: 'e1' } }))
+      .to.equal('id: a-1\nevent: expense.deleted\ndata: {"_id":"e1"}\n\n');
+    expect(events.format({ type: 'reset', data: {} })).to.equal('event: reset\ndata: {}\n\n');
+  });
+});
@@ -0,0 +1,69 @@
+const {expect} = require('chai');
+
+const exporters = require('../helpers/exporters');
+
+const exportExpenses = (type, expenses, done) => {
+  const stream = exporters.createExportStream(type, el => Object.assign({}, el, { user: 'Me' }), { currency: 'EUR' });
+  let output = '';
+
+  stream.on('data', (chunk) => { output += chunk; });
+  stream.on('end', () => done(output));
+  expenses.forEach(el => stream.write(el));
+  stream.end();
+};
+
+describe('Expense export', () => {
+  const expenses = [{
+    _id: '5700a128bd97c1341d8fb365',
+    date: new Date(2017, 0, 5),
+    amount: 12.5,
+    category: 'Food',
+    comment: 'Lunch, "big"',
+    currency: { shortcut: 'EUR', symbol: '€' }
+  }];
+
+  it('should export CSV with escaped fields', (done) => {
+    exportExpenses('csv', expenses, (output) => {
+      const lines = output.trim().split('\r\n');
+
+      expect(lines[0]).to.equal('date,category,amount,currency,symbol,comment,user,type');
+      expect(lines[1]).to.contain('Food,12.5,EUR,€,"Lunch, ""big""",Me,expense');
+      done();
+    });
+  });
+
+  it('should export a JSON array', (done) => {
+    exportExpenses('json', expenses.concat(expenses), (output) => {
+      const data = JSON.parse(output);
+
+      expect(data).to.have.length(2);
+      expect(data[0].currency).to.equal('EUR');
+      done();
+    });
+  });
+
+  it('should export an empty JSON array', (done) => {
+    exportExpenses('json', [], (output) => {
+      expect(JSON.parse(output)).to.deep.equal([]);
+      done();
+    });
+  });
+
+  it('should export OFX transactions as debits', (done) => {
+    exportExpenses('ofx', expenses, (output) => {
+      expect(output).to.contain('<CURDEF>EUR');
+      expect(output).to.contain('<DTPOSTED>20170105');
+      expect(output).to.contain('<TRNAMT>-12.5');
+      expect(output).to.contain('</OFX>');
+      done();
+    });
+  });
+
+  it('should export OFX income as credits', (done) => {
+    exportExpenses('ofx', [Object.assign({}, expenses[0], { type: 'income' })], (output) => {
+      expect(output).to.contain('<TRNTYPE>CREDIT');
+      expect(output).to.contain('<TRNAMT>12.5');
+      done();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const {expect} = require('chai');
+const mongoose = require('mongoose');
+
+const Expense = require('../models/Expense');
+const history = require('../helpers/history');
+
+describe('Expense history', () => {
+  const expense = new Expense({
+    amount: 12.5,
+    date: new Date(Date.UTC(2017, 0, 5)),
+    category: 'Food',
+    currency: '5700a128bd97c1341d8fb365',
+    comment: 'Lunch',
+    user_id: '5700a128bd97c1341d8fb366',
+    tags: ['work']
+  });
+
+  it('should snapshot the tracked fields as JSON', () => {
+    const snapshot = history.getSnapshot(expense);
+
+    expect(Object.keys(snapshot)).to.deep.equal(history.fields);
+    expect(snapshot).to.include({
+      amount: 12.5,
+      date: '2017-01-05T00:00:00.000Z',
+      currency: '5700a128bd97c1341d8fb365',
+      account_id: null
+    });
+    expect(snapshot.tags).to.deep.equal(['work']);
+    expect(snapshot).to.not.have.property('user_id');
+  });
+
+  it('should list changed fields only', () => {
+    const before = history.getSnapshot(expense);
+    const after = Object.assign({}, before, { amount: 15, tags: ['work', 'team'] });
+
+    expect(history.diff(before, after)).to.deep.equal([
+      { field: 'amount', from: 12.5, to: 15 },
+      { field: 'tags', from: ['work'], to: ['work', 'team'] }
+    ]);
+    expect(history.diff(before, before)).to.deep.equal([]);
+  });
+
+  it('should diff creates and deletes against nothing', () => {
+    const snapshot = history.getSnapshot(expense);
+
+    expect(history.diff(null, snapshot).map(el => el.field)).to.include.members(['amount', 'category']);
+    expect(history.diff(snapshot, null).find(el => el.field === 'comment')).to.deep.equal({
+      field: 'comment', from: 'Lunch', to: null
+    });
+  });
+
+  it('should name the actor', () => {
+    const me = mongoose.Types.ObjectId('5700a128bd97c1341d8fb366');
+    const revision = {
+      _id: 'r1',
+      expense_id: expense._id,
+      version: 2,
+      action: 'update',
+      actor_id: { _id: me, email: 'me@example.com' },
+      changes: []
+    };
+
+    expect(history.format(revision, me).actor).to.deep.equal({ id: me, name: 'Me' });
+    expect(history.format(Object.assign({}, revision, {
+      actor_id: { _id: 'other', email: 'mom@example.com', profile: { name: 'Mom' } }
+    }), me).actor.name).to.equal('Mom');
+    expect(history.format(Object.assign({}, revision, { actor_id: null }), me).actor).to.equal(null);
+  });
+});
@@ -0,0 +1,52 @@
+const {expect} = require('chai');
+
+const households = require('../helpers/households');
+
+describe('Households', () => {
+  const household = {
+    members: [
+      { user: 'a', role: 'owner', joinedAt: new Date(2017, 0, 1) },
+      { user: 'b', role: 'viewer', joinedAt: new Date(2017, 0, 3) },
+      { user: 'c', role: 'member', joinedAt: new Date(2017, 0, 2) }
+    ]
+  };
+
+  it('should list the other members', () => {
+    expect(households.getOtherMemberIds(household, 'b')).to.deep.equal(['a', 'c']);
+    expect(households.getMember(household, 'c').role).to.equal('member');
+  });
+
+  it('should add the legacy family links kept by the migration', () => {
+    expect(households.getFamilyMemberIds(household, { id: 'b', familyMembers: ['c', 'd'] })).to.deep.equal(['a', 'c', 'd']);
+    expect(households.getFamilyMemberIds(null, { id: 'b', familyMembers: ['d'] })).to.deep.equal(['d']);
+    expect(households.getFamilyMemberIds(null, { id: 'b' })).to.deep.equal([]);
+  });
+
+  it('should hand ownership to the longest standing member', () => {
+    const members = households.removeMember(household, 'a');
+
+    expect(members.map(el => el.user)).to.deep.equal(['b', 'c']);
+    expect(members[1].role).to.equal('owner');
+    expect(household.members[2].role).to.equal('member');
+  });
+
+  it('should expire invitations', () => {
+    const invitation = { expires: new Date(2017, 0, 8) };
+
+    expect(households.isExpired(invitation, new Date(2017, 0, 7))).to.equal(false);
+    expect(households.isExpired(invitation, new Date(2017, 0, 8))).to.equal(true);
+  });
+
+  it('should group transitively linked families', () => {
+    const families = households.groupFamilies([
+      { _id: 'a', familyMembers: ['b'] },
+      { _id: 'b', familyMembers: ['a', 'c'] },
+      { _id: 'c', familyMembers: ['b'] },
+      { _id: 'd', familyMembers: ['e'] },
+      { _id: 'e', familyMembers: ['d', 'deleted'] },
+      { _id: 'f', familyMembers: [] }
+    ]);
+
+    expect(families.map(family => family.map(el => el._id))).to.deep.equal([['a', 'b', 'c'], ['d', 'e']]);
+  });
+});
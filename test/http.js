@@ -0,0 +1,40 @@
+const {expect} = require('chai');
+
+const http = require('../helpers/http');
+
+describe('HTTP helpers', () => {
+  const expense = { updatedAt: new Date(1500000000000) };
+  const respond = (ifMatch, cb) => {
+    const res = {
+      status: (code) => { res.code = code; return res; },
+      json: () => cb(res.code)
+    };
+
+    http.requireIfMatch('expense')({ expense, get: () => ifMatch }, res, () => cb(200));
+  };
+
+  it('should tag documents by their update time', () => {
+    expect(http.getETag(expense)).to.equal('"1500000000000"');
+  });
+
+  it('should match strong, weak, listed and wildcard tags', () => {
+    expect(http.matches('"1"', '"1"')).to.equal(true);
+    expect(http.matches('W/"1"', '"1"')).to.equal(true);
+    expect(http.matches('"2", "1"', '"1"')).to.equal(true);
+    expect(http.matches('*', '"1"')).to.equal(true);
+    expect(http.matches('"2"', '"1"')).to.equal(false);
+  });
+
+  it('should require a matching If-Match header', (done) => {
+    respond(undefined, (code) => {
+      expect(code).to.equal(428);
+      respond('"1"', (code) => {
+        expect(code).to.equal(412);
+        respond('"1500000000000"', (code) => {
+          expect(code).to.equal(200);
+          done();
+        });
+      });
+    });
+  });
+});
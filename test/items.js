@@ -0,0 +1,48 @@
+const {expect} = require('chai');
+
+const items = require('../helpers/items');
+
+describe('Line items and tags', () => {
+  const receipt = [
+    { category: 'Food', amount: '12.30' },
+    { category: 'Household', amount: 5.2, comment: 'Soap' },
+    { category: 'Food', amount: '2.5' }
+  ];
+
+  it('should accept items summing to the amount', () => {
+    const { items: result, error } = items.parseItems(receipt, '20');
+
+    expect(error).to.equal(undefined);
+    expect(result[0]).to.deep.equal({ category: 'Food', amount: 12.3, comment: undefined });
+    expect(result[1].comment).to.equal('Soap');
+  });
+
+  it('should reject items not summing to the amount or without a category', () => {
+    expect(items.parseItems(receipt, 20.01).error.msg).to.equal('Items must sum to the amount of the expense');
+    expect(items.parseItems([{ amount: 5 }], 5).error).to.exist;
+    expect(items.parseItems([{ category: 'Food', amount: 0 }], 0).error).to.exist;
+    expect(items.parseItems(undefined, 10)).to.deep.equal({ items: [] });
+  });
+
+  it('should take the category of the largest item', () => {
+    expect(items.getMainCategory(items.parseItems(receipt, 20).items)).to.equal('Food');
+  });
+
+  it('should sum amounts per category', () => {
+    expect(items.getCategoryAmounts({ items: receipt })).to.deep.equal({ Food: 14.8, Household: 5.2 });
+    expect(items.getCategoryAmounts({ category: 'Rent', amount: 500, items: [] })).to.deep.equal({ Rent: 500 });
+  });
+
+  it('should normalize tags from arrays and comma separated strings', () => {
+    expect(items.parseTags('Vacation-2026, work-reimbursable,vacation-2026,')).to.deep.equal({
+      tags: ['vacation-2026', 'work-reimbursable']
+    });
+    expect(items.parseTags(['Work'])).to.deep.equal({ tags: ['work'] });
+    expect(items.parseTags(undefined)).to.deep.equal({ tags: [] });
+  });
+
+  it('should reject tags with spaces and too many tags', () => {
+    expect(items.parseTags(['road trip']).error).to.exist;
+    expect(items.parseTags(Array.from({ length: 21 }, (el, i) => `t${i}`)).error).to.exist;
+  });
+});
@@ -0,0 +1,69 @@
+const {expect} = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mailer = require('../helpers/mailer');
+
+describe('Emails', () => {
+  afterEach(() => {
+    delete process.env.FRONTEND_URL;
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  it('should link the reset email to the front-end', () => {
+    process.env.FRONTEND_URL = 'https://app.spendlist.com/';
+
+    const email = mailer.templates.passwordReset({ token: 'abc' });
+
+    expect(email.subject).to.contain('Spendlist');
+    expect(email.text).to.contain('https://app.spendlist.com/reset/abc');
+    expect(email.html).to.contain('href="https://app.spendlist.com/reset/abc"');
+  });
+
+  it('should escape data in the html version', () => {
+    const email = mailer.templates.householdInvitation({
+      inviter: '<b>eve</b>',
+      token: 'abc',
+      expires: new Date(2017, 0, 8)
+    });
+
+    expect(email.html).to.contain('&lt;b&gt;eve&lt;/b&gt;');
+    expect(email.text).to.contain('http://localhost:3000/household/join/abc');
+  });
+
+  it('should send through the configured transport', (done) => {
+    const transport = mailer.createMemoryTransport();
+
+    mailer.register('test', () => transport);
+    process.env.MAIL_TRANSPORT = 'test';
+
+    mailer.send('me@example.com', 'passwordChanged', { email: 'me@example.com' }, (err) => {
+      expect(err).to.not.exist;
+      expect(transport.sent).to.have.length(1);
+      expect(transport.sent[0]).to.include({ to: 'me@example.com', subject: 'Your Spendlist password has been changed' });
+      done();
+    });
+  });
+
+  it('should write messages as files', (done) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mails-'));
+
+    mailer.createFileTransport(dir).send({ to: 'me@example.com', subject: 'Hi' }, (err) => {
+      expect(err).to.not.exist;
+
+      const files = fs.readdirSync(dir);
+
+      expect(files).to.have.length(1);
+      expect(JSON.parse(fs.readFileSync(path.join(dir, files[0]))).subject).to.equal('Hi');
+      fs.rmSync(dir, { recursive: true });
+      done();
+    });
+  });
+
+  it('should reject unknown transports', () => {
+    process.env.MAIL_TRANSPORT = 'pigeon';
+
+    expect(() => mailer.getTransport()).to.throw('Unknown mail transport pigeon');
+  });
+});
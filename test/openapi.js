@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const {expect} = require('chai');
+
+const openapi = require('../helpers/openapi');
+
+const validate = (method, url, body, query) => {
+  const found = openapi.findOperation(method, url);
+  const result = {};
+  const req = { method, path: url, user: { id: 'a' }, query: query || {}, body: body || {}, is: () => false };
+  const res = {
+    status: (code) => { result.status = code; return res; },
+    json: (data) => { result.data = data; }
+  };
+
+  expect(found, `${method} ${url}`).to.exist;
+  openapi.validateRequest(req, res, () => { result.next = true; });
+
+  return Object.assign(result, { req });
+};
+
+describe('OpenAPI', () => {
+  const expense = {
+    amount: '12.5',
+    date: '31-01-2017',
+    category: 'Food',
+    currency: '5700a128bd97c1341d8fb365'
+  };
+
+  it('should describe every route of the app', () => {
+    const source = fs.readFileSync(path.join(__dirname, '../app.js'), 'utf8');
+    const routes = /(app|v1)\.(get|post|put|patch|delete)\('(\/[^']*)'/g;
+    let match = routes.exec(source);
+
+    while (match) {
+      const prefix = match[1] === 'v1' ? '/api/v1' : '';
+      const url = prefix + match[3].replace(/:\w+/g, 'x');
+
+      expect(openapi.findOperation(match[2].toUpperCase(), url), `${match[2]} ${url}`).to.exist;
+      match = routes.exec(source);
+    }
+  });
+
+  it('should prefer paths without parameters', () => {
+    expect(openapi.findOperation('GET', '/api/budgets/progress').path).to.equal('/api/budgets/progress');
+    expect(openapi.findOperation('GET', '/api/budgets/5700a128bd97c1341d8fb365').params)
+      .to.deep.equal({ id: '5700a128bd97c1341d8fb365' });
+  });
+
+  it('should not decode malformed path parameters', () => {
+    expect(openapi.findOperation('GET', '/api/budgets/%E0%A4%A').params).to.equal(null);
+  });
+
+  it('should accept a valid expense and coerce form values', () => {
+    const result = validate('POST', '/api/v1/expenses', Object.assign({}, expense, { account: '' }));
+
+    expect(result.next).to.equal(true);
+    expect(result.req.body.amount).to.equal(12.5);
+  });
+
+  it('should reject negative amounts, invalid dates and currencies', () => {
+    const result = validate('POST', '/api/v1/expenses', Object.assign({}, expense, {
+      amount: '-1',
+      date: '31-02-2017',
+      currency: 'rub'
+    }));
+
+    expect(result.status).to.equal(400);
+    expect(result.data.error.map(el => el.param)).to.deep.equal(['amount', 'date', 'currency']);
+    expect(result.data.error[1]).to.deep.equal({
+      location: 'body',
+      param: 'date',
+      msg: 'date must be a date in DD-MM-YYYY format',
+      value: '31-02-2017'
+    });
+  });
+
+  it('should report missing fields and invalid path parameters', () => {
+    expect(validate('POST', '/api/v1/expenses', { amount: 'ten' }).data.error.map(el => el.param))
+      .to.deep.equal(['amount', 'date', 'currency']);
+    expect(validate('GET', '/api/v1/expenses/12').data.error[0]).to.include({ location: 'params', param: 'id' });
+  });
+
+  it('should validate nested split shares and query parameters', () => {
+    const split = { method: 'exact', shares: [{ user: 'me', amount: 5 }] };
+
+    expect(validate('PATCH', '/api/v1/expenses/5700a128bd97c1341d8fb365', { split }).data.error[0])
+      .to.include({ param: 'split.shares.0.user' });
+    expect(validate('GET', '/api/v1/expenses', {}, { order: 'up' }).data.error[0])
+      .to.include({ location: 'query', param: 'order' });
+  });
+
+  it('should leave requests without a user to authentication', () => {
+    let called = false;
+
+    expect(validate('POST', '/api/v1/expenses', {}).status).to.equal(400);
+    openapi.validateRequest({ method: 'POST', path: '/api/v1/expenses', body: {}, query: {} }, {}, () => { called = true; });
+    expect(called).to.equal(true);
+  });
+});
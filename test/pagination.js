@@ -0,0 +1,66 @@
+const {expect} = require('chai');
+
+const pagination = require('../helpers/pagination');
+const filters = require('../helpers/filters');
+
+describe('Expense list', () => {
+  const user = { id: '5700a128bd97c1341d8fb365', familyMembers: ['5700a128bd97c1341d8fb366'] };
+
+  it('should round-trip the cursor', () => {
+    const expense = {
+      date: new Date(2017, 0, 5),
+      updatedAt: new Date(2017, 0, 6),
+      _id: '5700a128bd97c1341d8fb367'
+    };
+    const cursor = pagination.decodeCursor(pagination.encodeCursor(expense));
+
+    expect(cursor.date.getTime()).to.equal(expense.date.getTime());
+    expect(cursor.updatedAt.getTime()).to.equal(expense.updatedAt.getTime());
+    expect(cursor._id.toString()).to.equal(expense._id);
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(pagination.decodeCursor('not a cursor')).to.be.null;
+  });
+
+  it('should page after the cursor in descending order', () => {
+    const cursor = { date: new Date(2017, 0, 5), updatedAt: new Date(2017, 0, 6), _id: 'id' };
+    const filter = pagination.getCursorFilter(cursor);
+
+    expect(filter.$or[0]).to.deep.equal({ date: { $lt: cursor.date } });
+    expect(filter.$or[2]._id).to.deep.equal({ $lt: 'id' });
+    expect(pagination.getSort('asc')).to.deep.equal({ date: 1, updatedAt: 1, _id: 1 });
+  });
+
+  it('should keep the page size within limits', () => {
+    expect(pagination.getLimit()).to.equal(pagination.DEFAULT_LIMIT);
+    expect(pagination.getLimit('1000')).to.equal(pagination.MAX_LIMIT);
+    expect(pagination.getLimit('10')).to.equal(10);
+  });
+
+  it('should build the filter from the query', () => {
+    const { filter } = filters.getExpenseFilter(user, {
+      from: '01-01-2017',
+      category: 'Food,Rent',
+      tag: 'Vacation-2026,work',
+      minAmount: '10',
+      q: 'coffee (big)'
+    });
+
+    expect(filter.user_id.$in).to.have.length(2);
+    expect(filter.date.$gte.getDate()).to.equal(1);
+    expect(filter.$or).to.deep.equal([
+      { category: { $in: ['Food', 'Rent'] } },
+      { 'items.category': { $in: ['Food', 'Rent'] } }
+    ]);
+    expect(filter.tags.$in).to.deep.equal(['vacation-2026', 'work']);
+    expect(filter.amount).to.deep.equal({ $gte: 10 });
+    expect(filter.comment.test('Large Coffee (big)')).to.be.true;
+  });
+
+  it('should reject members outside the family and bad amounts', () => {
+    expect(filters.getExpenseFilter(user, { member: '5700a128bd97c1341d8fb399' }).error).to.exist;
+    expect(filters.getExpenseFilter(user, { maxAmount: 'abc' }).error).to.exist;
+    expect(filters.getExpenseFilter(user, { from: '2017-01-01' }).error).to.exist;
+  });
+});
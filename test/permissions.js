@@ -0,0 +1,36 @@
+const {expect} = require('chai');
+
+const permissions = require('../helpers/permissions');
+
+describe('Permissions', () => {
+  const own = { user_id: 'a' };
+  const partner = { user_id: 'b' };
+  const sibling = { user_id: 'c' };
+  const stranger = { user_id: 'd' };
+  const user = {
+    id: 'a',
+    familyMembers: ['b', 'c'],
+    household: { role: 'member', editableMembers: ['b'] }
+  };
+
+  it('should let users see own and family expenses only', () => {
+    expect(permissions.canRead(user, own)).to.equal(true);
+    expect(permissions.canRead(user, sibling)).to.equal(true);
+    expect(permissions.canRead(user, stranger)).to.equal(false);
+  });
+
+  it('should let users edit family expenses only if their owner allows it', () => {
+    expect(permissions.can(user, 'edit', own)).to.equal(true);
+    expect(permissions.can(user, 'edit', partner)).to.equal(true);
+    expect(permissions.can(user, 'edit', sibling)).to.equal(false);
+    expect(permissions.can(user, 'edit', stranger)).to.equal(false);
+  });
+
+  it('should keep family expenses read-only for viewers', () => {
+    const viewer = Object.assign({}, user, { household: { role: 'viewer', editableMembers: ['b'] } });
+
+    expect(permissions.can(viewer, 'edit', partner)).to.equal(false);
+    expect(permissions.can(viewer, 'edit', own)).to.equal(true);
+    expect(permissions.can(viewer, 'read', partner)).to.equal(true);
+  });
+});
@@ -0,0 +1,55 @@
+const {expect} = require('chai');
+
+const rates = require('../helpers/rates');
+
+describe('Exchange rates', () => {
+  const rateTable = {
+    eur: [{ date: new Date(0), rate: 1 }],
+    rub: [
+      { date: new Date(2017, 0, 1), rate: 60 },
+      { date: new Date(2017, 1, 1), rate: 65 }
+    ]
+  };
+
+  it('should use the latest rate on or before the date', () => {
+    expect(rates.findRate(rateTable.rub, new Date(2017, 0, 20))).to.equal(60);
+    expect(rates.findRate(rateTable.rub, new Date(2017, 1, 1))).to.equal(65);
+  });
+
+  it('should fall back to the earliest rate after the date', () => {
+    expect(rates.findRate(rateTable.rub, new Date(2016, 5, 1))).to.equal(60);
+  });
+
+  it('should convert between currencies at the rate on the date', () => {
+    expect(rates.convert(650, 'rub', 'eur', new Date(2017, 1, 10), rateTable)).to.equal(10);
+    expect(rates.convert(10, 'eur', 'rub', new Date(2017, 0, 10), rateTable)).to.equal(600);
+  });
+
+  it('should not convert without a rate', () => {
+    expect(rates.convert(10, 'usd', 'eur', new Date(), rateTable)).to.be.null;
+    expect(rates.convert(10, 'usd', 'usd', new Date(), rateTable)).to.equal(10);
+  });
+
+  it('should parse CSV rates', () => {
+    const { rates: parsed, errors } = rates.parseRates('date,currency,rate\n2017-01-01,rub,60.5\n', 'csv');
+
+    expect(errors).to.be.empty;
+    expect(parsed).to.have.length(1);
+    expect(parsed[0].currency).to.equal('RUB');
+    expect(parsed[0].rate).to.equal(60.5);
+  });
+
+  it('should parse JSON rates grouped by date', () => {
+    const { rates: parsed } = rates.parseRates(JSON.stringify([
+      { date: '2017-01-01', rates: { RUB: 60, USD: 1.05 } }
+    ]), 'json');
+
+    expect(parsed.map(el => el.currency)).to.deep.equal(['RUB', 'USD']);
+  });
+
+  it('should report invalid rows', () => {
+    const { errors } = rates.parseRates('2017-13-01,RUB,60\n2017-01-01,RUB,-1', 'csv');
+
+    expect(errors.map(el => el.row)).to.deep.equal([1, 2]);
+  });
+});
@@ -0,0 +1,57 @@
+const {expect} = require('chai');
+const moment = require('moment');
+
+const recurrence = require('../helpers/recurrence');
+
+const fmt = date => moment(date).format('DD-MM-YYYY');
+
+describe('Recurrence', () => {
+  it('should clamp monthly occurrences to the end of shorter months', () => {
+    const template = { frequency: 'monthly', dayOfMonth: 31, startDate: new Date(2017, 0, 1) };
+    const first = recurrence.getFirstDate(template);
+    const second = recurrence.getNextDate(template, first);
+    const third = recurrence.getNextDate(template, second);
+
+    expect(fmt(first)).to.equal('31-01-2017');
+    expect(fmt(second)).to.equal('28-02-2017');
+    expect(fmt(third)).to.equal('31-03-2017');
+  });
+
+  it('should start monthly series next month when the day has passed', () => {
+    const template = { frequency: 'monthly', dayOfMonth: 5, startDate: new Date(2017, 0, 10) };
+
+    expect(fmt(recurrence.getFirstDate(template))).to.equal('05-02-2017');
+  });
+
+  it('should support intervals', () => {
+    const template = { frequency: 'weekly', interval: 2, startDate: new Date(2017, 0, 2) };
+
+    expect(fmt(recurrence.getNextDate(template, template.startDate))).to.equal('16-01-2017');
+  });
+
+  it('should catch up on missed occurrences', () => {
+    const template = {
+      frequency: 'monthly',
+      dayOfMonth: 1,
+      startDate: new Date(2017, 0, 1),
+      nextDate: new Date(2017, 0, 1)
+    };
+    const { dates, nextDate } = recurrence.getDueDates(template, new Date(2017, 2, 15));
+
+    expect(dates.map(fmt)).to.deep.equal(['01-01-2017', '01-02-2017', '01-03-2017']);
+    expect(fmt(nextDate)).to.equal('01-04-2017');
+  });
+
+  it('should stop at the end date', () => {
+    const template = {
+      frequency: 'daily',
+      startDate: new Date(2017, 0, 1),
+      nextDate: new Date(2017, 0, 1),
+      endDate: new Date(2017, 0, 3)
+    };
+    const { dates } = recurrence.getDueDates(template, new Date(2017, 0, 10));
+
+    expect(dates).to.have.length(3);
+    expect(recurrence.isEnded(Object.assign({}, template, { nextDate: new Date(2017, 0, 4) }))).to.be.true;
+  });
+});
@@ -0,0 +1,138 @@
+const {expect} = require('chai');
+
+const reports = require('../helpers/reports');
+const dates = require('../helpers/dates');
+
+describe('Reports', () => {
+  const options = {
+    userIds: ['5700a128bd97c1341d8fb365'],
+    from: new Date(2017, 0, 1),
+    to: new Date(2017, 0, 31),
+    groupBy: 'category'
+  };
+
+  it('should match expenses of the given users and date range', () => {
+    const match = reports.getMatch(Object.assign({}, options, { categories: ['Food'] }));
+
+    expect(match.user_id.$in[0].toString()).to.equal('5700a128bd97c1341d8fb365');
+    expect(match.date.$gte).to.equal(options.from);
+    expect(match.$or[0].category.$in).to.deep.equal(['Food']);
+    expect(match.type).to.deep.equal({ $ne: 'income' });
+  });
+
+  it('should match income or both types', () => {
+    expect(reports.getMatch(Object.assign({}, options, { type: 'income' })).type).to.equal('income');
+    expect(reports.getMatch(Object.assign({}, options, { type: null }))).to.not.have.property('type');
+  });
+
+  it('should group line items by category, currency and day', () => {
+    const pipeline = reports.buildPipeline(options);
+    const group = pipeline[pipeline.length - 1].$group;
+
+    expect(pipeline[2]).to.deep.equal({ $unwind: '$entries' });
+    expect(pipeline[3].$project.amount).to.equal('$entries.amount');
+    expect(group._id.key).to.equal('$category');
+    expect(group._id.currency).to.equal('$currency');
+    expect(group.count).to.deep.equal({ $sum: 1 });
+  });
+
+  it('should keep only line items of the given categories', () => {
+    const pipeline = reports.buildPipeline(Object.assign({}, options, { groupBy: 'member', categories: ['Food'] }));
+
+    expect(pipeline[0].$match.$or[1]).to.deep.equal({ 'items.category': { $in: ['Food'] } });
+    expect(pipeline[4]).to.deep.equal({ $match: { category: { $in: ['Food'] } } });
+  });
+
+  it('should group by tag', () => {
+    const pipeline = reports.buildPipeline(Object.assign({}, options, { groupBy: 'tag', tags: ['work'] }));
+
+    expect(pipeline[0].$match.tags).to.deep.equal({ $in: ['work'] });
+    expect(pipeline[1]).to.deep.equal({ $unwind: '$tags' });
+    expect(pipeline[2].$group._id.key).to.equal('$tags');
+  });
+
+  it('should group by month', () => {
+    const pipeline = reports.buildPipeline(Object.assign({}, options, { groupBy: 'month' }));
+
+    expect(pipeline[1].$group._id.key.$dateToString.format).to.equal('%Y-%m');
+  });
+
+  it('should shift dates by the timezone offset at each of them', () => {
+    const tz = process.env.TZ;
+
+    process.env.TZ = 'Europe/Berlin';
+
+    const offsets = reports.getOffsets(new Date('2017-03-01T00:00:00Z'), new Date('2017-04-30T00:00:00Z'));
+    const pipeline = reports.buildPipeline(Object.assign({}, options, { groupBy: 'day' }));
+
+    if (tz === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = tz;
+    }
+
+    expect(offsets).to.deep.equal([
+      { start: null, offset: 60 * 60 * 1000 },
+      { start: new Date('2017-03-26T01:00:00Z'), offset: 2 * 60 * 60 * 1000 }
+    ]);
+    expect(pipeline[1].$group._id.key.$dateToString.date).to.deep.equal({ $add: ['$date', 60 * 60 * 1000] });
+  });
+
+  it('should convert buckets to the base currency and sort by total', () => {
+    const buckets = [
+      { _id: { key: 'Food', currency: 'rub', day: '2017-01-10' }, total: 7000, count: 2 },
+      { _id: { key: 'Food', currency: 'eur', day: '2017-01-11' }, total: 20, count: 1 },
+      { _id: { key: 'Rent', currency: 'eur', day: '2017-01-01' }, total: 500, count: 1 },
+      { _id: { key: 'Bills', currency: 'usd', day: '2017-01-01' }, total: 10, count: 1 }
+    ];
+    const rateTable = {
+      eur: [{ date: new Date(0), rate: 1 }],
+      rub: [{ date: new Date(2017, 0, 1), rate: 70 }]
+    };
+    const result = reports.mergeBuckets(buckets, { groupBy: 'category', baseCurrency: 'eur' }, rateTable);
+
+    expect(result.groups.map(el => el.key)).to.deep.equal(['Rent', 'Food']);
+    expect(result.groups[1].total).to.equal(120);
+    expect(result.groups[1].count).to.equal(3);
+    expect(result.groups[1].average).to.equal(40);
+    expect(result.unconverted).to.deep.equal({ count: 1, currencies: ['usd'] });
+  });
+
+  it('should sort time groups chronologically', () => {
+    const buckets = [
+      { _id: { key: '2017-02', currency: 'eur', day: '2017-02-01' }, total: 1, count: 1 },
+      { _id: { key: '2017-01', currency: 'eur', day: '2017-01-01' }, total: 2, count: 1 }
+    ];
+    const result = reports.mergeBuckets(buckets, { groupBy: 'month' }, {});
+
+    expect(result.groups.map(el => el.key)).to.deep.equal(['2017-01', '2017-02']);
+  });
+
+  it('should merge cash flow per period and member', () => {
+    const buckets = [
+      { _id: { key: '2017-02', member: 'a', type: 'income', currency: 'eur', day: '2017-02-01' }, total: 1000, count: 1 },
+      { _id: { key: '2017-02', member: 'a', currency: 'eur', day: '2017-02-03' }, total: 300, count: 2 },
+      { _id: { key: '2017-02', member: 'b', type: 'expense', currency: 'rub', day: '2017-02-03' }, total: 7000, count: 1 },
+      { _id: { key: '2017-01', member: 'b', type: 'income', currency: 'eur', day: '2017-01-05' }, total: 50, count: 1 }
+    ];
+    const rateTable = {
+      eur: [{ date: new Date(0), rate: 1 }],
+      rub: [{ date: new Date(2017, 0, 1), rate: 70 }]
+    };
+    const result = reports.mergeCashFlow(buckets, { period: 'month', baseCurrency: 'eur' }, rateTable);
+
+    expect(result.periods.map(el => el.key)).to.deep.equal(['2017-01', '2017-02']);
+    expect(result.periods[1]).to.include({ income: 1000, expenses: 400, net: 600 });
+    expect(result.periods[1].members).to.deep.equal([
+      { member: 'a', income: 1000, expenses: 300, net: 700 },
+      { member: 'b', income: 0, expenses: 100, net: -100 }
+    ]);
+  });
+
+  it('should compute period boundaries on every call', () => {
+    const range = dates.getPrevPeriodRange('month', new Date(2017, 2, 15));
+
+    expect(range.start.getMonth()).to.equal(1);
+    expect(range.end.getDate()).to.equal(28);
+  });
+});
@@ -0,0 +1,36 @@
+const {expect} = require('chai');
+
+const sessions = require('../helpers/sessions');
+
+describe('Sessions', () => {
+  it('should parse refresh tokens', () => {
+    expect(sessions.parseRefreshToken('5700a128bd97c1341d8fb365.abc')).to.deep.equal({
+      sessionId: '5700a128bd97c1341d8fb365',
+      secret: 'abc'
+    });
+    expect(sessions.parseRefreshToken('abc')).to.equal(null);
+    expect(sessions.parseRefreshToken('nope.abc')).to.equal(null);
+    expect(sessions.parseRefreshToken(undefined)).to.equal(null);
+  });
+
+  it('should only accept sessions that are neither revoked nor expired', () => {
+    const now = new Date(2017, 0, 10);
+
+    expect(sessions.isActive({ expiresAt: new Date(2017, 0, 11) }, now)).to.equal(true);
+    expect(sessions.isActive({ expiresAt: new Date(2017, 0, 9) }, now)).to.equal(false);
+    expect(sessions.isActive({ expiresAt: new Date(2017, 0, 11), revokedAt: now }, now)).to.equal(false);
+    expect(sessions.isActive(null, now)).to.equal(false);
+  });
+
+  it('should store refresh tokens hashed', () => {
+    expect(sessions.hashToken('token')).to.have.length(64);
+    expect(sessions.hashToken('token')).to.not.contain('token');
+  });
+
+  it('should reject missing access tokens', (done) => {
+    sessions.authenticate(undefined, (err, user) => {
+      expect(user).to.equal(null);
+      done(err);
+    });
+  });
+});
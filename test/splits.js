@@ -0,0 +1,58 @@
+const {expect} = require('chai');
+
+const splits = require('../helpers/splits');
+
+describe('Expense splitting', () => {
+  it('should split equally and hand out the odd cents', () => {
+    const result = splits.computeShares(10, 'equal', [{ user: 'a' }, { user: 'b' }, { user: 'c' }]);
+
+    expect(result.shares.map(el => el.amount)).to.deep.equal([3.34, 3.33, 3.33]);
+  });
+
+  it('should split by percentage', () => {
+    const result = splits.computeShares(80, 'percentage', [
+      { user: 'a', percent: 75 },
+      { user: 'b', percent: '25' }
+    ]);
+
+    expect(result.shares).to.deep.equal([
+      { user: 'a', percent: 75, amount: 60 },
+      { user: 'b', percent: 25, amount: 20 }
+    ]);
+    expect(splits.computeShares(80, 'percentage', [{ user: 'a', percent: 90 }]).error).to.exist;
+  });
+
+  it('should split by exact amounts adding up to the expense', () => {
+    const shares = [{ user: 'a', amount: 0.1 }, { user: 'b', amount: 0.2 }];
+
+    expect(splits.computeShares(0.3, 'exact', shares).shares[1].amount).to.equal(0.2);
+    expect(splits.computeShares(0.5, 'exact', shares).error).to.exist;
+  });
+
+  it('should reject members listed twice and unknown methods', () => {
+    expect(splits.computeShares(10, 'equal', [{ user: 'a' }, { user: 'a' }]).error).to.exist;
+    expect(splits.computeShares(10, 'random', [{ user: 'a' }]).error).to.exist;
+  });
+
+  it('should compute balances and zero them out with settlements', () => {
+    const expenses = [
+      { user_id: 'a', currency: 'eur', split: { shares: [{ user: 'a', amount: 30 }, { user: 'b', amount: 30 }] } },
+      { user_id: 'b', currency: 'eur', split: { shares: [{ user: 'c', amount: 10 }] } }
+    ];
+    const balances = splits.getBalances(expenses, []);
+
+    expect(balances).to.deep.equal([
+      { user: 'a', currency: 'eur', amount: 30 },
+      { user: 'b', currency: 'eur', amount: -20 },
+      { user: 'c', currency: 'eur', amount: -10 }
+    ]);
+
+    const payments = splits.settleUp(balances);
+
+    expect(payments).to.deep.equal([
+      { from: 'b', to: 'a', currency: 'eur', amount: 20 },
+      { from: 'c', to: 'a', currency: 'eur', amount: 10 }
+    ]);
+    expect(splits.getBalances(expenses, payments)).to.deep.equal([]);
+  });
+});
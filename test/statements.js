@@ -0,0 +1,70 @@
+const {expect} = require('chai');
+const moment = require('moment');
+
+const statements = require('../helpers/statements');
+
+const fmt = date => moment(date).format('DD-MM-YYYY');
+
+describe('Bank statements', () => {
+  it('should parse amounts with different separators', () => {
+    expect(statements.parseAmount('-1 234,56')).to.equal(-1234.56);
+    expect(statements.parseAmount('1,234.56')).to.equal(1234.56);
+    expect(statements.parseAmount('abc')).to.be.null;
+  });
+
+  it('should parse CSV with quoted fields and guess the mapping', () => {
+    const text = 'Date;Description;Amount\n31.01.2017;"Coffee; large";-3,50\n01.02.2017;Salary;1000\n';
+    const { headers, mapping, transactions } = statements.parse(text, 'csv', {});
+
+    expect(headers).to.deep.equal(['Date', 'Description', 'Amount']);
+    expect(mapping).to.deep.equal({ date: 0, comment: 1, amount: 2 });
+    expect(transactions[0].comment).to.equal('Coffee; large');
+    expect(transactions[0].amount).to.equal(-3.5);
+    expect(fmt(transactions[0].date)).to.equal('31-01-2017');
+  });
+
+  it('should parse OFX transactions', () => {
+    const text = [
+      '<OFX><CURDEF>EUR',
+      '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20170105120000<TRNAMT>-42.10<NAME>Grocery</STMTTRN>'
+    ].join('\n');
+    const { transactions } = statements.parse(text, 'ofx', {});
+
+    expect(transactions).to.have.length(1);
+    expect(transactions[0].amount).to.equal(-42.1);
+    expect(transactions[0].currency).to.equal('EUR');
+    expect(fmt(transactions[0].date)).to.equal('05-01-2017');
+  });
+
+  it('should parse QIF transactions', () => {
+    const text = '!Type:Bank\nD01/05/2017\nT-15.00\nPCinema\nLEntertainment\n^\n';
+    const { transactions } = statements.parse(text, 'qif', { dateFormat: 'MM/DD/YYYY' });
+
+    expect(transactions[0].amount).to.equal(-15);
+    expect(transactions[0].comment).to.equal('Cinema');
+    expect(transactions[0].category).to.equal('Entertainment');
+  });
+
+  it('should skip income and invalid rows', () => {
+    const rows = statements.toRows([
+      { line: 1, date: new Date(), amount: -10, comment: 'a' },
+      { line: 2, date: new Date(), amount: 10, comment: 'b' },
+      { line: 3, date: null, amount: -10, comment: 'c' }
+    ], { category: 'Food' });
+
+    expect(rows.map(el => el.skip)).to.deep.equal([undefined, 'income', 'invalid']);
+    expect(rows[0].amount).to.equal(10);
+    expect(rows[0].category).to.equal('Food');
+  });
+
+  it('should mark each existing expense as at most one duplicate', () => {
+    const date = new Date(2017, 0, 5);
+    const rows = [
+      { line: 1, date, amount: 3.5, comment: 'Coffee' },
+      { line: 2, date, amount: 3.5, comment: 'Coffee' }
+    ];
+    const marked = statements.markDuplicates(rows, [{ date, amount: 3.5, comment: 'coffee ' }]);
+
+    expect(marked.map(el => el.skip)).to.deep.equal(['duplicate', undefined]);
+  });
+});
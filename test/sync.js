@@ -0,0 +1,36 @@
+const {expect} = require('chai');
+
+const sync = require('../helpers/sync');
+
+describe('Sync', () => {
+  it('should round trip cursors', () => {
+    const date = new Date(Date.UTC(2017, 0, 5, 10, 30));
+
+    expect(sync.decodeCursor(sync.encodeCursor(date)).toISOString()).to.equal(date.toISOString());
+  });
+
+  it('should reject invalid cursors', () => {
+    expect(sync.decodeCursor('not a cursor')).to.equal(null);
+    expect(sync.decodeCursor(Buffer.from('["yesterday"]').toString('base64'))).to.equal(null);
+  });
+
+  it('should check the envelope of changes', () => {
+    expect(sync.checkChange({ clientId: 'c1', op: 'create', data: {} })).to.equal(undefined);
+    expect(sync.checkChange({ op: 'create' }).msg).to.match(/Client id/);
+    expect(sync.checkChange({ clientId: 'c1', op: 'move' }).msg).to.match(/Operation/);
+    expect(sync.checkChange({ clientId: 'c1', op: 'update', id: '5700a128bd97c1341d8fb365' }).msg)
+      .to.match(/updatedAt/);
+    expect(sync.checkChange({
+      clientId: 'c1', op: 'delete', id: '5700a128bd97c1341d8fb365', updatedAt: '2017-01-05T10:30:00.000Z'
+    })).to.equal(undefined);
+  });
+
+  it('should detect changes made since the version the client changed', () => {
+    const expense = { updatedAt: new Date('2017-01-05T10:30:00.000Z') };
+    const change = { updatedAt: '2017-01-05T10:30:00.000Z' };
+
+    expect(sync.isConflict(change, expense)).to.equal(false);
+    expect(sync.isConflict(change, { updatedAt: new Date('2017-01-05T10:31:00.000Z') })).to.equal(true);
+    expect(sync.isConflict(change, Object.assign({ deletedAt: new Date() }, expense))).to.equal(true);
+  });
+});
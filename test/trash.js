@@ -0,0 +1,49 @@
+const {expect} = require('chai');
+
+const Expense = require('../models/Expense');
+const trash = require('../helpers/trash');
+
+describe('Trash', () => {
+  afterEach(() => {
+    delete process.env.TRASH_RETENTION_DAYS;
+  });
+
+  it('should keep deleted documents for 30 days by default', () => {
+    expect(trash.getRetentionDays()).to.equal(30);
+    expect(trash.getPurgeDate(new Date(Date.UTC(2017, 0, 5))).toISOString()).to.equal('2017-02-04T00:00:00.000Z');
+  });
+
+  it('should use the configured retention', () => {
+    process.env.TRASH_RETENTION_DAYS = '7';
+
+    expect(trash.getRetentionDays()).to.equal(7);
+    expect(trash.getPurgeThreshold(new Date(Date.UTC(2017, 0, 8))).toISOString()).to.equal('2017-01-01T00:00:00.000Z');
+  });
+
+  it('should purge documents deleted before the threshold only', () => {
+    const now = new Date(Date.UTC(2017, 1, 4, 12));
+    const threshold = trash.getPurgeThreshold(now);
+
+    expect(new Date(Date.UTC(2017, 0, 5)) < threshold).to.equal(true);
+    expect(new Date(Date.UTC(2017, 0, 6)) < threshold).to.equal(false);
+  });
+
+  it('should only purge expenses trashed before the threshold', (done) => {
+    const find = Expense.find;
+    const now = new Date(Date.UTC(2017, 1, 4, 12));
+
+    Expense.find = (filter, cb) => {
+      Expense.find = find;
+
+      expect(filter).to.deep.equal({
+        $and: [{ deletedAt: { $lt: trash.getPurgeThreshold(now) } }, { deletedAt: { $ne: null } }]
+      });
+      cb(new Error('stop'));
+    };
+
+    trash.purgeExpired(now, (err) => {
+      expect(err.message).to.equal('stop');
+      done();
+    });
+  });
+});